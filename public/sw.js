@@ -0,0 +1,57 @@
+// App shell cache: the page and the built assets of this build, so the app starts without a connection.
+// Firestore data is not cached here; the SDK keeps it in IndexedDB. The build fills in its version and
+// asset list (see vite.config.js), so every deploy installs a new worker with a cache of its own, and the
+// caches of older builds, with their assets, are deleted once it takes over.
+const BUILD_VERSION = 'dev';
+const BUILD_ASSETS = [];
+const CACHE = `business-manager-shell-${BUILD_VERSION}`;
+const SHELL = [...new Set(['./', './index.html', './manifest.webmanifest', './icon.svg', ...BUILD_ASSETS])];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Pages: network first so a new deploy is picked up, the cached shell when offline. Error pages are
+  // passed through but never replace the cached shell.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE).then(cache => cache.put('./index.html', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('./index.html'))
+    );
+    return;
+  }
+
+  // Built assets have content hashes in their names, so a cached copy never goes stale
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
@@ -1,7 +1,8 @@
-import { useState, useEffect } from 'react';
+import { Fragment, useState, useEffect, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously } from 'firebase/auth';
-import { getFirestore, collection, onSnapshot, addDoc, serverTimestamp, query, doc, deleteDoc, updateDoc, setDoc } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, signInWithCustomToken, signInWithEmailAndPassword, createUserWithEmailAndPassword, signOut, onAuthStateChanged } from 'firebase/auth';
+import { isLocalStorage, firebaseConfig, storageConfigError, openStorage, resetDemoData, DEMO_USERS, Timestamp, arrayUnion, collection, onSnapshot, addDoc, serverTimestamp, query, where, orderBy, limit, doc, getDoc, getDocs, deleteDoc, deleteField, increment, updateDoc, setDoc, writeBatch, runTransaction } from './storage';
+import { BASE_CURRENCY, CURRENCIES, FOREIGN_CURRENCIES, DEFAULT_PURCHASE_CURRENCY, roundMoney, parseDate, parseAmount, getLineItems, summarizeLineItems, normalizeTransaction, lineErrorKey, rateErrorKey, VatMode, VAT_MODE_LABELS, VAT_RATE_DEFAULT, PHONE_COUNTRIES, DEFAULT_PHONE_COUNTRY_CODE } from './transactionSchema';
 import {
   DollarSign,
   Truck,
@@ -17,9 +18,33 @@ import {
   Search,
   History as HistoryIcon,
   Upload,
-  Settings as SettingsIcon
+  Settings as SettingsIcon,
+  LogIn,
+  LogOut,
+  Users,
+  Undo2,
+  Download,
+  Trash,
+  RotateCcw,
+  Route as RouteIcon,
+  ArrowUp,
+  ArrowDown,
+  GripVertical,
+  Contact,
+  Package,
+  Warehouse,
+  FileText,
+  Wallet,
+  Receipt,
+  Lock,
+  Cloud,
+  CloudOff,
+  RefreshCw,
+  AlertTriangle
 } from 'lucide-react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import * as XLSX from 'xlsx';
+import QRCode from 'qrcode';
 
 // Tailwind CSS classes for consistent styling
 const containerClass = "bg-slate-50 min-h-screen p-4 sm:p-8 flex flex-col items-center font-sans";
@@ -31,8 +56,17 @@ const headerClass = "bg-gray-50";
 const thClass = "px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
 const tdClass = "px-6 py-4 whitespace-nowrap text-sm text-gray-900";
 
-// Exchange rate default
-const PLN_TO_CZK_RATE_DEFAULT = 5.6;
+// Rates to CZK used when the dated rate table has nothing for a day (settings can override them)
+const DEFAULT_RATES = { PLN: 5.6, EUR: 25 };
+
+// Writes per Firestore batch, kept safely under the hard limit of 500
+const FIRESTORE_BATCH_SIZE = 450;
+
+// Most values an array-contains-any query accepts
+const STOCK_QUERY_CHUNK_SIZE = 30;
+
+// History entries loaded at first and added by each "load more"
+const HISTORY_PAGE_SIZE = 50;
 
 const Views = {
   TRANSACTIONS: 'transactions',
@@ -42,26 +76,857 @@ const Views = {
   HISTORY: 'history',
   IMPORT: 'import',
   SETTINGS: 'settings',
-  SALES_OVERVIEW: 'sales_overview'
+  SALES_OVERVIEW: 'sales_overview',
+  TRASH: 'trash',
+  ROUTE_PLANNER: 'route-planner',
+  CUSTOMERS: 'customers',
+  STOCK: 'stock',
+  INVOICES: 'invoices',
+  COMMISSIONS: 'commissions',
+  VAT: 'vat'
+};
+
+// Collections whose records are soft deleted into the trash, with their display labels
+const TRASH_COLLECTIONS = {
+  transactions: 'Transakce',
+  sellers: 'Prodejce',
+  drivers: 'Řidič',
+  suppliers: 'Dodavatel',
+  stockItems: 'Skladová položka'
+};
+
+const TRASH_RETENTION_DAYS_DEFAULT = 30;
+
+// Stock items on the shelf longer than this many days are flagged
+const STOCK_AGING_DAYS_DEFAULT = 60;
+
+// Order lifecycle of a transaction, from the supplier purchase to the paid sale
+const OrderStatus = {
+  ORDERED: 'ordered',
+  PICKED_UP: 'picked_up',
+  IN_STOCK: 'in_stock',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  PAID: 'paid',
+  CANCELLED: 'cancelled',
+  RETURNED: 'returned'
+};
+
+const ORDER_STATUS_LABELS = {
+  [OrderStatus.ORDERED]: 'Objednáno',
+  [OrderStatus.PICKED_UP]: 'Vyzvednuto v PL',
+  [OrderStatus.IN_STOCK]: 'Na skladě',
+  [OrderStatus.OUT_FOR_DELIVERY]: 'Na cestě',
+  [OrderStatus.DELIVERED]: 'Doručeno',
+  [OrderStatus.PAID]: 'Zaplaceno',
+  [OrderStatus.CANCELLED]: 'Zrušeno',
+  [OrderStatus.RETURNED]: 'Vráceno'
+};
+
+const ORDER_STATUS_COLORS = {
+  [OrderStatus.ORDERED]: 'bg-gray-100 text-gray-800',
+  [OrderStatus.PICKED_UP]: 'bg-blue-100 text-blue-800',
+  [OrderStatus.IN_STOCK]: 'bg-indigo-100 text-indigo-800',
+  [OrderStatus.OUT_FOR_DELIVERY]: 'bg-yellow-100 text-yellow-800',
+  [OrderStatus.DELIVERED]: 'bg-emerald-100 text-emerald-800',
+  [OrderStatus.PAID]: 'bg-green-200 text-green-900',
+  [OrderStatus.CANCELLED]: 'bg-red-100 text-red-800',
+  [OrderStatus.RETURNED]: 'bg-orange-100 text-orange-800'
+};
+
+// Allowed next states; a delivery that fails goes back to stock
+const ORDER_STATUS_TRANSITIONS = {
+  [OrderStatus.ORDERED]: [OrderStatus.PICKED_UP, OrderStatus.CANCELLED],
+  [OrderStatus.PICKED_UP]: [OrderStatus.IN_STOCK, OrderStatus.CANCELLED],
+  [OrderStatus.IN_STOCK]: [OrderStatus.OUT_FOR_DELIVERY, OrderStatus.CANCELLED],
+  [OrderStatus.OUT_FOR_DELIVERY]: [OrderStatus.DELIVERED, OrderStatus.IN_STOCK, OrderStatus.CANCELLED],
+  [OrderStatus.DELIVERED]: [OrderStatus.PAID, OrderStatus.RETURNED],
+  [OrderStatus.PAID]: [OrderStatus.RETURNED],
+  [OrderStatus.CANCELLED]: [],
+  [OrderStatus.RETURNED]: []
+};
+
+// Cancelling or returning an order takes it out of the sales totals, so drivers leave that to staff
+const STAFF_ONLY_STATUSES = [OrderStatus.CANCELLED, OrderStatus.RETURNED];
+
+// How the customer paid the driver at the door
+const PaymentMethod = {
+  CASH: 'cash',
+  CARD: 'card',
+  TRANSFER: 'transfer'
+};
+
+const PAYMENT_METHOD_LABELS = {
+  [PaymentMethod.CASH]: 'Hotově',
+  [PaymentMethod.CARD]: 'Kartou',
+  [PaymentMethod.TRANSFER]: 'Převodem'
+};
+
+// Records from before the workflow have no status and count as just ordered
+const getOrderStatus = (t) => t.status || OrderStatus.ORDERED;
+
+const OrderStatusBadge = ({ status }) => (
+  <span className={`inline-block px-2 py-1 rounded-full text-xs font-semibold ${ORDER_STATUS_COLORS[status] || ORDER_STATUS_COLORS[OrderStatus.ORDERED]}`}>
+    {ORDER_STATUS_LABELS[status] || status}
+  </span>
+);
+
+// Inline message under a form field that failed validation
+const FieldError = ({ message }) => (message ? <p className="text-xs text-red-600 mt-1">{message}</p> : null);
+
+// User roles stored on the profile document in `users/{uid}`
+const Roles = {
+  ADMIN: 'admin',
+  SELLER: 'seller',
+  DRIVER: 'driver',
+  PENDING: 'pending'
+};
+
+const ROLE_LABELS = {
+  [Roles.ADMIN]: 'Administrátor',
+  [Roles.SELLER]: 'Prodejce',
+  [Roles.DRIVER]: 'Řidič',
+  [Roles.PENDING]: 'Čeká na schválení'
+};
+
+// Views each role may open; the first entry is the landing view
+const ROLE_VIEWS = {
+  [Roles.ADMIN]: Object.values(Views),
+  [Roles.SELLER]: [Views.TRANSACTIONS, Views.SALES_OVERVIEW, Views.CUSTOMERS, Views.STOCK, Views.INVOICES, Views.DELIVERY_FILTER, Views.ROUTE_PLANNER, Views.SALES_GRAPH, Views.HISTORY],
+  [Roles.DRIVER]: [Views.DELIVERY_FILTER, Views.ROUTE_PLANNER],
+  [Roles.PENDING]: []
+};
+
+// Parses the ČNB daily rate file (denni_kurz.txt), e.g.
+//   17.10.2025 #201
+//   země|měna|množství|kód|kurz
+//   Polsko|zlotý|1|PLN|5,712
+// and returns its ISO date with CZK per one unit of each currency code.
+const parseCnbDailyRates = (text) => {
+  const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const dateMatch = lines[0] && lines[0].match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})/);
+  if (!dateMatch) {
+    throw new Error('Soubor nemá formát denního kurzu ČNB.');
+  }
+  const [, day, month, year] = dateMatch;
+  const rates = {};
+  lines.slice(2).forEach(line => {
+    const [, , amount, code, rate] = line.split('|');
+    const value = parseFloat(String(rate || '').replace(',', '.')) / (parseFloat(amount) || 1);
+    if (code && value > 0) {
+      rates[code.trim()] = value;
+    }
+  });
+  return { date: `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`, rates };
+};
+
+// Transaction fields offered in the import column mapping
+const TRANSACTION_FIELDS = [
+  { key: 'saleDate', label: 'Datum prodeje', type: 'date' },
+  { key: 'itemName', label: 'Položka', required: true },
+  { key: 'brand', label: 'Značka' },
+  { key: 'model', label: 'Model' },
+  { key: 'note', label: 'Poznámka' },
+  { key: 'seller', label: 'Prodejce', required: true },
+  { key: 'supplier', label: 'Dodavatel' },
+  // Headers of files exported before prices carried a currency still map by their aliases
+  { key: 'purchasePrice', label: 'Nákupní cena', type: 'number', required: true, aliases: ['Nákup (PLN)', 'purchasePricePln'] },
+  { key: 'purchaseCurrency', label: 'Měna nákupu' },
+  { key: 'salePrice', label: 'Prodejní cena', type: 'number', required: true, aliases: ['Prodej (CZK)', 'sellingPriceCzk'] },
+  { key: 'saleCurrency', label: 'Měna prodeje' },
+  { key: 'driver', label: 'Řidič' },
+  { key: 'deliveryCity', label: 'Město' },
+  { key: 'customerName', label: 'Zákazník' },
+  { key: 'customerAddress', label: 'Adresa zákazníka' },
+  { key: 'customerContact', label: 'Telefon' },
+  { key: 'customerPhone2', label: 'Telefon 2' },
+  // Mode as its label or key; without these the VAT settings apply
+  { key: 'vatMode', label: 'Režim DPH' },
+  { key: 'vatRate', label: 'Sazba DPH (%)' },
+  // Rows with the same value form one multi-item order
+  { key: 'orderRef', label: 'Objednávka' },
+];
+
+// Column positions of the spreadsheet the importer was originally written for
+const LEGACY_IMPORT_PROFILE = {
+  id: 'legacy',
+  name: 'Původní rozložení',
+  headerRow: 1,
+  mapping: {
+    saleDate: { index: 0 },
+    itemName: { index: 1 },
+    note: { index: 6 },
+    seller: { index: 7 },
+    purchasePrice: { index: 8 },
+    salePrice: { index: 10 },
+    supplier: { index: 12 },
+    driver: { index: 14 },
+    deliveryCity: { index: 15 },
+    customerAddress: { index: 16 },
+    customerContact: { index: 17 },
+  },
+};
+
+const normalizeText = (value) => String(value ?? '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Maps a profile onto the headers of the current sheet: saved header names win, saved positions are the fallback
+// Field keys of profiles saved before prices carried a currency
+const LEGACY_IMPORT_FIELD_KEYS = { purchasePricePln: 'purchasePrice', sellingPriceCzk: 'salePrice' };
+
+const resolveImportMapping = (profileMapping, headers) => {
+  const normalizedHeaders = headers.map(normalizeText);
+  const mapping = {};
+  Object.entries(profileMapping || {}).forEach(([key, column]) => {
+    const byHeader = column.header ? normalizedHeaders.indexOf(normalizeText(column.header)) : -1;
+    mapping[LEGACY_IMPORT_FIELD_KEYS[key] || key] = byHeader >= 0 ? byHeader : column.index;
+  });
+  return mapping;
+};
+
+// Pairs sheet headers with fields by their label, key or alias
+const guessImportMapping = (headers) => {
+  const normalizedHeaders = headers.map(normalizeText);
+  const mapping = {};
+  TRANSACTION_FIELDS.forEach(field => {
+    const names = [field.label, field.key, ...(field.aliases || [])].map(normalizeText);
+    const index = normalizedHeaders.findIndex(h => h && names.includes(h));
+    if (index >= 0) mapping[field.key] = index;
+  });
+  return mapping;
+};
+
+// Turns one sheet row into transaction fields plus a list of validation errors
+const parseImportRow = (row, mapping) => {
+  const record = {};
+  const errors = [];
+  TRANSACTION_FIELDS.forEach(field => {
+    const index = mapping[field.key];
+    const isMapped = index !== undefined && index !== '' && index !== null;
+    const cell = isMapped ? row[index] : '';
+    const isEmpty = String(cell ?? '').trim() === '';
+
+    if (field.type === 'date') {
+      record[field.key] = isMapped ? parseDate(cell) : new Date().toISOString().slice(0, 10);
+      if (!record[field.key]) errors.push(isEmpty ? `${field.label}: chybí hodnota` : `${field.label}: neplatné datum „${cell}“`);
+      return;
+    }
+    if (field.type === 'number') {
+      record[field.key] = isEmpty ? 0 : parseAmount(cell);
+      if (record[field.key] === null) errors.push(`${field.label}: neplatné číslo „${cell}“`);
+      else if (isEmpty && field.required) errors.push(`${field.label}: chybí hodnota`);
+      return;
+    }
+    record[field.key] = isEmpty ? '' : String(cell).trim();
+    if (isEmpty && field.required) errors.push(`${field.label}: chybí hodnota`);
+  });
+  return { record, errors };
+};
+
+// Same sale date, item, customer and prices mark a likely duplicate transaction
+const getDuplicateKey = (t) => [
+  t.saleDate || '',
+  normalizeText(t.itemName),
+  normalizeText(t.customerName),
+  Number(t.purchasePrice) || 0,
+  t.purchaseCurrency || DEFAULT_PURCHASE_CURRENCY,
+  Number(t.salePrice) || 0,
+  t.saleCurrency || BASE_CURRENCY,
+].join('|');
+
+// Groups phone digits in threes, with the Czech or Slovak country code of an E.164 number split off
+const formatPhone = (raw) => {
+  const s = String(raw || '').replace(/\D+/g, '');
+  if (!s) return '-';
+  const countryCode = ['420', '421'].find(code => s.startsWith(code));
+  if (countryCode) {
+    const rest = s.slice(3);
+    const grouped = rest.replace(/(\d{3})(?=\d)/g, '$1 ').trim();
+    return `+${countryCode} ${grouped}`;
+  }
+  const grouped = s.replace(/(\d{3})(?=\d)/g, '$1 ').trim();
+  return String(raw).trim().startsWith('+') ? `+${grouped}` : grouped;
+};
+
+// Phone digits without the Czech country prefix, used to recognise the same customer
+const normalizePhone = (raw) => {
+  let digits = String(raw || '').replace(/\D+/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (digits.startsWith('420') && digits.length === 12) digits = digits.slice(3);
+  return digits;
+};
+
+// Customer directory entry built from the customer fields of a transaction
+const customerFromTransaction = (t) => ({
+  name: (t.customerName || '').trim(),
+  phone: (t.customerContact || '').trim(),
+  phone2: (t.customerPhone2 || '').trim(),
+  address: (t.customerAddress || '').trim(),
+  city: (t.deliveryCity || '').trim(),
+});
+
+// Same phone means the same customer; a name alone only matches where one side has no phone
+const findMatchingCustomer = (customers, t) => {
+  const phone = normalizePhone(t.customerContact);
+  const name = normalizeText(t.customerName);
+  return (phone && customers.find(c => normalizePhone(c.phone) === phone))
+    || (name && customers.find(c => normalizeText(c.name) === name && (!phone || !normalizePhone(c.phone))))
+    || null;
+};
+
+const EMPTY_SUPPLIER = {
+  name: '',
+  contactPerson: '',
+  phone: '',
+  email: '',
+  address: '',
+  currency: 'PLN',
+  leadTimeDays: '',
+  note: '',
+};
+
+// Directory supplier of a transaction: by id, else by the free-text name older records carry
+const findSupplier = (suppliers, t) =>
+  (t.supplierId && suppliers.find(s => s.id === t.supplierId))
+  || (t.supplier && suppliers.find(s => normalizeText(s.name) === normalizeText(t.supplier)))
+  || null;
+
+// Purchase price of a stock item in its currency; items stocked before currencies were bought in PLN
+const getStockPurchase = (stockItem) => ({
+  price: Number(stockItem.purchasePrice ?? stockItem.purchasePricePln) || 0,
+  currency: stockItem.purchaseCurrency || DEFAULT_PURCHASE_CURRENCY,
+});
+
+const getDaysOnShelf = (stockItem, now = new Date()) =>
+  stockItem.purchaseDate ? Math.max(0, Math.floor((now - new Date(stockItem.purchaseDate)) / 86400000)) : 0;
+
+const EMPTY_LINE_ITEM = {
+  itemName: '',
+  brand: '',
+  model: '',
+  supplier: '',
+  supplierId: '',
+  stockItemId: '',
+  exchangeRate: '',
+  purchasePrice: '',
+  purchaseCurrency: DEFAULT_PURCHASE_CURRENCY,
+  salePrice: '',
+  saleCurrency: BASE_CURRENCY,
+};
+
+// Fields of a transaction that belong to each line item rather than to the order
+const LINE_ITEM_FIELDS = ['itemName', 'brand', 'model', 'supplier', 'purchasePrice', 'purchaseCurrency', 'salePrice', 'saleCurrency'];
+
+// Form line for selling a stock item. The purchase keeps the rate of its own purchase date.
+const lineItemFromStock = (stockItem) => ({
+  ...EMPTY_LINE_ITEM,
+  stockItemId: stockItem.id,
+  itemName: stockItem.itemName || '',
+  brand: stockItem.brand || '',
+  model: stockItem.model || '',
+  supplier: stockItem.supplier || '',
+  supplierId: stockItem.supplierId || '',
+  exchangeRate: stockItem.exchangeRate?.toString() || '',
+  purchasePrice: getStockPurchase(stockItem).price.toString(),
+  purchaseCurrency: getStockPurchase(stockItem).currency,
+});
+
+const InvoiceType = {
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note',
+};
+
+const INVOICE_TYPE_LABELS = {
+  [InvoiceType.INVOICE]: 'Faktura',
+  [InvoiceType.CREDIT_NOTE]: 'Opravný daňový doklad (dobropis)',
+};
+
+// Company details printed on invoices, overridden by settings/company
+const COMPANY_DEFAULTS = {
+  name: '',
+  address: '',
+  ico: '',
+  dic: '',
+  bankAccount: '',
+  email: '',
+  phone: '',
+  invoicePrefix: 'FV',
+  creditNotePrefix: 'DB',
+  dueDays: 14,
+};
+
+// VAT mode and rate of new transactions, overridden by settings/vat. Until an admin chooses a mode no VAT
+// is charged, as for a non-payer; a VAT payer sets the mode of its sales in Nastavení.
+const VAT_SETTINGS_DEFAULTS = {
+  defaultMode: VatMode.NONE,
+  standardRate: VAT_RATE_DEFAULT,
+};
+
+// Key of transactions from before VAT modes in the monthly VAT summary
+const VAT_MODE_UNSET = 'unset';
+
+// Invoice number within a year's series, e.g. FV20260007; the variable symbol is its digits
+const formatInvoiceNumber = (prefix, year, sequence) => `${prefix || ''}${year}${String(sequence).padStart(4, '0')}`;
+
+// Czech account "19-2000145399/0800" to IBAN CZ65 0800 0000 1920 0014 5399
+const czechAccountToIban = (account) => {
+  const match = String(account || '').replace(/\s+/g, '').match(/^(?:(\d{1,6})-)?(\d{2,10})\/(\d{4})$/);
+  if (!match) return null;
+  const [, prefix = '', number, bank] = match;
+  const bban = bank + prefix.padStart(6, '0') + number.padStart(10, '0');
+  // "CZ00" moved to the end as 12 35 00, checked with mod 97 digit by digit
+  const remainder = [...`${bban}123500`].reduce((rest, digit) => (rest * 10 + Number(digit)) % 97, 0);
+  return `CZ${String(98 - remainder).padStart(2, '0')}${bban}`;
+};
+
+// SPD values may not contain "*" and banking apps handle plain ASCII best
+const toSpdText = (value) => String(value ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\*/g, '');
+
+// Payload of the Czech "QR Platba" code (Short Payment Descriptor 1.0)
+const buildSpdPayload = ({ iban, amount, currency = BASE_CURRENCY, variableSymbol, dueDate, message }) => [
+  'SPD*1.0',
+  `ACC:${iban}`,
+  `AM:${Math.abs(amount).toFixed(2)}`,
+  `CC:${currency}`,
+  variableSymbol && `X-VS:${variableSymbol}`,
+  dueDate && `DT:${dueDate.replace(/-/g, '')}`,
+  message && `MSG:${toSpdText(message).slice(0, 60)}`,
+].filter(Boolean).join('*');
+
+// How a seller's commission is computed from the transactions of a payout period
+const CommissionType = {
+  PROFIT_PERCENT: 'profit_percent',
+  TIERED: 'tiered',
+  PER_ITEM: 'per_item'
+};
+
+const COMMISSION_TYPE_LABELS = {
+  [CommissionType.PROFIT_PERCENT]: 'Procento ze zisku',
+  [CommissionType.TIERED]: 'Stupňovitě ze zisku',
+  [CommissionType.PER_ITEM]: 'Pevná částka za položku'
+};
+
+const EMPTY_COMMISSION_RULE = { type: CommissionType.PROFIT_PERCENT, percent: '', amountPerItem: '', tiers: [] };
+
+// Cancelled and returned orders earn no commission
+const isCommissionable = (t) => ![OrderStatus.CANCELLED, OrderStatus.RETURNED].includes(getOrderStatus(t));
+
+// Tiers are marginal: each percent applies only to the profit between its threshold and the next one.
+// A loss-making period pays no commission rather than a negative one.
+const calculateCommission = (rule, transactions) => {
+  const profit = roundMoney(transactions.reduce((sum, t) => sum + (parseFloat(t.netProfitCzk) || 0), 0));
+  const itemCount = transactions.reduce((sum, t) => sum + getLineItems(t).length, 0);
+  let commission = 0;
+  if (rule.type === CommissionType.PROFIT_PERCENT) {
+    commission = profit * (parseFloat(rule.percent) || 0) / 100;
+  } else if (rule.type === CommissionType.PER_ITEM) {
+    commission = itemCount * (parseFloat(rule.amountPerItem) || 0);
+  } else if (rule.type === CommissionType.TIERED) {
+    const tiers = [...(rule.tiers || [])].sort((a, b) => a.fromProfit - b.fromProfit);
+    tiers.forEach((tier, index) => {
+      const upper = index + 1 < tiers.length ? tiers[index + 1].fromProfit : Infinity;
+      const band = Math.min(profit, upper) - tier.fromProfit;
+      if (band > 0) commission += band * tier.percent / 100;
+    });
+  }
+  return { profit, itemCount, commission: roundMoney(Math.max(commission, 0)) };
+};
+
+const describeCommissionRule = (rule) => {
+  if (!rule) return '-';
+  if (rule.type === CommissionType.PER_ITEM) return `${rule.amountPerItem || 0} CZK za položku`;
+  if (rule.type === CommissionType.TIERED) {
+    return (rule.tiers || []).map(tier => `od ${tier.fromProfit} CZK: ${tier.percent} %`).join(', ') || '-';
+  }
+  return `${rule.percent || 0} % ze zisku`;
+};
+
+// Analytics buckets keyed by sale date (or a summary month id): 2026-03 (month), 2026-Q1 (quarter) or 2026 (year)
+const getPeriodKey = (saleDate, granularity) => {
+  const year = saleDate.slice(0, 4);
+  if (granularity === 'year') return year;
+  const month = Number(saleDate.slice(5, 7));
+  return granularity === 'quarter' ? `${year}-Q${Math.ceil(month / 3)}` : `${year}-${String(month).padStart(2, '0')}`;
+};
+
+const getPeriodKeysOfYear = (year, granularity) => (granularity === 'quarter'
+  ? [1, 2, 3, 4].map(q => `${year}-Q${q}`)
+  : Array.from({ length: 12 }, (_, i) => `${year}-${String(i + 1).padStart(2, '0')}`));
+
+const shiftPeriodKeyByYear = (key, years) => `${Number(key.slice(0, 4)) + years}${key.slice(4)}`;
+
+// First day of a period key and the day after its last, for querying its transactions by sale date
+const getPeriodKeyRange = (key) => {
+  const year = Number(key.slice(0, 4));
+  if (key.length === 4) return [`${year}-01-01`, `${year + 1}-01-01`];
+  const [firstMonth, monthCount] = key.includes('Q') ? [(Number(key.slice(6)) - 1) * 3, 3] : [Number(key.slice(5, 7)) - 1, 1];
+  return [toLocalDateKey(new Date(year, firstMonth, 1)), toLocalDateKey(new Date(year, firstMonth + monthCount, 1))];
+};
+
+const formatPeriodLabel = (key) => {
+  if (key.length === 4) return key;
+  if (key.includes('Q')) return `${key.slice(6)}. čtvrtletí ${key.slice(0, 4)}`;
+  return new Date(Number(key.slice(0, 4)), Number(key.slice(5, 7)) - 1, 1).toLocaleDateString('cs-CZ', { month: 'short', year: 'numeric' });
+};
+
+// The shared period selector: a Monday-to-Sunday week, a calendar month or a custom date range
+const PeriodType = {
+  WEEK: 'week',
+  MONTH: 'month',
+  CUSTOM: 'custom'
+};
+
+const PERIOD_TYPE_LABELS = {
+  [PeriodType.WEEK]: 'Týden',
+  [PeriodType.MONTH]: 'Měsíc',
+  [PeriodType.CUSTOM]: 'Vlastní období'
+};
+
+// Local calendar date as YYYY-MM-DD (toISOString would shift it to UTC)
+const toLocalDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const shiftDateKey = (key, days) => {
+  const d = new Date(`${key}T00:00:00`);
+  return toLocalDateKey(new Date(d.getFullYear(), d.getMonth(), d.getDate() + days));
+};
+
+// Sale-date ranges of transactions kept subscribed: the selected period with a week on either side, so
+// stepping to a neighbouring week shows it at once while the next window loads, and the days around today
+// that deliveries, routes and cash collection work on whatever period is selected. Overlaps are merged.
+const getTransactionWindows = (range, today) => [
+  ...(range.isIncomplete ? [] : [range.type === PeriodType.CUSTOM
+    ? { start: range.start, end: range.end }
+    : { start: shiftDateKey(range.start, -7), end: shiftDateKey(range.end, 7) }]),
+  { start: shiftDateKey(today, -7), end: shiftDateKey(today, 8) },
+]
+  .sort((a, b) => a.start.localeCompare(b.start))
+  .reduce((windows, w) => {
+    const last = windows[windows.length - 1];
+    if (last && w.start <= last.end) {
+      return [...windows.slice(0, -1), { start: last.start, end: w.end > last.end ? w.end : last.end }];
+    }
+    return [...windows, w];
+  }, []);
+
+const getWindowKey = (w) => `${w.start}_${w.end}`;
+
+// Adds the numbers of one summary tree into another, negated for sign -1; names are copied over
+const addSummaryValues = (target, source, sign = 1) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + sign * value;
+    } else if (value && typeof value === 'object') {
+      addSummaryValues(target[key] || (target[key] = {}), value, sign);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+};
+
+// Summary changes as a merge write of increments; entries whose numbers did not change are left out
+const toSummaryIncrements = (delta) => Object.entries(delta).reduce((acc, [key, value]) => {
+  if (typeof value === 'number') {
+    if (roundMoney(value) !== 0) acc[key] = increment(roundMoney(value));
+  } else if (value && typeof value === 'object') {
+    const nested = toSummaryIncrements(value);
+    if (Object.values(nested).some(v => typeof v !== 'string')) acc[key] = nested;
+  } else {
+    acc[key] = value;
+  }
+  return acc;
+}, {});
+
+const roundSummaryValues = (values) => Object.fromEntries(Object.entries(values).map(([key, value]) => [
+  key,
+  typeof value === 'number' ? roundMoney(value) : value && typeof value === 'object' ? roundSummaryValues(value) : value,
+]));
+
+// Entries of a summary map that still count anything, e.g. a brand whose sales were all cancelled drops out
+const getSummaryEntries = (map) => Object.entries(map || {})
+  .filter(([, entry]) => (entry.count || 0) > 0)
+  .map(([key, entry]) => ({ key, ...entry }));
+
+// What the driver should bring back for a delivery: the price of an order they delivered. Orders not delivered
+// yet, cancelled or returned bring nothing, nor do paid ones the driver recorded no collection for.
+const getExpectedCollection = (t) => {
+  const status = getOrderStatus(t);
+  const isCollected = status === OrderStatus.DELIVERED || (status === OrderStatus.PAID && t.collectedAmountCzk !== undefined);
+  return isCollected ? (parseFloat(t.sellingPriceCzk) || 0) : 0;
+};
+
+// Fields that lock a transaction against further changes from the field; a revert keeps them as they are
+const TRANSACTION_LOCK_FIELDS = ['handoverId', 'payoutId'];
+
+const getDeliveryCity = (t) => (t.deliveryCity || t.destination || '').trim();
+
+// How a driver is paid for deliveries
+const DriverFeeType = {
+  PER_STOP: 'per_stop',
+  PER_ZONE: 'per_zone',
+  PER_KM: 'per_km'
+};
+
+const DRIVER_FEE_TYPE_LABELS = {
+  [DriverFeeType.PER_STOP]: 'Za zastávku',
+  [DriverFeeType.PER_ZONE]: 'Podle města (zóny)',
+  [DriverFeeType.PER_KM]: 'Za kilometr'
+};
+
+const EMPTY_DRIVER_FEE_MODEL = { type: DriverFeeType.PER_STOP, stopFee: '', zones: [], defaultZoneFee: '', ratePerKm: '' };
+
+// Fee for one delivery under the driver's model; cancelled orders are never driven.
+// Zones match the delivery city ignoring case and diacritics, other cities get the default zone fee.
+const getDeliveryFee = (t, feeModel) => {
+  if (!feeModel || !t.driver || getOrderStatus(t) === OrderStatus.CANCELLED) return 0;
+  if (feeModel.type === DriverFeeType.PER_ZONE) {
+    const zone = (feeModel.zones || []).find(z => normalizeText(z.city) === normalizeText(getDeliveryCity(t)));
+    return parseFloat(zone ? zone.fee : feeModel.defaultZoneFee) || 0;
+  }
+  if (feeModel.type === DriverFeeType.PER_KM) {
+    return roundMoney((parseFloat(t.deliveryKm) || 0) * (parseFloat(feeModel.ratePerKm) || 0));
+  }
+  return parseFloat(feeModel.stopFee) || 0;
+};
+
+// Fee of a delivery as the order stores it: only the model snapshotted when it was delivered counts, so every
+// profit after delivery (transactions, analytics, summaries) agrees and does not change with the driver's model
+const getStoredDeliveryFee = (t) => getDeliveryFee(t, t.driverFeeModel);
+
+// Rate of a line's purchase currency as the transaction stores it: the line's own rate (lines sold from stock),
+// the order's snapshot, or the PLN rate of records from before currencies; 0 when the record holds none
+const getStoredPurchaseRate = (t, line) => {
+  const currency = line.purchaseCurrency;
+  if (currency === BASE_CURRENCY) return 1;
+  return parseFloat(line.exchangeRate)
+    || parseFloat(t.rates?.[currency])
+    || (currency === 'PLN' && parseFloat(t.exchangeRate))
+    || 0;
+};
+
+// Purchase cost of a line in CZK from stored fields only: its saved CZK price, the order total of a
+// single-line record, else the price at the stored rate
+const getStoredLinePurchaseCzk = (t, line, lineCount) => {
+  if (line.purchasePriceCzk !== undefined) return Number(line.purchasePriceCzk) || 0;
+  if (lineCount === 1 && t.purchasePriceCzk !== undefined) return Number(t.purchasePriceCzk) || 0;
+  return (Number(line.purchasePrice) || 0) * getStoredPurchaseRate(t, line);
+};
+
+// What one transaction adds to the summary document of its sale month. Analytics and the VAT summary count
+// sold orders only, the supplier report leaves out cancelled ones, customer totals count every order;
+// deleted records add nothing. It reads nothing but the record, so the same record always adds the same
+// values, whatever the directory or the rate tables hold when it is added or taken away again. Suppliers
+// are keyed by supplierId, or by the spelling of a name typed outside the directory.
+const getSummaryContribution = (t) => {
+  if (!t || t.deletedAt || !/^\d{4}-\d{2}/.test(t.saleDate || '')) return null;
+  const status = getOrderStatus(t);
+  const lines = getLineItems(t);
+  const linePurchases = lines.map(line => getStoredLinePurchaseCzk(t, line, lines.length));
+  const purchase = linePurchases.reduce((sum, value) => sum + value, 0);
+  const values = { sold: {}, byBrand: {}, byModel: {}, bySupplier: {}, byCustomer: {}, vat: {} };
+  if (isCommissionable(t)) {
+    values.sold = {
+      count: 1,
+      revenue: Number(t.sellingPriceCzk) || 0,
+      purchase,
+      profit: Number(t.netProfitCzk) || 0,
+      driverFee: getStoredDeliveryFee(t),
+    };
+    // By VAT mode, then by rate
+    values.vat = {
+      [t.vatMode || VAT_MODE_UNSET]: {
+        [Number(t.vatRate) || 0]: {
+          count: 1,
+          sales: Number(t.sellingPriceCzk) || 0,
+          purchase,
+          base: Number(t.vatBaseCzk) || 0,
+          vat: Number(t.vatCzk) || 0,
+        },
+      },
+    };
+    lines.forEach(line => [['brand', values.byBrand], ['model', values.byModel]].forEach(([field, group]) => {
+      const name = (line[field] || '').trim();
+      if (!name) return;
+      addSummaryValues(group, { [normalizeText(name)]: { name, count: 1, revenue: Number(line.sellingPriceCzk) || 0, profit: Number(line.netProfitCzk) || 0 } });
+    }));
+  }
+  if (status !== OrderStatus.CANCELLED) {
+    lines.forEach((line, index) => {
+      if (!line.supplierId && !line.supplier) return;
+      addSummaryValues(values.bySupplier, {
+        [line.supplierId || `text:${normalizeText(line.supplier)}`]: {
+          name: line.supplier || '',
+          count: 1,
+          returned: status === OrderStatus.RETURNED ? 1 : 0,
+          purchase: { [line.purchaseCurrency]: Number(line.purchasePrice) || 0 },
+          czk: linePurchases[index],
+          revenue: Number(line.sellingPriceCzk) || 0,
+          profit: Number(line.netProfitCzk) || 0,
+        },
+      });
+    });
+  }
+  if (t.customerId) {
+    values.byCustomer[t.customerId] = { count: 1, spent: Number(t.sellingPriceCzk) || 0, profit: Number(t.netProfitCzk) || 0 };
+  }
+  return { month: t.saleDate.slice(0, 7), values };
+};
+
+const describeDriverFeeModel = (feeModel) => {
+  if (!feeModel) return '-';
+  if (feeModel.type === DriverFeeType.PER_ZONE) {
+    const zones = (feeModel.zones || []).map(z => `${z.city}: ${z.fee} CZK`);
+    return [...zones, `jinde ${feeModel.defaultZoneFee || 0} CZK`].join(', ');
+  }
+  if (feeModel.type === DriverFeeType.PER_KM) return `${feeModel.ratePerKm || 0} CZK/km`;
+  return `${feeModel.stopFee || 0} CZK za zastávku`;
+};
+
+// Default stop order: grouped by city, then by address
+const sortStopsByCity = (stops) => [...stops].sort((a, b) =>
+  getDeliveryCity(a).localeCompare(getDeliveryCity(b), 'cs') || (a.customerAddress || '').localeCompare(b.customerAddress || '', 'cs'));
+
+// Labels for audit diffs: the import fields plus stored derived values
+const FIELD_LABELS = {
+  ...Object.fromEntries(TRANSACTION_FIELDS.map(f => [f.key, f.label])),
+  destination: 'Cíl rozvozu',
+  exchangeRate: 'Kurz k CZK',
+  rates: 'Kurzy k CZK',
+  purchasePricePln: 'Nákup (PLN)',
+  purchasePriceCzk: 'Nákup (CZK)',
+  sellingPriceCzk: 'Prodej (CZK)',
+  vatCzk: 'DPH (CZK)',
+  vatBaseCzk: 'Základ DPH (CZK)',
+  status: 'Stav',
+  statusTimestamps: 'Časy změn stavu',
+  statusHistory: 'Průběh stavů',
+  netProfitCzk: 'Čistý zisk (CZK)',
+  importId: 'Import',
+  lineItems: 'Položky objednávky',
+  customerId: 'Zákazník (adresář)',
+  supplierId: 'Dodavatel (adresář)',
+  handoverId: 'Předání hotovosti',
+  payoutId: 'Vyúčtování provizí',
+  driverFeeModel: 'Odměna řidiče při doručení',
+  // Directory records (customers, suppliers)
+  name: 'Jméno',
+  phone: 'Telefon',
+  phone2: 'Telefon 2',
+  address: 'Adresa',
+  city: 'Město',
+  contactPerson: 'Kontaktní osoba',
+  email: 'E-mail',
+  currency: 'Měna',
+  leadTimeDays: 'Dodací lhůta (dny)',
+  stockItemId: 'Skladová položka',
+  stockItemIds: 'Skladové položky',
+  commissionRule: 'Pravidlo provize',
+  feeModel: 'Odměna řidiče',
+  deliveryKm: 'Ujeté km',
+  purchaseDate: 'Datum nákupu',
+  collectedAmountCzk: 'Vybráno (CZK)',
+  paymentMethod: 'Způsob platby',
+  collectedBy: 'Vybral',
+};
+
+// Validation errors of normalizeTransaction as readable lines, e.g. "Položka 2 – Nákup (PLN): chybí hodnota".
+// Import rows hold a single line, so they leave the line number out.
+const describeTransactionErrors = (errors, { withLineNumbers = true } = {}) => Object.entries(errors).map(([key, message]) => {
+  const [, currency] = key.match(/^rates\.(.+)$/) || [];
+  if (currency) return `Kurz ${currency}/CZK: ${message}`;
+  const [, index, field] = key.match(/^lineItems\.(\d+)\.(.+)$/) || [];
+  if (!field) return `${FIELD_LABELS[key] || key}: ${message}`;
+  const label = `${FIELD_LABELS[field] || field}: ${message}`;
+  return withLineNumbers ? `Položka ${Number(index) + 1} – ${label}` : label;
+});
+
+// Bookkeeping fields left out of audit snapshots and diffs
+const AUDIT_IGNORED_FIELDS = ['id', 'createdAt', 'deletedAt', 'deletedBy', 'collectedAt'];
+
+// Record as stored in an audit entry: no bookkeeping fields and no undefined values (Firestore rejects them)
+const toAuditSnapshot = (record) => {
+  if (!record) return null;
+  return Object.fromEntries(Object.entries(record).filter(([key, value]) => !AUDIT_IGNORED_FIELDS.includes(key) && value !== undefined));
+};
+
+// Field-level differences between two versions of a record; null stands for "no record"
+const diffRecords = (before, after) => {
+  const from = toAuditSnapshot(before) || {};
+  const to = toAuditSnapshot(after) || {};
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
 };
 
 // Read env
 const __app_id = import.meta.env.VITE_APP_ID || 'default-app-id';
-const __firebase_config = import.meta.env.VITE_FIREBASE_CONFIG || '{}';
 const __initial_auth_token = import.meta.env.VITE_INITIAL_AUTH_TOKEN || '';
+const __auth_emulator_host = import.meta.env.VITE_AUTH_EMULATOR_HOST || '';
+
+// Demo account chosen on the local login screen, kept across reloads
+const DEMO_USER_STORAGE_KEY = `${__app_id}-demo-user`;
 
 // Main App Component
 const App = () => {
   const [currentView, setCurrentView] = useState(Views.TRANSACTIONS);
-  const [transactions, setTransactions] = useState([]);
+  const [period, setPeriod] = useState({ type: PeriodType.WEEK, offset: 0, from: '', to: '' });
+  // Transactions of each loaded sale-date window (see getTransactionWindows), keyed by window
+  const [windowedTransactions, setWindowedTransactions] = useState({});
+  // Sales of stock items and the purchases of the open customer, queried apart from the windows
+  const [stockSales, setStockSales] = useState([]);
+  const [customerPurchases, setCustomerPurchases] = useState([]);
+  const [monthlySummaries, setMonthlySummaries] = useState([]);
+  // Sync state shown in the header: connection, writes not yet confirmed by the server, last full sync
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [lastSyncedAt, setLastSyncedAt] = useState(null);
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const [showSyncDetails, setShowSyncDetails] = useState(false);
   const [sellers, setSellers] = useState([]);
   const [drivers, setDrivers] = useState([]);
+  const [deletedTransactions, setDeletedTransactions] = useState([]);
+  const [deletedSellers, setDeletedSellers] = useState([]);
+  const [deletedDrivers, setDeletedDrivers] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [deletedSuppliers, setDeletedSuppliers] = useState([]);
+  const [stockItems, setStockItems] = useState([]);
+  const [deletedStockItems, setDeletedStockItems] = useState([]);
+  const [stockAgingDays, setStockAgingDays] = useState(STOCK_AGING_DAYS_DEFAULT);
+  // Stock item the stock view handed over to the transaction form for selling
+  const [pendingStockItemId, setPendingStockItemId] = useState(null);
+  const [companySettings, setCompanySettings] = useState(COMPANY_DEFAULTS);
+  const [vatSettings, setVatSettings] = useState(VAT_SETTINGS_DEFAULTS);
+  const [invoices, setInvoices] = useState([]);
+  const [payouts, setPayouts] = useState([]);
+  const [trashRetentionDays, setTrashRetentionDays] = useState(TRASH_RETENTION_DAYS_DEFAULT);
+  const isPurgingTrash = useRef(false);
   const [history, setHistory] = useState([]);
+  const [historyLimit, setHistoryLimit] = useState(HISTORY_PAGE_SIZE);
   const [userId, setUserId] = useState(null);
+  const [userEmail, setUserEmail] = useState('');
+  const [userProfile, setUserProfile] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [importProfiles, setImportProfiles] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  // A storage configuration or startup problem the app cannot run with, shown instead of the app
+  const [startupError, setStartupError] = useState(storageConfigError);
+  const [auth, setAuth] = useState(null);
   const [db, setDb] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
-  const [exchangeRate, setExchangeRate] = useState(PLN_TO_CZK_RATE_DEFAULT);
+  const [defaultRates, setDefaultRates] = useState(DEFAULT_RATES);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [routes, setRoutes] = useState([]);
+  const [cashHandovers, setCashHandovers] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [isCustomerMigrationDone, setIsCustomerMigrationDone] = useState(false);
+  // Kept in App so the open detail survives re-renders caused by snapshot updates
+  const [selectedCustomerId, setSelectedCustomerId] = useState(null);
+
+  // Windows overlap around today, so the same record can arrive twice; soft-deleted ones live only in the trash
+  const transactions = [...new Map(Object.values(windowedTransactions)
+    .flatMap(w => w.docs)
+    .filter(t => !t.deletedAt)
+    .map(t => [t.id, t])).values()];
+  const pendingWrites = Object.values(windowedTransactions).reduce((sum, w) => sum + w.pendingWrites, 0);
 
   // Helper functions for date calculations
   const getWeekNumber = (d) => {
@@ -92,326 +957,1338 @@ const App = () => {
     return `${startDateString} - ${endDateString}`;
   };
 
+  // Range of the shared period as YYYY-MM-DD, start inclusive and end exclusive, so every view
+  // compares it with saleDate the same way
+  const getPeriodRange = ({ type, offset, from, to }) => {
+    const today = new Date();
+    if (type === PeriodType.MONTH) {
+      const start = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+      return {
+        type,
+        start: toLocalDateKey(start),
+        end: toLocalDateKey(new Date(start.getFullYear(), start.getMonth() + 1, 1)),
+        label: start.toLocaleDateString('cs-CZ', { month: 'long', year: 'numeric' }),
+        shortLabel: toLocalDateKey(start).slice(0, 7),
+      };
+    }
+    if (type === PeriodType.CUSTOM) {
+      const dayAfter = (key) => {
+        const d = new Date(`${key}T00:00:00`);
+        return toLocalDateKey(new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1));
+      };
+      const formatDay = (key) => new Date(`${key}T00:00:00`).toLocaleDateString('cs-CZ');
+      // An open-ended range would read every transaction ever made, so until both bounds are set the
+      // range is empty and nothing is queried
+      if (!from || !to || from > to) {
+        return { type, start: '', end: '', isIncomplete: true, label: 'Neúplné období', shortLabel: 'neuplne_obdobi' };
+      }
+      return {
+        type,
+        start: from,
+        end: dayAfter(to),
+        label: `${formatDay(from)} – ${formatDay(to)}`,
+        shortLabel: `${from}_${to}`,
+      };
+    }
+    const weekStart = getStartOfWeek(today);
+    const start = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + offset * 7);
+    return {
+      type,
+      start: toLocalDateKey(start),
+      end: toLocalDateKey(new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7)),
+      label: `${getWeekNumber(start)} (${getWeekRange(start)})`,
+      shortLabel: `${getWeekNumber(start)}_${start.getFullYear()}`,
+    };
+  };
+
+  const periodRange = getPeriodRange(period);
+  const isInPeriod = (t) => Boolean(t.saleDate) && t.saleDate >= periodRange.start && t.saleDate < periodRange.end;
+  const transactionWindows = getTransactionWindows(periodRange, toLocalDateKey(new Date()));
+  const transactionWindowsKey = transactionWindows.map(getWindowKey).join('|');
+  const isDateLoaded = (date) => transactionWindows.some(w => date >= w.start && date < w.end);
+
+  // Rate of a currency to CZK in effect on an ISO date: the latest dated record on or before it,
+  // falling back to the default rate from settings when the table has nothing that old.
+  const getRateForDate = (date = new Date().toISOString().slice(0, 10), currency = DEFAULT_PURCHASE_CURRENCY) => {
+    if (currency === BASE_CURRENCY) return 1;
+    let rate = null;
+    for (const record of exchangeRates) {
+      if (record.date > date) break;
+      if (record.currency === currency) rate = record.rate;
+    }
+    return rate ?? defaultRates[currency];
+  };
+
+  // Reports use the rate snapshots stored on the transaction; records from before currencies have only
+  // the PLN rate, in exchangeRate, and the oldest ones fall back to the table
+  const getTransactionRate = (t, currency = DEFAULT_PURCHASE_CURRENCY) => {
+    if (currency === BASE_CURRENCY) return 1;
+    return parseFloat(t.rates?.[currency])
+      || (currency === 'PLN' && parseFloat(t.exchangeRate))
+      || getRateForDate(t.saleDate, currency);
+  };
+
+  // Rates of an order as the schema takes them: its stored snapshots, else the rates on its sale date
+  const getTransactionRates = (t) => (currency) => getTransactionRate(t, currency);
+
+  // VAT mode and rate the schema gives new transactions without one, from the VAT settings
+  const vatDefaults = { mode: vatSettings.defaultMode, rate: Number(vatSettings.standardRate) || 0 };
+
+  // Purchase cost of a line in CZK; lines sold from stock carry their own purchase rate
+  const getLinePurchaseCzk = (t, line) => (line.purchasePriceCzk !== undefined
+    ? Number(line.purchasePriceCzk) || 0
+    : (Number(line.purchasePrice) || 0) * (parseFloat(line.exchangeRate) || getTransactionRate(t, line.purchaseCurrency)));
+  const getPurchaseCzk = (t) => getLineItems(t).reduce((sum, line) => sum + getLinePurchaseCzk(t, line), 0);
+
+  // Adds the summary updates for transaction changes ({ before, after }) to a batch. The updates are
+  // increments, so they need no read, queue offline like any other write and commit with the change itself.
+  const addSummaryWrites = (batch, changes) => {
+    const deltas = {};
+    changes
+      .filter(change => (change.collectionName || 'transactions') === 'transactions')
+      .forEach(({ before, after }) => [[before, -1], [after, 1]].forEach(([record, sign]) => {
+        const contribution = getSummaryContribution(record);
+        if (!contribution) return;
+        addSummaryValues(deltas[contribution.month] || (deltas[contribution.month] = {}), contribution.values, sign);
+      }));
+    Object.entries(deltas).forEach(([month, delta]) => {
+      const increments = toSummaryIncrements(delta);
+      if (Object.keys(increments).length === 0) return;
+      batch.set(doc(db, `/artifacts/${__app_id}/public/data/summaries`, month), { ...increments, month, updatedAt: serverTimestamp() }, { merge: true });
+    });
+  };
+
+  // One-off read of transactions outside the loaded windows, e.g. for an export of any date range.
+  // Trashed records are included; callers that only want live ones filter them out.
+  const fetchTransactions = async (...constraints) => {
+    const snapshot = await getDocs(query(collection(db, `/artifacts/${__app_id}/public/data/transactions`), ...constraints));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+  };
+
+  const fetchTransactionsInRange = (start, end) => fetchTransactions(where('saleDate', '>=', start), where('saleDate', '<', end));
+
+  // Recomputes every monthly summary from the transactions themselves: once for data from before the
+  // summaries existed, and whenever totals may have drifted, e.g. after edits made outside the app.
+  // On the way it stores the stockItemIds of transactions written before that field existed, and the rate
+  // snapshots of the oldest ones, which have none, from the rate table; the summaries read only stored fields.
+  // Returns the number of months written.
+  const rebuildSummaries = async () => {
+    const summaries = {};
+    const backfills = [];
+    (await fetchTransactions()).forEach(t => {
+      const fields = {};
+      const lines = getLineItems(t);
+      if (!Array.isArray(t.stockItemIds)) {
+        fields.stockItemIds = [...new Set(lines.map(line => line.stockItemId).filter(Boolean))];
+      }
+      const missingRates = Object.fromEntries(lines
+        .filter(line => line.purchasePriceCzk === undefined && !getStoredPurchaseRate(t, line))
+        .map(line => [line.purchaseCurrency, getTransactionRate(t, line.purchaseCurrency)])
+        .filter(([, rate]) => rate > 0));
+      if (Object.keys(missingRates).length > 0) fields.rates = { ...t.rates, ...missingRates };
+      // Orders delivered before the fee snapshots get the driver's current model, once, unless already settled
+      const legacyFeeModel = drivers.find(d => d.name === t.driver)?.feeModel;
+      if (getOrderStatus(t) === OrderStatus.DELIVERED && !t.driverFeeModel && legacyFeeModel && !isPayoutLocked(t)) {
+        fields.driverFeeModel = legacyFeeModel;
+      }
+      if (Object.keys(fields).length > 0) backfills.push([t.id, fields]);
+      const contribution = getSummaryContribution({ ...t, ...fields });
+      if (!contribution) return;
+      addSummaryValues(summaries[contribution.month] || (summaries[contribution.month] = {}), contribution.values);
+    });
+    const summaryRef = (month) => doc(db, `/artifacts/${__app_id}/public/data/summaries`, month);
+    const writes = [
+      ...backfills.map(([id, fields]) => batch => batch.update(doc(db, `/artifacts/${__app_id}/public/data/transactions`, id), fields)),
+      ...Object.entries(summaries).map(([month, values]) => batch => batch.set(summaryRef(month), { ...roundSummaryValues(values), month, updatedAt: serverTimestamp() })),
+      ...monthlySummaries.filter(summary => !summaries[summary.id]).map(summary => batch => batch.delete(summaryRef(summary.id))),
+    ];
+    for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      writes.slice(i, i + FIRESTORE_BATCH_SIZE).forEach(write => write(batch));
+      await batch.commit();
+    }
+    return Object.keys(summaries).length;
+  };
+
   // Initialize Firebase and set up authentication listener
   useEffect(() => {
-    const initializeFirebase = async () => {
+    // Local mode runs on the seeded demo database and the demo accounts, without any Firebase service
+    const initializeLocalStorage = async () => {
       try {
-        const firebaseConfig = JSON.parse(__firebase_config);
-        if (!firebaseConfig || Object.keys(firebaseConfig).length === 0) {
-          console.error("Firebase config is missing.");
-          setIsLoading(false);
-          return;
+        setDb(await openStorage({ appId: __app_id }));
+        const demoUser = DEMO_USERS.find(u => u.uid === localStorage.getItem(DEMO_USER_STORAGE_KEY));
+        if (demoUser) {
+          setUserId(demoUser.uid);
+          setUserEmail(demoUser.email);
         }
+      } catch (e) {
+        console.error("Error opening local storage:", e);
+      }
+      setIsAuthReady(true);
+      setIsLoading(false);
+    };
+
+    const initializeFirebase = async () => {
+      try {
 
         const app = initializeApp(firebaseConfig);
-        const auth = getAuth(app);
-        const firestore = getFirestore(app);
+        const firebaseAuth = getAuth(app);
+        const firestore = await openStorage({ app });
+        if (__auth_emulator_host) {
+          connectAuthEmulator(firebaseAuth, __auth_emulator_host, { disableWarnings: true });
+        }
+        setAuth(firebaseAuth);
         setDb(firestore);
 
         if (__initial_auth_token) {
-          await signInWithCustomToken(auth, __initial_auth_token);
-        } else {
-          await signInAnonymously(auth);
+          await signInWithCustomToken(firebaseAuth, __initial_auth_token);
         }
 
-        auth.onAuthStateChanged(user => {
+        onAuthStateChanged(firebaseAuth, user => {
           if (user) {
             setUserId(user.uid);
-            setIsAuthReady(true);
+            setUserEmail(user.email || '');
           } else {
             setUserId(null);
-            setIsAuthReady(true);
+            setUserEmail('');
+            setUserProfile(null);
           }
+          setIsAuthReady(true);
           setIsLoading(false);
         });
       } catch (e) {
         console.error("Error during Firebase initialization or sign-in:", e);
+        setStartupError(`Připojení k Firebase se nezdařilo: ${e.message}`);
         setIsLoading(false);
       }
     };
 
-    initializeFirebase();
+    if (storageConfigError) {
+      setIsLoading(false);
+    } else if (isLocalStorage) {
+      initializeLocalStorage();
+    } else {
+      initializeFirebase();
+    }
   }, []);
 
-  // Fetch data from Firestore once authenticated
+  // Load the signed-in user's profile; the very first account becomes the administrator,
+  // every later one waits as pending until an admin assigns a role.
   useEffect(() => {
-    if (db && userId) {
-      const unsubTransactions = onSnapshot(
-        query(collection(db, `/artifacts/${__app_id}/public/data/transactions`)),
-        (snapshot) => {
-          const fetched = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-          setTransactions(fetched);
-        },
-        (error) => console.error("Error fetching transactions:", error)
+    if (!db || !userId) return;
+
+    const profileRef = doc(db, `/artifacts/${__app_id}/public/data/users`, userId);
+    const createProfile = async () => {
+      try {
+        const bootstrapRef = doc(db, `/artifacts/${__app_id}/public/data/settings`, 'adminBootstrap');
+        const bootstrap = await getDoc(bootstrapRef);
+        const isFirstUser = !bootstrap.exists();
+        const batch = writeBatch(db);
+        batch.set(profileRef, {
+          email: userEmail,
+          displayName: userEmail,
+          role: isFirstUser ? Roles.ADMIN : Roles.PENDING,
+          personId: '',
+          createdAt: serverTimestamp(),
+        });
+        if (isFirstUser) {
+          batch.set(bootstrapRef, { uid: userId, timestamp: serverTimestamp() });
+        }
+        await batch.commit();
+      } catch (e) {
+        console.error("Error creating user profile:", e);
+      }
+    };
+
+    const unsubProfile = onSnapshot(
+      profileRef,
+      (snapshot) => {
+        if (snapshot.exists()) {
+          setUserProfile({ id: snapshot.id, ...snapshot.data() });
+        } else {
+          createProfile();
+        }
+      },
+      (error) => console.error("Error fetching user profile:", error)
+    );
+
+    return () => unsubProfile();
+  }, [db, userId, userEmail]);
+
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Fetch data from Firestore once authenticated and approved
+  const userRole = userProfile?.role || Roles.PENDING;
+  // Drivers may only read their own deliveries, routes and cash handovers, and none of the company's customers,
+  // history, stock, invoices, payouts or totals (see firestore.rules), so their queries carry the driver name or
+  // ID and the rest is not subscribed
+  const isDriverRole = userRole === Roles.DRIVER;
+  const ownDriverFilter = isDriverRole ? [where('driver', '==', userProfile?.displayName || '')] : [];
+  const ownDriverIdFilter = isDriverRole ? [where('driverId', '==', userProfile?.personId || '')] : [];
+  useEffect(() => {
+    if (db && userId && userRole !== Roles.PENDING) {
+      // The trash is needed whole for the retention purge, whatever period the views show
+      const unsubDeletedTransactions = isDriverRole ? () => {} : onSnapshot(
+        query(collection(db, `/artifacts/${__app_id}/public/data/transactions`), where('deletedAt', '!=', null)),
+        (snapshot) => setDeletedTransactions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching deleted transactions:", error)
       );
 
       const unsubSellers = onSnapshot(
         query(collection(db, `/artifacts/${__app_id}/public/data/sellers`)),
-        (snapshot) => setSellers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (snapshot) => {
+          const fetched = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+          setSellers(fetched.filter(s => !s.deletedAt));
+          setDeletedSellers(fetched.filter(s => s.deletedAt));
+        },
         (error) => console.error("Error fetching sellers:", error)
       );
 
       const unsubDrivers = onSnapshot(
         query(collection(db, `/artifacts/${__app_id}/public/data/drivers`)),
-        (snapshot) => setDrivers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (snapshot) => {
+          const fetched = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+          setDrivers(fetched.filter(d => !d.deletedAt));
+          setDeletedDrivers(fetched.filter(d => d.deletedAt));
+        },
         (error) => console.error("Error fetching drivers:", error)
       );
 
-      const unsubHistory = onSnapshot(
-        query(collection(db, `/artifacts/${__app_id}/public/data/history`)),
-        (snapshot) => setHistory(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
-        (error) => console.error("Error fetching history:", error)
+      const unsubSuppliers = onSnapshot(
+        query(collection(db, `/artifacts/${__app_id}/public/data/suppliers`)),
+        (snapshot) => {
+          const fetched = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+          setSuppliers(fetched.filter(s => !s.deletedAt));
+          setDeletedSuppliers(fetched.filter(s => s.deletedAt));
+        },
+        (error) => console.error("Error fetching suppliers:", error)
+      );
+
+      const unsubStockItems = isDriverRole ? () => {} : onSnapshot(
+        query(collection(db, `/artifacts/${__app_id}/public/data/stockItems`)),
+        (snapshot) => {
+          const fetched = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+          setStockItems(fetched.filter(s => !s.deletedAt));
+          setDeletedStockItems(fetched.filter(s => s.deletedAt));
+        },
+        (error) => console.error("Error fetching stock items:", error)
+      );
+
+      // One document per sale month, so a few hundred documents cover decades of analytics
+      const unsubSummaries = isDriverRole ? () => {} : onSnapshot(
+        query(collection(db, `/artifacts/${__app_id}/public/data/summaries`)),
+        (snapshot) => setMonthlySummaries(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching summaries:", error)
       );
 
       const unsubSettings = onSnapshot(
         query(collection(db, `/artifacts/${__app_id}/public/data/settings`)),
         (snapshot) => {
           const settings = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+          // The setting once held only the PLN rate, in `value`
           const rateSetting = settings.find(s => s.id === 'exchangeRate');
-          if (rateSetting && rateSetting.value) {
-            setExchangeRate(parseFloat(rateSetting.value));
+          setDefaultRates({
+            ...DEFAULT_RATES,
+            ...(parseFloat(rateSetting?.value) > 0 ? { PLN: parseFloat(rateSetting.value) } : {}),
+            ...(rateSetting?.rates || {}),
+          });
+          setIsCustomerMigrationDone(settings.some(s => s.id === 'customerMigration'));
+          const trashSetting = settings.find(s => s.id === 'trash');
+          if (trashSetting && parseInt(trashSetting.retentionDays, 10) > 0) {
+            setTrashRetentionDays(parseInt(trashSetting.retentionDays, 10));
+          }
+          const companySetting = settings.find(s => s.id === 'company');
+          setCompanySettings({ ...COMPANY_DEFAULTS, ...(companySetting || {}) });
+          const vatSetting = settings.find(s => s.id === 'vat');
+          setVatSettings({ ...VAT_SETTINGS_DEFAULTS, ...(vatSetting || {}) });
+          const stockSetting = settings.find(s => s.id === 'stock');
+          if (stockSetting && parseInt(stockSetting.agingDays, 10) > 0) {
+            setStockAgingDays(parseInt(stockSetting.agingDays, 10));
           }
         },
         (error) => console.error("Error fetching settings:", error)
       );
 
-      return () => {
-        unsubTransactions();
-        unsubSellers();
-        unsubDrivers();
-        unsubHistory();
-        unsubSettings();
-      };
-    }
-  }, [db, userId]);
+      const unsubExchangeRates = isDriverRole ? () => {} : onSnapshot(
+        query(collection(db, `/artifacts/${__app_id}/public/data/exchangeRates`)),
+        (snapshot) => {
+          const rates = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(r => CURRENCIES.includes(r.currency) && r.date && parseFloat(r.rate) > 0)
+            .map(r => ({ ...r, rate: parseFloat(r.rate) }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+          setExchangeRates(rates);
+        },
+        (error) => console.error("Error fetching exchange rates:", error)
+      );
 
-  if (isLoading || !isAuthReady) {
-    return <div className="flex justify-center items-center h-screen text-lg">Načítání aplikace...</div>;
-  }
+      const unsubCustomers = isDriverRole ? () => {} : onSnapshot(
+        query(collection(db, `/artifacts/${__app_id}/public/data/customers`)),
+        (snapshot) => setCustomers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching customers:", error)
+      );
+
+      const unsubInvoices = isDriverRole ? () => {} : onSnapshot(
+        query(collection(db, `/artifacts/${__app_id}/public/data/invoices`)),
+        (snapshot) => setInvoices(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching invoices:", error)
+      );
+
+      const unsubPayouts = isDriverRole ? () => {} : onSnapshot(
+        query(collection(db, `/artifacts/${__app_id}/public/data/payouts`)),
+        (snapshot) => setPayouts(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching payouts:", error)
+      );
+
+      const unsubRoutes = onSnapshot(
+        query(collection(db, `/artifacts/${__app_id}/public/data/routes`), ...ownDriverIdFilter),
+        (snapshot) => setRoutes(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching routes:", error)
+      );
+
+      const unsubCashHandovers = onSnapshot(
+        query(collection(db, `/artifacts/${__app_id}/public/data/cashHandovers`), ...ownDriverIdFilter),
+        (snapshot) => setCashHandovers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+        (error) => console.error("Error fetching cash handovers:", error)
+      );
+
+      const unsubUsers = userRole === Roles.ADMIN
+        ? onSnapshot(
+          query(collection(db, `/artifacts/${__app_id}/public/data/users`)),
+          (snapshot) => setUsers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+          (error) => console.error("Error fetching users:", error)
+        )
+        : () => {};
+
+      const unsubImportProfiles = userRole === Roles.ADMIN
+        ? onSnapshot(
+          query(collection(db, `/artifacts/${__app_id}/public/data/importProfiles`)),
+          (snapshot) => setImportProfiles(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+          (error) => console.error("Error fetching import profiles:", error)
+        )
+        : () => {};
+
+      return () => {
+        unsubDeletedTransactions();
+        unsubSellers();
+        unsubDrivers();
+        unsubSuppliers();
+        unsubStockItems();
+        unsubSummaries();
+        unsubSettings();
+        unsubExchangeRates();
+        unsubRoutes();
+        unsubCashHandovers();
+        unsubCustomers();
+        unsubInvoices();
+        unsubPayouts();
+        unsubUsers();
+        unsubImportProfiles();
+      };
+    }
+  }, [db, userId, userRole, userProfile?.personId]);
+
+  // Transactions are queried by sale date for the loaded windows only, never the whole collection
+  useEffect(() => {
+    if (!db || !userId || userRole === Roles.PENDING) return;
+    const windowKeys = transactionWindows.map(getWindowKey);
+    const unsubscribes = transactionWindows.map(w => onSnapshot(
+      query(
+        collection(db, `/artifacts/${__app_id}/public/data/transactions`),
+        ...ownDriverFilter,
+        where('saleDate', '>=', w.start),
+        where('saleDate', '<', w.end),
+        orderBy('saleDate')
+      ),
+      { includeMetadataChanges: true },
+      (snapshot) => {
+        // Windows of the previous period stay on screen until the first snapshot of the new ones
+        setWindowedTransactions(prev => ({
+          ...Object.fromEntries(Object.entries(prev).filter(([key]) => windowKeys.includes(key))),
+          [getWindowKey(w)]: {
+            docs: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+            pendingWrites: snapshot.docs.filter(d => d.metadata.hasPendingWrites).length,
+          },
+        }));
+        if (!snapshot.metadata.fromCache && !snapshot.metadata.hasPendingWrites) {
+          setLastSyncedAt(new Date());
+        }
+      },
+      (error) => console.error("Error fetching transactions:", error)
+    ));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [db, userId, userRole, userProfile?.displayName, transactionWindowsKey]);
+
+  // History is append-only, so the newest entries are enough until someone asks for older ones
+  useEffect(() => {
+    if (!db || !userId || userRole === Roles.PENDING || isDriverRole) return;
+    return onSnapshot(
+      query(collection(db, `/artifacts/${__app_id}/public/data/history`), orderBy('timestamp', 'desc'), limit(historyLimit)),
+      (snapshot) => setHistory(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))),
+      (error) => console.error("Error fetching history:", error)
+    );
+  }, [db, userId, userRole, historyLimit]);
+
+  // Sales of the stock items, found by the stockItemIds each transaction carries, so only those orders are read.
+  // A query takes at most STOCK_QUERY_CHUNK_SIZE IDs, so the items are watched in chunks.
+  const stockItemIdsKey = stockItems.map(s => s.id).sort().join(',');
+  useEffect(() => {
+    if (!db || !userId || userRole === Roles.PENDING || isDriverRole || !stockItemIdsKey) {
+      setStockSales([]);
+      return;
+    }
+    const ids = stockItemIdsKey.split(',');
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += STOCK_QUERY_CHUNK_SIZE) chunks.push(ids.slice(i, i + STOCK_QUERY_CHUNK_SIZE));
+    const salesByChunk = chunks.map(() => []);
+    const unsubscribes = chunks.map((chunk, index) => onSnapshot(
+      query(collection(db, `/artifacts/${__app_id}/public/data/transactions`), where('stockItemIds', 'array-contains-any', chunk)),
+      (snapshot) => {
+        salesByChunk[index] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(t => !t.deletedAt);
+        // An order selling items from two chunks comes back from both
+        setStockSales([...new Map(salesByChunk.flat().map(t => [t.id, t])).values()]);
+      },
+      (error) => console.error("Error fetching stock sales:", error)
+    ));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [db, userId, userRole, stockItemIdsKey]);
+
+  // All purchases of the customer open in the directory, whenever they were made
+  useEffect(() => {
+    if (!db || !userId || userRole === Roles.PENDING || isDriverRole || !selectedCustomerId) {
+      setCustomerPurchases([]);
+      return;
+    }
+    return onSnapshot(
+      query(collection(db, `/artifacts/${__app_id}/public/data/transactions`), where('customerId', '==', selectedCustomerId)),
+      (snapshot) => setCustomerPurchases(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(t => !t.deletedAt)),
+      (error) => console.error("Error fetching customer purchases:", error)
+    );
+  }, [db, userId, userRole, selectedCustomerId]);
+
+  // Purge trashed records older than the retention period; runs in an admin's session
+  useEffect(() => {
+    if (!db || userRole !== Roles.ADMIN || isPurgingTrash.current) return;
+    const cutoff = Date.now() - trashRetentionDays * 86400000;
+    const expired = [
+      ...deletedTransactions.map(r => ({ ...r, collectionName: 'transactions' })),
+      ...deletedSellers.map(r => ({ ...r, collectionName: 'sellers' })),
+      ...deletedDrivers.map(r => ({ ...r, collectionName: 'drivers' })),
+      ...deletedSuppliers.map(r => ({ ...r, collectionName: 'suppliers' })),
+      ...deletedStockItems.map(r => ({ ...r, collectionName: 'stockItems' })),
+    ].filter(r => r.deletedAt?.toDate && r.deletedAt.toDate().getTime() < cutoff)
+      // Settled and invoiced transactions stay until an admin deals with them, as for an undone import
+      .filter(r => !(r.collectionName === 'transactions' && (isPayoutLocked(r) || invoicedTransactionIds.has(r.id))));
+    if (expired.length === 0) return;
+
+    const purgeExpired = async () => {
+      isPurgingTrash.current = true;
+      try {
+        for (let i = 0; i < expired.length; i += FIRESTORE_BATCH_SIZE) {
+          const batch = writeBatch(db);
+          expired.slice(i, i + FIRESTORE_BATCH_SIZE).forEach(r => {
+            batch.delete(doc(db, `/artifacts/${__app_id}/public/data/${r.collectionName}`, r.id));
+          });
+          await batch.commit();
+        }
+        await addDoc(collection(db, `/artifacts/${__app_id}/public/data/history`), {
+          action: 'Trvale smazáno',
+          details: `Z koše trvale odstraněno ${expired.length} záznamů starších než ${trashRetentionDays} dní.`,
+          timestamp: serverTimestamp(),
+          actorUid: userId,
+          actorName: userProfile?.displayName || userEmail,
+        });
+      } catch (e) {
+        console.error("Error purging trash:", e);
+      } finally {
+        isPurgingTrash.current = false;
+      }
+    };
+    purgeExpired();
+  }, [db, userRole, deletedTransactions, deletedSellers, deletedDrivers, deletedSuppliers, deletedStockItems, trashRetentionDays, payouts, invoices]);
+
+  // Keep the current view within what the role is allowed to open
+  useEffect(() => {
+    const allowedViews = ROLE_VIEWS[userRole] || [];
+    if (allowedViews.length > 0 && !allowedViews.includes(currentView)) {
+      setCurrentView(allowedViews[0]);
+    }
+  }, [userRole, currentView]);
+
+  if (startupError) {
+    return (
+      <div className="flex justify-center items-center h-screen p-4">
+        <div className="max-w-xl bg-red-50 border border-red-200 rounded-xl p-6 text-red-800">
+          <h1 className="text-lg font-bold mb-2">Aplikaci nelze spustit</h1>
+          <p>{startupError}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (isLoading || !isAuthReady) {
+    return <div className="flex justify-center items-center h-screen text-lg">Načítání aplikace...</div>;
+  }
+
+  const isAdmin = userRole === Roles.ADMIN;
+  const canAccess = (view) => (ROLE_VIEWS[userRole] || []).includes(view);
+  const linkedPerson = userRole === Roles.DRIVER
+    ? drivers.find(d => d.id === userProfile?.personId)
+    : sellers.find(s => s.id === userProfile?.personId);
+
+  // Who performed an action, stamped onto every history entry
+  const actor = {
+    actorUid: userId,
+    actorName: linkedPerson?.name || userProfile?.displayName || userEmail,
+  };
+
+  // Appends an audit entry with the actor, the changed fields and the record as it stands after the action
+  // (as it stood before, for deletes), so any entry can later be diffed or reverted to
+  const buildHistoryEntry = ({ action, docId, details, before = null, after = null, collectionName = 'transactions' }) => ({
+    action,
+    collection: collectionName,
+    docId,
+    details,
+    changes: diffRecords(before, after),
+    snapshot: toAuditSnapshot(after || before),
+    timestamp: serverTimestamp(),
+    ...actor,
+  });
+
+  // Every change of a transaction passes through here, which keeps the monthly summaries in step
+  const recordHistory = async (entry) => {
+    const batch = writeBatch(db);
+    batch.set(doc(collection(db, `/artifacts/${__app_id}/public/data/history`)), buildHistoryEntry(entry));
+    addSummaryWrites(batch, [entry]);
+    await batch.commit();
+  };
+
+  // A queued write the server refused once back online, typically because someone else changed the
+  // record in the meantime; kept in the header until dismissed so the user can redo it by hand
+  const reportSyncConflict = (label, error) => {
+    setSyncConflicts(prev => [...prev, { id: `${Date.now()}_${prev.length}`, label, message: error.message, at: new Date() }]);
+  };
+
+  // Changes a record together with its history entry and, for transactions, the monthly summaries. The summary
+  // increments are taken from the record as stored, not as this client last loaded it: online the record is read
+  // in a Firestore transaction, which runs again if someone changes it meanwhile. Offline, where transactions
+  // cannot run, the change is built from the loaded record and queued as one batch; if the server refuses it,
+  // neither write is applied. buildChange(current) returns { changes } or, to replace the whole record,
+  // { replace }, plus the history entry with the record afterwards in entry.after; it throws to refuse the
+  // change. Only with mayCreate is it called for a record that does not exist, with current null. addWrites(writer)
+  // stages further writes that must commit with the change.
+  const commitChange = async (collectionName, docId, loaded, buildChange, { mayCreate = false, addWrites = () => {} } = {}) => {
+    const recordRef = doc(db, `/artifacts/${__app_id}/public/data/${collectionName}`, docId);
+    const stage = (writer, current) => {
+      if (!current && !mayCreate) throw new Error("Záznam mezitím někdo smazal.");
+      if (collectionName === 'transactions' && current && isPayoutLocked(current)) {
+        throw new Error("Transakce je součástí uzavřeného vyúčtování provizí a nelze ji měnit.");
+      }
+      const { changes, replace, entry } = buildChange(current);
+      if (replace) writer.set(recordRef, replace);
+      else writer.update(recordRef, changes);
+      const historyEntry = { docId, collectionName, before: current, ...entry };
+      writer.set(doc(collection(db, `/artifacts/${__app_id}/public/data/history`)), buildHistoryEntry(historyEntry));
+      addSummaryWrites(writer, [historyEntry]);
+      addWrites(writer);
+    };
+    if (!isLocalStorage && !isOnline) {
+      const batch = writeBatch(db);
+      stage(batch, loaded);
+      await batch.commit();
+      return;
+    }
+    await runTransaction(db, async (firestoreTransaction) => {
+      const snapshot = await firestoreTransaction.get(recordRef);
+      stage(firestoreTransaction, snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+    });
+  };
+
+  // One entry of the status log of an order. Firestore arrays cannot hold server timestamps, so the entry
+  // carries the device time.
+  const buildStatusEntry = (status) => ({ status, at: Timestamp.now(), by: actor.actorName });
+
+  // Moves a transaction along the order workflow. statusTimestamps keeps the last time each state was
+  // reached, statusHistory every change in order, so a state entered again does not lose the earlier visit.
+  const changeOrderStatus = async (item, status) => {
+    const isAllowedFrom = (currentStatus) => ORDER_STATUS_TRANSITIONS[currentStatus].includes(status)
+      && !(isDriverRole && STAFF_ONLY_STATUSES.includes(status));
+    const describeRefusal = (currentStatus) => `Změna stavu z „${ORDER_STATUS_LABELS[currentStatus]}“ na „${ORDER_STATUS_LABELS[status]}“ není povolena.`;
+    if (!isAllowedFrom(getOrderStatus(item))) {
+      window.alert(describeRefusal(getOrderStatus(item)));
+      return;
+    }
+    if (isLockedByPayout(item)) return;
+    // The delivery is paid under the fee model in force when it was delivered, whatever the driver's model later
+    // becomes. A driver's own record is the one the rules compare the snapshot with.
+    const deliveryDriver = isDriverRole ? linkedPerson : drivers.find(d => d.name === item.driver);
+    const feeSnapshot = status === OrderStatus.DELIVERED && deliveryDriver?.feeModel ? { driverFeeModel: deliveryDriver.feeModel } : {};
+    try {
+      await commitChange('transactions', item.id, item, (current) => {
+        // The order may have moved on since it was loaded
+        const currentStatus = getOrderStatus(current);
+        if (!isAllowedFrom(currentStatus)) throw new Error(describeRefusal(currentStatus));
+        return {
+          changes: {
+            status,
+            [`statusTimestamps.${status}`]: serverTimestamp(),
+            statusHistory: arrayUnion(buildStatusEntry(status)),
+            ...feeSnapshot,
+          },
+          entry: {
+            action: 'Změna stavu',
+            details: `Položka '${current.itemName}': ${ORDER_STATUS_LABELS[currentStatus]} → ${ORDER_STATUS_LABELS[status]}.`,
+            after: { ...current, status, ...feeSnapshot },
+          },
+        };
+      });
+    } catch (e) {
+      console.error("Error changing order status: ", e);
+      reportSyncConflict(`Stav '${item.itemName}' → ${ORDER_STATUS_LABELS[status]}`, e);
+    }
+  };
+
+  // A transaction stays invoiced until its invoice is cancelled by a credit note
+  const creditNotesByInvoice = Object.fromEntries(invoices
+    .filter(i => i.type === InvoiceType.CREDIT_NOTE)
+    .map(i => [i.correctedInvoiceId, i]));
+  const invoicedTransactionIds = new Set(invoices
+    .filter(i => i.type === InvoiceType.INVOICE && !creditNotesByInvoice[i.id])
+    .flatMap(i => i.transactionIds || []));
+
+  // Transactions settled by a closed commission payout can no longer be changed in any way. Closing a payout
+  // stamps its ID on them (payoutId), which the rules enforce; payouts closed before that are known by their list.
+  const lockedTransactionIds = new Set(payouts.flatMap(p => p.transactionIds || []));
+  const isPayoutLocked = (item) => Boolean(item.payoutId) || lockedTransactionIds.has(item.id);
+  const isLockedByPayout = (item) => {
+    if (!isPayoutLocked(item)) return false;
+    window.alert("Transakce je součástí uzavřeného vyúčtování provizí a nelze ji měnit.");
+    return true;
+  };
+
+  // Expected pay for a stop on the driver statement: the snapshotted fee once delivered, the driver's current
+  // model for stops still on their way. Profit figures use getStoredDeliveryFee only.
+  const getDriverFee = (t) => getDeliveryFee(t, t.driverFeeModel || drivers.find(d => d.name === t.driver)?.feeModel);
+
+  // Kilometres driven for a delivery, the basis of per-km driver fees
+  const recordDeliveryKm = async (item, km) => {
+    if (isLockedByPayout(item)) return;
+    try {
+      await commitChange('transactions', item.id, item, (current) => ({
+        changes: { deliveryKm: km },
+        entry: {
+          action: 'Kilometry',
+          details: `Položka '${current.itemName}': ${km} km.`,
+          after: { ...current, deliveryKm: km },
+        },
+      }));
+    } catch (e) {
+      console.error("Error recording delivery distance: ", e);
+      reportSyncConflict(`Kilometry '${item.itemName}'`, e);
+    }
+  };
+
+  // What the driver collected at the door; entering it again overwrites the previous amount
+  const recordCollection = async (item, amount, paymentMethod) => {
+    if (isLockedByPayout(item)) return;
+    try {
+      await commitChange('transactions', item.id, item, (current) => ({
+        changes: {
+          collectedAmountCzk: amount,
+          paymentMethod,
+          collectedAt: serverTimestamp(),
+          collectedBy: actor.actorName,
+        },
+        entry: {
+          action: 'Inkaso',
+          details: `Položka '${current.itemName}': vybráno ${amount} CZK (${PAYMENT_METHOD_LABELS[paymentMethod]}).`,
+          after: { ...current, collectedAmountCzk: amount, paymentMethod, collectedBy: actor.actorName },
+        },
+      }));
+    } catch (e) {
+      console.error("Error recording collection: ", e);
+      reportSyncConflict(`Inkaso '${item.itemName}'`, e);
+    }
+  };
+
+  // Moves a sale a week on. Only the date changes, so only the date is checked and written, together with the
+  // rate snapshots: they are pinned so the later date does not reprice an already made purchase. The rest of
+  // the record, older records included, stays exactly as stored.
+  const handleMoveItemToNextWeek = async (item) => {
+    if (isLockedByPayout(item)) return;
+    try {
+      await commitChange('transactions', item.id, item, (current) => {
+        const currentDate = parseDate(current.saleDate);
+        if (!currentDate) throw new Error(`Záznam nemá platné datum prodeje (${current.saleDate || 'prázdné'}).`);
+        const saleDate = shiftDateKey(currentDate, 7);
+        const currencies = new Set(getLineItems(current)
+          .flatMap(line => [line.purchaseCurrency, line.saleCurrency])
+          .filter(currency => currency !== BASE_CURRENCY));
+        const rates = {
+          ...current.rates,
+          ...Object.fromEntries([...currencies]
+            .map(currency => [currency, getTransactionRate(current, currency)])
+            .filter(([, rate]) => rate > 0)),
+        };
+        const changes = Object.keys(rates).length > 0 ? { saleDate, rates } : { saleDate };
+        return {
+          changes,
+          entry: {
+            action: 'Posunuto o týden',
+            details: `Položka '${current.itemName}' posunuta na týden: ${getWeekNumber(new Date(`${saleDate}T00:00:00`))}.`,
+            after: { ...current, ...changes },
+          },
+        };
+      });
+    } catch (e) {
+      console.error("Error moving item to next week: ", e);
+      window.alert(`Záznam nelze posunout: ${e.message}`);
+    }
+  };
+
+  // Customer a transaction belongs to: the one picked in the form, else a directory match, else a new entry.
+  // A new entry only gets its ID here; addCustomerWrite(writer) adds it to the write that saves the transaction,
+  // so a save that fails leaves no customer behind.
+  const resolveCustomer = (t) => {
+    const existing = (customerId) => ({ customerId, addCustomerWrite: () => {} });
+    if (t.customerId && customers.some(c => c.id === t.customerId)) return existing(t.customerId);
+    const data = customerFromTransaction(t);
+    if (!data.name && !data.phone) return existing('');
+    const match = findMatchingCustomer(customers, t);
+    if (match) return existing(match.id);
+    const customerRef = doc(collection(db, `/artifacts/${__app_id}/public/data/customers`));
+    return {
+      customerId: customerRef.id,
+      addCustomerWrite: (writer) => writer.set(customerRef, { ...data, createdAt: serverTimestamp() }),
+    };
+  };
+
+  // Soft delete: the record is flagged and disappears from every view until restored or purged
+  const moveToTrash = (collectionName, record, details) => commitChange(collectionName, record.id, record, () => ({
+    changes: { deletedAt: serverTimestamp(), deletedBy: actor.actorName },
+    entry: { action: 'Smazáno', details },
+  }));
+
+  // Moves every live transaction stamped with the import ID to the trash, each with its own history entry,
+  // so an undone import can still be restored record by record. Refuses the whole undo when any of the
+  // records has been invoiced or settled by a payout; returns how many were moved. addClosingWrites(batch, count)
+  // adds at most two writes to the last batch, so they are committed together with the last records.
+  const deleteImportedTransactions = async (importId, details, addClosingWrites = () => {}) => {
+    const records = (await fetchTransactions(where('importId', '==', importId))).filter(t => !t.deletedAt);
+    const blocked = records.filter(t => invoicedTransactionIds.has(t.id) || isPayoutLocked(t));
+    if (blocked.length > 0) {
+      throw new Error(`Import nelze vrátit: ${blocked.length} z jeho záznamů je vyfakturováno nebo uzavřeno ve vyúčtování provizí.`);
+    }
+    // Per record a trash flag, a history entry and at most one summary month; an import without live records
+    // still gets its one batch for the closing writes
+    const chunkSize = Math.floor((FIRESTORE_BATCH_SIZE - 2) / 3);
+    for (let i = 0; i === 0 || i < records.length; i += chunkSize) {
+      const batch = writeBatch(db);
+      const entries = records.slice(i, i + chunkSize).map(record => ({ action: 'Smazáno', docId: record.id, details, before: record }));
+      entries.forEach(entry => {
+        batch.update(doc(db, `/artifacts/${__app_id}/public/data/transactions`, entry.docId), {
+          deletedAt: serverTimestamp(),
+          deletedBy: actor.actorName,
+        });
+        batch.set(doc(collection(db, `/artifacts/${__app_id}/public/data/history`)), buildHistoryEntry(entry));
+      });
+      addSummaryWrites(batch, entries);
+      if (i + chunkSize >= records.length) addClosingWrites(batch, records.length);
+      await batch.commit();
+    }
+    return records.length;
+  };
+
+  const signInDemoUser = (demoUser) => {
+    localStorage.setItem(DEMO_USER_STORAGE_KEY, demoUser.uid);
+    setUserId(demoUser.uid);
+    setUserEmail(demoUser.email);
+  };
+
+  const handleSignOut = async () => {
+    if (isLocalStorage) {
+      localStorage.removeItem(DEMO_USER_STORAGE_KEY);
+      setUserId(null);
+      setUserEmail('');
+      setUserProfile(null);
+      return;
+    }
+    try {
+      await signOut(auth);
+    } catch (e) {
+      console.error("Error signing out:", e);
+    }
+  };
 
   // --- Components for each view ---
 
-  const TransactionsView = ({ sellers, drivers, db, transactions }) => {
-    // Helpers for formatting
-    const formatPhone = (raw) => {
-      const s = String(raw || '').replace(/\D+/g, '');
-      if (!s) return '-';
-      if (s.startsWith('420')) {
-        const rest = s.slice(3);
-        const grouped = rest.replace(/(\d{3})(?=\d)/g, '$1 ').trim();
-        return '+420 ' + grouped;
+  // Current state as a badge plus a picker offering only the allowed transitions; the tooltip lists every change
+  const OrderStatusSelect = ({ item, locked = false }) => {
+    const status = getOrderStatus(item);
+    const nextStatuses = locked ? [] : ORDER_STATUS_TRANSITIONS[status].filter(next => !isDriverRole || !STAFF_ONLY_STATUSES.includes(next));
+    const reachedAt = item.statusTimestamps?.[status]?.toDate?.();
+    const statusLog = (item.statusHistory || [])
+      .map(entry => `${entry.at?.toDate?.().toLocaleString('cs-CZ') || ''} ${ORDER_STATUS_LABELS[entry.status] || entry.status}${entry.by ? ` (${entry.by})` : ''}`)
+      .join('\n');
+    return (
+      <div className="flex items-center gap-2" title={statusLog || (reachedAt ? `Od ${reachedAt.toLocaleString('cs-CZ')}` : undefined)}>
+        <OrderStatusBadge status={status} />
+        {nextStatuses.length > 0 && (
+          <select value="" onChange={(e) => e.target.value && changeOrderStatus(item, e.target.value)} className="p-1 border border-gray-300 rounded-lg text-xs">
+            <option value="">Změnit…</option>
+            {nextStatuses.map(next => (
+              <option key={next} value={next}>{ORDER_STATUS_LABELS[next]}</option>
+            ))}
+          </select>
+        )}
+      </div>
+    );
+  };
+
+  // Amount and payment method entered by the driver; read-only once the week's cash was handed over
+  const CashCollectionCell = ({ item, locked }) => {
+    if (locked) {
+      return item.paymentMethod
+        ? <span>{item.collectedAmountCzk} CZK ({PAYMENT_METHOD_LABELS[item.paymentMethod]})</span>
+        : <span className="text-gray-400">-</span>;
+    }
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      const form = new FormData(e.target);
+      const amount = parseFloat(String(form.get('amount')).replace(',', '.'));
+      if (isNaN(amount) || amount < 0) {
+        window.alert("Zadejte prosím platnou vybranou částku.");
+        return;
       }
-      return s.replace(/(\d{3})(?=\d)/g, '$1 ').trim();
+      recordCollection(item, amount, form.get('paymentMethod'));
     };
+    return (
+      <form onSubmit={handleSubmit} className="flex items-center gap-1">
+        <input name="amount" type="number" step="1" min="0" defaultValue={item.collectedAmountCzk ?? item.sellingPriceCzk ?? ''} className="w-24 p-1 border border-gray-300 rounded-lg text-xs" />
+        <select name="paymentMethod" defaultValue={item.paymentMethod || PaymentMethod.CASH} className="p-1 border border-gray-300 rounded-lg text-xs">
+          {Object.values(PaymentMethod).map(method => (
+            <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+          ))}
+        </select>
+        <button type="submit" className={`p-1 rounded-lg ${item.paymentMethod ? 'text-green-600 hover:text-green-800' : 'text-indigo-600 hover:text-indigo-900'}`} title="Uložit vybranou částku">
+          <Save className="h-4 w-4" />
+        </button>
+      </form>
+    );
+  };
 
-    const [newItem, setNewItem] = useState({
-            deliveryCity: '',
-      customerPhone2: '',
-itemName: '',
-      brand: '',
-      model: '',
-      purchasePricePln: '',
-      sellingPriceCzk: '',
+  const DeliveryKmCell = ({ item, locked }) => {
+    if (locked) return <span>{item.deliveryKm ?? '-'}</span>;
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      const km = parseFloat(String(new FormData(e.target).get('km')).replace(',', '.'));
+      if (isNaN(km) || km < 0) {
+        window.alert("Zadejte prosím platný počet kilometrů.");
+        return;
+      }
+      recordDeliveryKm(item, km);
+    };
+    return (
+      <form onSubmit={handleSubmit} className="flex items-center gap-1">
+        <input name="km" type="number" step="0.1" min="0" defaultValue={item.deliveryKm ?? ''} className="w-20 p-1 border border-gray-300 rounded-lg text-xs" />
+        <button type="submit" className="p-1 rounded-lg text-indigo-600 hover:text-indigo-900" title="Uložit kilometry">
+          <Save className="h-4 w-4" />
+        </button>
+      </form>
+    );
+  };
+
+  // Shared by every period-based view; the selection lives in App so it survives switching views
+  const PeriodSelector = ({ allowCustom = true }) => (
+    <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+      <select
+        value={period.type}
+        onChange={(e) => setPeriod({ ...period, type: e.target.value, offset: 0 })}
+        className="p-2 border border-gray-300 rounded-xl"
+      >
+        {Object.values(PeriodType).filter(type => allowCustom || type !== PeriodType.CUSTOM).map(type => (
+          <option key={type} value={type}>{PERIOD_TYPE_LABELS[type]}</option>
+        ))}
+      </select>
+      {period.type === PeriodType.CUSTOM ? (
+        <div className="flex items-center gap-2">
+          <input type="date" value={period.from} onChange={(e) => setPeriod({ ...period, from: e.target.value })} className="p-2 border border-gray-300 rounded-xl" />
+          <span>–</span>
+          <input type="date" value={period.to} onChange={(e) => setPeriod({ ...period, to: e.target.value })} className="p-2 border border-gray-300 rounded-xl" />
+          {periodRange.isIncomplete && <span className="text-sm text-red-600">Zadejte začátek i konec období, konec nejdříve v den začátku.</span>}
+        </div>
+      ) : (
+        <div className="flex items-center gap-4">
+          <button onClick={() => setPeriod({ ...period, offset: period.offset - 1 })} className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 transition-colors">
+            <ChevronLeft className="h-5 w-5 text-gray-600" />
+          </button>
+          <span className="text-lg font-semibold">{periodRange.label}</span>
+          <button onClick={() => setPeriod({ ...period, offset: period.offset + 1 })} className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 transition-colors">
+            <ChevronRight className="h-5 w-5 text-gray-600" />
+          </button>
+        </div>
+      )}
+      {period.offset !== 0 && period.type !== PeriodType.CUSTOM ? (
+        <button onClick={() => setPeriod({ ...period, offset: 0 })} className="text-sm text-indigo-600 hover:text-indigo-900">Aktuální</button>
+      ) : <span />}
+    </div>
+  );
+
+  const OrderStatusFilter = ({ value, onChange }) => (
+    <div className="flex-1 min-w-[150px]">
+      <label className="block text-sm font-medium text-gray-700 mb-1">Filtrovat dle stavu</label>
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+        <option value="">Všechny stavy</option>
+        {Object.values(OrderStatus).map(status => (
+          <option key={status} value={status}>{ORDER_STATUS_LABELS[status]}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const TransactionsView = ({ sellers, drivers, suppliers, stockItems, db, transactions }) => {
+    const pendingStockItem = stockItems.find(s => s.id === pendingStockItemId);
+    // Customer, driver and delivery belong to the order, prices to its line items
+    const emptyOrder = () => ({
       saleDate: new Date().toISOString().slice(0, 10),
       seller: '',
-      supplier: '',
       note: '',
-            driver: '',
+      driver: '',
+      deliveryCity: '',
       customerName: '',
       customerAddress: '',
       customerContact: '',
-      netProfitCzk: 0,
+      customerPhone2: '',
+      // Country of phones typed without a country code; not stored
+      phoneCountryCode: DEFAULT_PHONE_COUNTRY_CODE,
+      customerId: '',
+      // Rates typed over the ones in effect on the sale date, by currency
+      rates: {},
+      vatMode: vatSettings.defaultMode,
+      vatRate: String(vatSettings.standardRate),
+      lineItems: [pendingStockItem ? lineItemFromStock(pendingStockItem) : { ...EMPTY_LINE_ITEM }],
     });
+    const [newItem, setNewItem] = useState(emptyOrder);
     const [isEditing, setIsEditing] = useState(false);
     const [currentEditId, setCurrentEditId] = useState(null);
+    const [showCustomerSuggestions, setShowCustomerSuggestions] = useState(false);
+    // Validation errors of the last save, keyed like the errors of normalizeTransaction
+    const [formErrors, setFormErrors] = useState({});
     const [filterText, setFilterText] = useState('');
     const [filterSeller, setFilterSeller] = useState('');
     const [filterDriver, setFilterDriver] = useState('');
-    const [weekOffset, setWeekOffset] = useState(0);
+    const [filterStatus, setFilterStatus] = useState('');
+    const [exportRange, setExportRange] = useState({ from: '', to: '' });
+
+    const getDateRate = (currency) => getRateForDate(newItem.saleDate, currency);
+    const getOrderRate = (currency) => parseFloat(newItem.rates[currency]) || getDateRate(currency);
+    const orderVat = { mode: newItem.vatMode, rate: newItem.vatMode === VatMode.NONE ? 0 : parseFloat(newItem.vatRate) || 0 };
+    const orderSummary = summarizeLineItems(newItem.lineItems, getOrderRate, orderVat);
+    const orderCurrencies = FOREIGN_CURRENCIES.filter(currency =>
+      newItem.lineItems.some(line => line.purchaseCurrency === currency || line.saleCurrency === currency));
+
+    const clearFormError = (key) => {
+      if (formErrors[key]) setFormErrors(({ [key]: _, ...rest }) => rest);
+    };
 
     const handleInputChange = (e) => {
       const { name, value } = e.target;
+      clearFormError(name);
       const updatedItem = { ...newItem, [name]: value };
+      if (name === 'customerName') {
+        // Typing a name unlinks the picked customer; saving matches or creates one again
+        updatedItem.customerId = '';
+      }
+      if (name === 'saleDate') {
+        updatedItem.rates = {};
+      }
+      setNewItem(updatedItem);
+    };
+
+    const handleRateChange = (currency, value) => {
+      clearFormError(rateErrorKey(currency));
+      setNewItem({ ...newItem, rates: { ...newItem.rates, [currency]: value } });
+    };
 
-      const purchasePrice = parseFloat(updatedItem.purchasePricePln) || 0;
-      const sellingPrice = parseFloat(updatedItem.sellingPriceCzk) || 0;
-      const purchasePriceCzk = purchasePrice * exchangeRate;
-      const netProfit = sellingPrice - purchasePriceCzk;
+    const updateLineItem = (index, changes) => {
+      setNewItem({
+        ...newItem,
+        lineItems: newItem.lineItems.map((line, i) => (i === index ? { ...line, ...changes } : line)),
+      });
+    };
 
-      setNewItem({ ...updatedItem, netProfitCzk: netProfit.toFixed(2) });
+    const handleLineItemChange = (index, e) => {
+      const { name, value } = e.target;
+      clearFormError(lineErrorKey(index, name));
+      const changes = { [name]: value };
+      if (name === 'supplierId') {
+        const supplier = suppliers.find(s => s.id === value);
+        changes.supplier = supplier?.name || '';
+        // Purchases from a supplier are in its currency unless changed on the line
+        if (CURRENCIES.includes(supplier?.currency)) changes.purchaseCurrency = supplier.currency;
+      }
+      updateLineItem(index, changes);
     };
 
-    const handleSaveItem = async () => {
-      if (!newItem.itemName || !newItem.purchasePricePln || !newItem.sellingPriceCzk || !newItem.seller) {
-        window.alert("Prosím vyplňte všechna povinná pole (Název, Nákup, Prodej, Prodejce).");
-        return;
+    const handleAddLineItem = () => setNewItem({ ...newItem, lineItems: [...newItem.lineItems, { ...EMPTY_LINE_ITEM }] });
+
+    const handleRemoveLineItem = (index) => {
+      if (newItem.lineItems.length === 1) return;
+      // Line errors are keyed by position, so they are stale once a line is gone
+      setFormErrors({});
+      setNewItem({ ...newItem, lineItems: newItem.lineItems.filter((_, i) => i !== index) });
+    };
+
+    // Stock items not yet attached to another sale or to another line of this order
+    const soldStockItemIds = new Set(stockSales
+      .filter(t => t.id !== currentEditId)
+      .flatMap(t => getLineItems(t).map(line => line.stockItemId))
+      .filter(Boolean));
+    const getAvailableStockItems = (index) => stockItems.filter(s => !soldStockItemIds.has(s.id)
+      && !newItem.lineItems.some((line, i) => i !== index && line.stockItemId === s.id));
+
+    const handlePickStockItem = (index, e) => {
+      const stockItem = stockItems.find(s => s.id === e.target.value);
+      if (stockItem) {
+        updateLineItem(index, lineItemFromStock(stockItem));
+      } else {
+        updateLineItem(index, { stockItemId: '', exchangeRate: '' });
+        if (pendingStockItemId) setPendingStockItemId(null);
       }
+    };
+
+    const customerQuery = normalizeText(newItem.customerName);
+    const customerQueryDigits = normalizePhone(newItem.customerName);
+    const customerSuggestions = customerQuery.length < 2 ? [] : customers
+      .filter(c => normalizeText(c.name).includes(customerQuery)
+        || (customerQueryDigits.length >= 3 && normalizePhone(c.phone).includes(customerQueryDigits)))
+      .slice(0, 8);
+
+    const handlePickCustomer = (customer) => {
+      setNewItem({
+        ...newItem,
+        customerId: customer.id,
+        customerName: customer.name || '',
+        customerAddress: customer.address || '',
+        customerContact: customer.phone || '',
+        customerPhone2: customer.phone2 || '',
+        deliveryCity: customer.city || '',
+      });
+      setShowCustomerSuggestions(false);
+    };
+
+    const resetForm = () => {
+      setIsEditing(false);
+      setCurrentEditId(null);
+      setNewItem(emptyOrder());
+      setFormErrors({});
+      if (pendingStockItemId) setPendingStockItemId(null);
+    };
+
+    const handleSaveItem = async () => {
+      // The defaults are for new orders; an edited one keeps the VAT mode it has, or none until one is chosen
+      const { record: normalized, errors } = normalizeTransaction(newItem, getDateRate, isEditing ? null : vatDefaults);
+      setFormErrors(errors);
+      if (Object.keys(errors).length > 0) return;
+
+      // A new customer is written with the order, in the same batch or transaction
+      const { customerId, addCustomerWrite } = resolveCustomer(normalized);
+      const record = { ...normalized, customerId };
 
       if (isEditing && currentEditId) {
-        const transactionRef = doc(db, `/artifacts/${__app_id}/public/data/transactions`, currentEditId);
+        const loaded = transactions.find(t => t.id === currentEditId) || null;
         try {
-          await updateDoc(transactionRef, {
-            ...newItem,
-            purchasePricePln: parseFloat(newItem.purchasePricePln),
-            sellingPriceCzk: parseFloat(newItem.sellingPriceCzk),
-            netProfitCzk: parseFloat(newItem.netProfitCzk),
-          });
-          await addDoc(collection(db, `/artifacts/${__app_id}/public/data/history`), {
-            action: 'Upraveno',
-            docId: currentEditId,
-            details: `Položka '${newItem.itemName}' byla upravena.`,
-            timestamp: serverTimestamp(),
-          });
-          setIsEditing(false);
-          setCurrentEditId(null);
+          await commitChange('transactions', currentEditId, loaded, (current) => ({
+            changes: record,
+            entry: {
+              action: 'Upraveno',
+              details: `Položka '${record.itemName}' byla upravena.`,
+              after: { ...current, ...record },
+            },
+          }), { addWrites: addCustomerWrite });
         } catch (e) {
           console.error("Error updating document: ", e);
+          window.alert(`Změnu nelze uložit: ${e.message}`);
         }
       } else {
         try {
-          const docRef = await addDoc(collection(db, `/artifacts/${__app_id}/public/data/transactions`), {
-            ...newItem,
-            purchasePricePln: parseFloat(newItem.purchasePricePln),
-            sellingPriceCzk: parseFloat(newItem.sellingPriceCzk),
-            netProfitCzk: parseFloat(newItem.netProfitCzk),
-            createdAt: serverTimestamp(),
-          });
-          await addDoc(collection(db, `/artifacts/${__app_id}/public/data/history`), {
+          // The record, its history entry and the summary increments commit together
+          const docRef = doc(collection(db, `/artifacts/${__app_id}/public/data/transactions`));
+          const entry = {
             action: 'Přidáno',
             docId: docRef.id,
-            details: `Nová položka '${newItem.itemName}' byla přidána.`,
-            timestamp: serverTimestamp(),
+            details: `Nová položka '${record.itemName}' byla přidána.`,
+            after: record,
+          };
+          const batch = writeBatch(db);
+          batch.set(docRef, {
+            ...record,
+            status: OrderStatus.ORDERED,
+            statusTimestamps: { [OrderStatus.ORDERED]: serverTimestamp() },
+            statusHistory: [buildStatusEntry(OrderStatus.ORDERED)],
+            createdAt: serverTimestamp(),
           });
+          batch.set(doc(collection(db, `/artifacts/${__app_id}/public/data/history`)), buildHistoryEntry(entry));
+          addSummaryWrites(batch, [entry]);
+          addCustomerWrite(batch);
+          await batch.commit();
         } catch (e) {
           console.error("Error adding document: ", e);
         }
       }
 
-      setNewItem({
-        itemName: '',
-        brand: '',
-        model: '',
-        purchasePricePln: '',
-        sellingPriceCzk: '',
-        saleDate: new Date().toISOString().slice(0, 10),
-        seller: '',
-        supplier: '',
-        note: '',
-                driver: '',
-        customerName: '',
-        customerAddress: '',
-        customerContact: '',
-        netProfitCzk: 0,
-      });
+      resetForm();
     };
 
     const handleEditItem = (item) => {
+      if (isLockedByPayout(item)) return;
       setNewItem({
-        itemName: item.itemName,
-        brand: item.brand || '',
-        model: item.model || '',
-        purchasePricePln: item.purchasePricePln?.toString() || '',
-        sellingPriceCzk: item.sellingPriceCzk?.toString() || '',
         saleDate: item.saleDate || new Date().toISOString().slice(0, 10),
         seller: item.seller || '',
-        supplier: item.supplier || '',
         note: item.note || '',
         destination: item.destination || '',
         driver: item.driver || '',
+        deliveryCity: item.deliveryCity || '',
         customerName: item.customerName || '',
         customerAddress: item.customerAddress || '',
         customerContact: item.customerContact || '',
         customerPhone2: item.customerPhone2 || '',
-        netProfitCzk: (item.netProfitCzk ?? 0).toString(),
+        // Phones saved before E.164 are national Czech numbers, so saving does not refuse an untouched one
+        phoneCountryCode: DEFAULT_PHONE_COUNTRY_CODE,
+        customerId: item.customerId || '',
+        rates: Object.fromEntries(FOREIGN_CURRENCIES.map(currency => [currency, getTransactionRate(item, currency).toString()])),
+        // Records from before VAT modes stay without one unless a mode is chosen here
+        vatMode: item.vatMode || '',
+        vatRate: String(item.vatMode ? item.vatRate ?? 0 : vatSettings.standardRate),
+        lineItems: getLineItems(item).map(line => ({
+          ...EMPTY_LINE_ITEM,
+          itemName: line.itemName || '',
+          brand: line.brand || '',
+          model: line.model || '',
+          supplier: findSupplier(suppliers, line)?.name || line.supplier || '',
+          supplierId: findSupplier(suppliers, line)?.id || '',
+          stockItemId: line.stockItemId || '',
+          exchangeRate: line.exchangeRate?.toString() || '',
+          purchasePrice: line.purchasePrice?.toString() || '',
+          purchaseCurrency: line.purchaseCurrency,
+          salePrice: line.salePrice?.toString() || '',
+          saleCurrency: line.saleCurrency,
+        })),
       });
       setIsEditing(true);
       setCurrentEditId(item.id);
     };
 
     const handleDeleteItem = async (id) => {
-      const confirmDelete = window.confirm("Opravdu chcete smazat tento záznam?");
-      if (confirmDelete) {
-        const transactionRef = doc(db, `/artifacts/${__app_id}/public/data/transactions`, id);
+      if (!isAdmin) return;
+      const confirmDelete = window.confirm("Opravdu chcete smazat tento záznam? Bude přesunut do koše.");
+      const item = transactions.find(t => t.id === id);
+      if (item && isLockedByPayout(item)) return;
+      if (confirmDelete && item) {
         try {
-          await deleteDoc(transactionRef);
-          await addDoc(collection(db, `/artifacts/${__app_id}/public/data/history`), {
-            action: 'Smazáno',
-            docId: id,
-            details: `Položka (ID: ${id}) byla smazána.`,
-            timestamp: serverTimestamp(),
-          });
+          await moveToTrash('transactions', item, `Položka '${item.itemName || id}' byla přesunuta do koše.`);
         } catch (e) {
           console.error("Error deleting document: ", e);
         }
       }
     };
 
-    const handleCancelEdit = () => {
-      setIsEditing(false);
-      setCurrentEditId(null);
-      setNewItem({
-        itemName: '',
-        brand: '',
-        model: '',
-        purchasePricePln: '',
-        sellingPriceCzk: '',
-        saleDate: new Date().toISOString().slice(0, 10),
-        seller: '',
-        supplier: '',
-        note: '',
-                driver: '',
-        customerName: '',
-        customerAddress: '',
-        customerContact: '',
-        netProfitCzk: 0,
-      });
-    };
-    
-    // Filtering by week
-    const today = new Date();
-    const startOfCurrentWeek = getStartOfWeek(today);
-    const targetWeekStart = new Date(startOfCurrentWeek);
-    targetWeekStart.setDate(startOfCurrentWeek.getDate() + weekOffset * 7);
-    const endOfTargetWeek = new Date(targetWeekStart);
-    endOfTargetWeek.setDate(targetWeekStart.getDate() + 7);
+    const handleCancelEdit = () => resetForm();
     
-    const weekTransactions = transactions.filter(t => {
-      if (!t.saleDate) return false;
-      const transactionDate = new Date(t.saleDate);
-      return transactionDate >= targetWeekStart && transactionDate < endOfTargetWeek;
-    });
+    // Filtering by the shared period
+    const periodTransactions = transactions.filter(isInPeriod);
 
-    const filteredTransactions = weekTransactions.filter(t => {
+    const matchesFilters = (t) => {
       const textMatch = (filterText || '').toLowerCase();
       const fields = [t.itemName, t.supplier, t.customerName, t.brand, t.model].map(v => (v || '').toLowerCase());
       const [item, supplier, customer, brand, model] = fields;
       const sellerFilterMatch = filterSeller === '' || t.seller === filterSeller;
       const driverFilterMatch = filterDriver === '' || t.driver === filterDriver;
-      return (item.includes(textMatch) || supplier.includes(textMatch) || customer.includes(textMatch) || brand.includes(textMatch) || model.includes(textMatch)) && sellerFilterMatch && driverFilterMatch;
-    });
+      const statusFilterMatch = filterStatus === '' || getOrderStatus(t) === filterStatus;
+      return (item.includes(textMatch) || supplier.includes(textMatch) || customer.includes(textMatch) || brand.includes(textMatch) || model.includes(textMatch)) && sellerFilterMatch && driverFilterMatch && statusFilterMatch;
+    };
 
-    const handlePreviousWeek = () => setWeekOffset(prev => prev - 1);
-    const handleNextWeek = () => setWeekOffset(prev => prev + 1);
+    const filteredTransactions = periodTransactions.filter(matchesFilters);
 
-    const handleMoveItemToNextWeek = async (item) => {
-      const itemRef = doc(db, `/artifacts/${__app_id}/public/data/transactions`, item.id);
-      const saleDate = new Date(item.saleDate);
-      saleDate.setDate(saleDate.getDate() + 7);
-      const newSaleDate = saleDate.toISOString().slice(0, 10);
-      try {
-        await updateDoc(itemRef, { saleDate: newSaleDate });
-        await addDoc(collection(db, `/artifacts/${__app_id}/public/data/history`), {
-          action: 'Posunuto o týden',
-          docId: item.id,
-          details: `Položka '${item.itemName}' posunuta na týden: ${getWeekNumber(saleDate)}.`,
-          timestamp: serverTimestamp(),
-        });
-      } catch (e) {
-        console.error("Error moving item to next week: ", e);
+    // Export: field columns use the import labels so the file imports back unchanged,
+    // computed CZK columns are extra and ignored by the importer
+    const handleExport = async (format) => {
+      const isRange = exportRange.from || exportRange.to;
+      // Like the custom period, an export range needs both bounds rather than reading every transaction
+      if (isRange && !(exportRange.from && exportRange.to && exportRange.from <= exportRange.to)) {
+        window.alert("Zadejte prosím začátek i konec rozsahu exportu.");
+        return;
       }
-    };
+      let rows = filteredTransactions;
+      if (isRange) {
+        // A range can reach beyond the loaded period, so it is read on demand
+        try {
+          const inRange = await fetchTransactionsInRange(exportRange.from, shiftDateKey(exportRange.to, 1));
+          rows = inRange.filter(t => !t.deletedAt && matchesFilters(t));
+        } catch (e) {
+          console.error("Error loading transactions for export: ", e);
+          window.alert(`Export se nepodařilo načíst. Chyba: ${e.message}`);
+          return;
+        }
+      }
+      if (rows.length === 0) {
+        window.alert("Pro export nejsou žádné záznamy.");
+        return;
+      }
+
+      const phoneFields = ['customerContact', 'customerPhone2'];
+      const header = [...TRANSACTION_FIELDS.map(f => f.label), 'Kurz nákupu k CZK', 'Nákup (CZK)', 'Prodej přepočtený (CZK)', 'DPH (CZK)', 'Zisk (CZK)'];
+      // One row per line item; the order id in the last field column joins them again on import
+      const data = [...rows]
+        .sort((a, b) => (a.saleDate || '').localeCompare(b.saleDate || ''))
+        .flatMap(t => getLineItems(t).map(line => {
+          const row = { ...t, ...line, orderRef: t.id };
+          const rate = parseFloat(line.exchangeRate) || getTransactionRate(t, line.purchaseCurrency);
+          return [
+            ...TRANSACTION_FIELDS.map(f => {
+              if (phoneFields.includes(f.key)) return row[f.key] ? formatPhone(row[f.key]) : '';
+              if (f.key === 'vatMode') return VAT_MODE_LABELS[row.vatMode] || '';
+              if (f.type === 'number') return parseFloat(row[f.key]) || 0;
+              return row[f.key] ?? '';
+            }),
+            rate,
+            roundMoney(getLinePurchaseCzk(t, line)),
+            parseFloat(line.sellingPriceCzk) || 0,
+            parseFloat(line.vatCzk) || 0,
+            parseFloat(line.netProfitCzk) || 0,
+          ];
+        }));
+
+      const periodLabel = isRange
+        ? `${exportRange.from}_${exportRange.to}`
+        : periodRange.shortLabel;
+      const fileName = `transakce_${periodLabel}`;
 
-    const weekNumber = getWeekNumber(targetWeekStart);
+      if (format === 'csv') {
+        // Semicolons and decimal commas, the way Czech Excel opens CSV files
+        const csvRows = data.map(row => row.map(v => (typeof v === 'number' ? String(v).replace('.', ',') : v)));
+        const csv = XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet([header, ...csvRows]), { FS: ';' });
+        const url = URL.createObjectURL(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+      } else {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header, ...data]), 'Transakce');
+        XLSX.writeFile(workbook, `${fileName}.xlsx`);
+      }
+    };
 
     return (
       <div className={containerClass}>
@@ -420,35 +2297,29 @@ itemName: '',
             <DollarSign className="mr-2 text-indigo-500" /> Nákupy, prodeje, rozvozy & zákazníci
           </h2>
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Směnný kurz PLN k CZK</label>
-              <input type="number" name="exchangeRate" value={exchangeRate} onChange={(e) => setExchangeRate(parseFloat(e.target.value) || PLN_TO_CZK_RATE_DEFAULT)} placeholder={PLN_TO_CZK_RATE_DEFAULT} className={inputClass} />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Název položky</label>
-              <input type="text" name="itemName" value={newItem.itemName} onChange={handleInputChange} placeholder="Např. Motor 1.9 TDI" className={inputClass} />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Značka</label>
-              <input type="text" name="brand" value={newItem.brand} onChange={handleInputChange} placeholder="Např. Škoda" className={inputClass} />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Model</label>
-              <input type="text" name="model" value={newItem.model} onChange={handleInputChange} placeholder="Např. Octavia" className={inputClass} />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Nákup (PLN)</label>
-              <input type="number" name="purchasePricePln" value={newItem.purchasePricePln} onChange={handleInputChange} placeholder="Např. 1000" className={inputClass} />
-              <p className="text-xs text-gray-500 mt-1">~ {(parseFloat(newItem.purchasePricePln || 0) * exchangeRate).toFixed(2)} CZK</p>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Prodej (CZK)</label>
-              <input type="number" name="sellingPriceCzk" value={newItem.sellingPriceCzk} onChange={handleInputChange} placeholder="Např. 6000" className={inputClass} />
-              <p className="text-xs font-medium text-gray-500 mt-1">Čistý zisk: <span className="font-bold text-indigo-600">{newItem.netProfitCzk} CZK</span></p>
-            </div>
+            {orderCurrencies.map(currency => (
+              <div key={currency}>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Směnný kurz {currency} k CZK (k datu prodeje)</label>
+                <input type="number" step="0.001" value={newItem.rates[currency] ?? ''} onChange={(e) => handleRateChange(currency, e.target.value)} placeholder={getDateRate(currency)} className={inputClass} />
+                <FieldError message={formErrors[rateErrorKey(currency)]} />
+                <p className="text-xs text-gray-500 mt-1">Kurz platný {newItem.saleDate}: {getDateRate(currency)}</p>
+              </div>
+            ))}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Datum prodeje</label>
               <input type="date" name="saleDate" value={newItem.saleDate} onChange={handleInputChange} className={inputClass} />
+              <FieldError message={formErrors.saleDate} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Režim DPH</label>
+              <div className="flex gap-2">
+                <select name="vatMode" value={newItem.vatMode} onChange={handleInputChange} className={inputClass}>
+                  {isEditing && !transactions.find(t => t.id === currentEditId)?.vatMode && <option value="">Bez režimu DPH (starší záznam)</option>}
+                  {Object.values(VatMode).map(mode => <option key={mode} value={mode}>{VAT_MODE_LABELS[mode]}</option>)}
+                </select>
+                <input type="number" name="vatRate" value={!newItem.vatMode || newItem.vatMode === VatMode.NONE ? '' : newItem.vatRate} onChange={handleInputChange} disabled={!newItem.vatMode || newItem.vatMode === VatMode.NONE} className="p-2 border border-gray-300 rounded-xl w-24" aria-label="Sazba DPH (%)" title="Sazba DPH (%)" />
+              </div>
+              <FieldError message={formErrors.vatMode || formErrors.vatRate} />
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Kdo prodal</label>
@@ -458,10 +2329,7 @@ itemName: '',
                   <option key={seller.id} value={seller.name}>{seller.name}</option>
                 ))}
               </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Dodavatel</label>
-              <input type="text" name="supplier" value={newItem.supplier} onChange={handleInputChange} placeholder="Např. Autodíly PL" className={inputClass} />
+              <FieldError message={formErrors.seller} />
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Poznámka</label>
@@ -484,7 +2352,30 @@ itemName: '',
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Zákazník (Jméno)</label>
-              <input type="text" name="customerName" value={newItem.customerName} onChange={handleInputChange} placeholder="Např. Jan Novák" className={inputClass} />
+              <div className="relative">
+                <input
+                  type="text"
+                  name="customerName"
+                  value={newItem.customerName}
+                  onChange={(e) => { handleInputChange(e); setShowCustomerSuggestions(true); }}
+                  onFocus={() => setShowCustomerSuggestions(true)}
+                  onBlur={() => setShowCustomerSuggestions(false)}
+                  placeholder="Jméno nebo telefon"
+                  className={inputClass}
+                  autoComplete="off"
+                />
+                {showCustomerSuggestions && customerSuggestions.length > 0 && (
+                  <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-xl shadow-lg max-h-60 overflow-auto">
+                    {customerSuggestions.map(customer => (
+                      <li key={customer.id} onMouseDown={() => handlePickCustomer(customer)} className="px-3 py-2 text-sm hover:bg-indigo-50 cursor-pointer">
+                        <div className="font-medium">{customer.name || '-'}</div>
+                        <div className="text-xs text-gray-500">{formatPhone(customer.phone)} · {customer.address || '-'}{customer.city ? `, ${customer.city}` : ''}</div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              {newItem.customerId && <p className="text-xs text-indigo-600 mt-1">Zákazník z adresáře</p>}
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Zákazník (Adresa)</label>
@@ -493,12 +2384,111 @@ itemName: '',
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Zákazník (Kontakt)</label>
               <input type="text" name="customerContact" value={newItem.customerContact} onChange={handleInputChange} placeholder="Např. 777 123 456" className={inputClass} autoComplete="tel" inputMode="tel" pattern="[\d\s+]*" />
+              <FieldError message={formErrors.customerContact} />
             </div>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">Telefonní kontakt 2</label>
               <input type="text" name="customerPhone2" value={newItem.customerPhone2} onChange={handleInputChange} placeholder="Např. 606 123 456" className={inputClass} autoComplete="tel-secondary" inputMode="tel" pattern="[\d\s+]*" />
+              <FieldError message={formErrors.customerPhone2} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Země telefonů bez předvolby</label>
+              <select name="phoneCountryCode" value={newItem.phoneCountryCode} onChange={handleInputChange} className={inputClass}>
+                <option value="">Nezvoleno</option>
+                {PHONE_COUNTRIES.map(country => <option key={country.code} value={country.code}>{country.label}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold mb-2 text-gray-800">Položky objednávky</h3>
+            {newItem.lineItems.map((line, index) => {
+              const lineSummary = orderSummary.lineItems[index];
+              return (
+                <div key={index} className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4 p-4 border border-gray-200 rounded-xl">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Ze skladu</label>
+                    <select value={line.stockItemId} onChange={(e) => handlePickStockItem(index, e)} className={inputClass}>
+                      <option value="">Nová položka (bez skladu)</option>
+                      {getAvailableStockItems(index).map(stockItem => (
+                        <option key={stockItem.id} value={stockItem.id}>
+                          {stockItem.itemName}{stockItem.brand ? ` – ${stockItem.brand} ${stockItem.model || ''}` : ''} ({stockItem.purchaseDate})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Název položky</label>
+                    <input type="text" name="itemName" value={line.itemName} onChange={(e) => handleLineItemChange(index, e)} placeholder="Např. Motor 1.9 TDI" className={inputClass} />
+                    <FieldError message={formErrors[lineErrorKey(index, 'itemName')]} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Značka</label>
+                    <input type="text" name="brand" value={line.brand} onChange={(e) => handleLineItemChange(index, e)} placeholder="Např. Škoda" className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Model</label>
+                    <input type="text" name="model" value={line.model} onChange={(e) => handleLineItemChange(index, e)} placeholder="Např. Octavia" className={inputClass} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Dodavatel</label>
+                    <select name="supplierId" value={line.supplierId} onChange={(e) => handleLineItemChange(index, e)} className={inputClass}>
+                      <option value="">{line.supplier && !line.supplierId ? `${line.supplier} (mimo adresář)` : 'Vyberte dodavatele'}</option>
+                      {suppliers.map(supplier => (
+                        <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Nákup</label>
+                    <div className="flex gap-2">
+                      <input type="number" name="purchasePrice" value={line.purchasePrice} onChange={(e) => handleLineItemChange(index, e)} placeholder="Např. 1000" className={inputClass} />
+                      <select name="purchaseCurrency" value={line.purchaseCurrency} onChange={(e) => handleLineItemChange(index, e)} className="p-2 border border-gray-300 rounded-xl" disabled={Boolean(line.stockItemId)}>
+                        {CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+                      </select>
+                    </div>
+                    <FieldError message={formErrors[lineErrorKey(index, 'purchasePrice')]} />
+                    <p className="text-xs text-gray-500 mt-1">
+                      ~ {lineSummary.purchasePriceCzk.toFixed(2)} CZK
+                      {lineSummary.exchangeRate ? ` (kurz k datu nákupu ${lineSummary.exchangeRate})` : ''}
+                    </p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Prodej</label>
+                    <div className="flex gap-2">
+                      <input type="number" name="salePrice" value={line.salePrice} onChange={(e) => handleLineItemChange(index, e)} placeholder="Např. 6000" className={inputClass} />
+                      <select name="saleCurrency" value={line.saleCurrency} onChange={(e) => handleLineItemChange(index, e)} className="p-2 border border-gray-300 rounded-xl">
+                        {CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+                      </select>
+                    </div>
+                    <FieldError message={formErrors[lineErrorKey(index, 'salePrice')]} />
+                    <p className="text-xs font-medium text-gray-500 mt-1">
+                      {line.saleCurrency !== BASE_CURRENCY && `~ ${lineSummary.sellingPriceCzk.toFixed(2)} CZK, `}
+                      Čistý zisk: <span className="font-bold text-indigo-600">{lineSummary.netProfitCzk.toFixed(2)} CZK</span>
+                    </p>
+                  </div>
+                  <div className="flex items-end">
+                    {newItem.lineItems.length > 1 && (
+                      <button onClick={() => handleRemoveLineItem(index)} className="text-red-600 hover:text-red-900 py-2" aria-label="Remove line item" title="Odebrat položku">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+            <div className="flex flex-wrap justify-between items-center gap-4">
+              <button onClick={handleAddLineItem} className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">
+                <Plus className="inline mr-2 h-4 w-4" />Přidat položku
+              </button>
+              <p className="text-sm text-gray-700">
+                Celkem: nákup {orderSummary.purchasePriceCzk.toFixed(2)} CZK, prodej {orderSummary.sellingPriceCzk.toFixed(2)} CZK,
+                {newItem.vatMode !== VatMode.NONE && ` DPH ${orderSummary.vatCzk.toFixed(2)} CZK,`} čistý zisk <span className="font-bold text-indigo-600">{orderSummary.netProfitCzk.toFixed(2)} CZK</span>
+              </p>
             </div>
           </div>
+          {Object.keys(formErrors).length > 0 && (
+            <p className="mb-4 text-sm text-red-600">Záznam nelze uložit, opravte prosím označená pole.</p>
+          )}
           <div className="flex space-x-2">
             <button onClick={handleSaveItem} className={buttonClass}>
               {isEditing ? <><Save className="inline mr-2 h-4 w-4" />Uložit změny</> : <><Plus className="inline mr-2 h-4 w-4" />Přidat záznam</>}
@@ -513,15 +2503,7 @@ itemName: '',
 
         <div className={cardClass}>
           <h3 className="text-xl font-semibold mb-4 text-gray-800">Seznam záznamů</h3>
-          <div className="flex justify-between items-center mb-4">
-              <button onClick={handlePreviousWeek} className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 transition-colors">
-                <ChevronLeft className="h-5 w-5 text-gray-600" />
-              </button>
-              <span className="text-lg font-semibold">{getWeekNumber(targetWeekStart)} ({getWeekRange(targetWeekStart)})</span>
-              <button onClick={handleNextWeek} className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 transition-colors">
-                <ChevronRight className="h-5 w-5 text-gray-600" />
-              </button>
-          </div>
+          <PeriodSelector />
           <div className="flex flex-wrap gap-4 mb-6">
             <div className="flex-1 min-w-[200px]">
               <label className="block text-sm font-medium text-gray-700 mb-1">Hledat v názvu / zákazníkovi</label>
@@ -550,25 +2532,57 @@ itemName: '',
                 ))}
               </select>
             </div>
+            <OrderStatusFilter value={filterStatus} onChange={setFilterStatus} />
           </div>
-          
-          {/* SUMMARY_CARDS_START */}
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+          <div className="flex flex-wrap items-end gap-4 mb-6">
+            <div className="min-w-[150px]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Export od</label>
+              <input type="date" value={exportRange.from} onChange={(e) => setExportRange({ ...exportRange, from: e.target.value })} className={inputClass} />
+            </div>
+            <div className="min-w-[150px]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Export do</label>
+              <input type="date" value={exportRange.to} onChange={(e) => setExportRange({ ...exportRange, to: e.target.value })} className={inputClass} />
+            </div>
+            <button onClick={() => handleExport('xlsx')} className={buttonClass}>
+              <Download className="inline mr-2 h-4 w-4" />XLSX
+            </button>
+            <button onClick={() => handleExport('csv')} className={buttonClass}>
+              <Download className="inline mr-2 h-4 w-4" />CSV
+            </button>
+            <p className="text-xs text-gray-500 flex-1 min-w-[200px]">
+              Bez zadaného období se exportují vyfiltrované záznamy zvoleného období.
+            </p>
+          </div>
+          
+          {/* SUMMARY_CARDS_START */}
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4 mb-4">
             <div className="bg-indigo-50 rounded-xl p-4 shadow-sm">
               <div className="text-sm text-gray-600">Nákup (CZK)</div>
-              <div className="text-2xl font-bold">{Number(filteredTransactions.reduce((s,t)=> s + (parseFloat(t.purchasePricePln||0)*exchangeRate),0)).toLocaleString("cs-CZ", { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</div>
+              <div className="text-2xl font-bold">{Number(filteredTransactions.reduce((s,t)=> s + getPurchaseCzk(t),0)).toLocaleString("cs-CZ", { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</div>
             </div>
             <div className="bg-emerald-50 rounded-xl p-4 shadow-sm">
               <div className="text-sm text-gray-600">Prodej (CZK)</div>
               <div className="text-2xl font-bold">{Number(filteredTransactions.reduce((s,t)=> s + (parseFloat(t.sellingPriceCzk||0)),0)).toLocaleString("cs-CZ", { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</div>
             </div>
+            <div className="bg-orange-50 rounded-xl p-4 shadow-sm">
+              <div className="text-sm text-gray-600">DPH (CZK)</div>
+              <div className="text-2xl font-bold">{Number(filteredTransactions.reduce((s,t)=> s + (parseFloat(t.vatCzk||0)),0)).toLocaleString("cs-CZ", { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</div>
+            </div>
             <div className="bg-yellow-50 rounded-xl p-4 shadow-sm">
-              <div className="text-sm text-gray-600">Čistý zisk (CZK)</div>
+              <div className="text-sm text-gray-600">Čistý zisk po DPH (CZK)</div>
               <div className="text-2xl font-bold">{Number(filteredTransactions.reduce((s,t)=> s + (parseFloat(t.netProfitCzk||0)),0)).toLocaleString("cs-CZ", { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</div>
             </div>
+            <div className="bg-red-50 rounded-xl p-4 shadow-sm">
+              <div className="text-sm text-gray-600">Rozvoz (CZK)</div>
+              <div className="text-2xl font-bold">{Number(filteredTransactions.reduce((s,t)=> s + getStoredDeliveryFee(t),0)).toLocaleString("cs-CZ", { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</div>
+            </div>
+            <div className="bg-yellow-50 rounded-xl p-4 shadow-sm">
+              <div className="text-sm text-gray-600">Zisk po rozvozu (CZK)</div>
+              <div className="text-2xl font-bold">{Number(filteredTransactions.reduce((s,t)=> s + (parseFloat(t.netProfitCzk||0)) - getStoredDeliveryFee(t),0)).toLocaleString("cs-CZ", { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</div>
+            </div>
             <div className="bg-gray-50 rounded-xl p-4 shadow-sm">
-              <div className="text-sm text-gray-600">Počet záznamů</div>
-              <div className="text-2xl font-bold">{filteredTransactions.length}</div>
+              <div className="text-sm text-gray-600">Počet objednávek / položek</div>
+              <div className="text-2xl font-bold">{filteredTransactions.length} / {filteredTransactions.reduce((s,t)=> s + getLineItems(t).length,0)}</div>
             </div>
           </div>
           {/* SUMMARY_CARDS_END */}
@@ -590,6 +2604,7 @@ itemName: '',
                   <th className={thClass}>Město</th>
                   <th className={thClass}>Adresa zákazníka</th>
                   <th className={thClass}>Zák. Tel.</th>
+                  <th className={thClass}>Stav</th>
                   <th className={thClass}>Akce</th>
                 </tr>
               </thead>
@@ -601,13 +2616,21 @@ itemName: '',
                   .map(item => (
                   <tr key={item.id}>
                     <td className={tdClass}>{item.saleDate || '-'}</td>
-                    <td className={tdClass}>{item.itemName || '-'}</td>
+                    <td className={tdClass}>
+                      {getLineItems(item).length > 1 ? (
+                        <ul>
+                          {getLineItems(item).map((line, index) => (
+                            <li key={index}>{line.itemName} <span className="text-gray-500">({Number(line.sellingPriceCzk || 0).toLocaleString("cs-CZ")} CZK)</span></li>
+                          ))}
+                        </ul>
+                      ) : (item.itemName || '-')}
+                    </td>
                     <td className={tdClass}>{item.brand || '-'}</td>
                     <td className={tdClass}>{item.model || '-'}</td>
                     <td className={tdClass}>{item.note || '-'}</td>
                     <td className={tdClass}>{item.seller || '-'}</td>
                     <td className={tdClass}>{item.supplier || '-'}</td>
-                    <td className={tdClass}>{Number((parseFloat(item.purchasePricePln || 0) * exchangeRate) || 0).toLocaleString("cs-CZ", { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</td>
+                    <td className={tdClass}>{Number(getPurchaseCzk(item) || 0).toLocaleString("cs-CZ", { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</td>
                     <td className={tdClass}>{Number(item.sellingPriceCzk || 0).toLocaleString("cs-CZ", { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</td>
                     <td className={tdClass}>
                       <span className={`font-bold ${item.netProfitCzk > 0 ? 'text-green-600' : 'text-red-600'}`}>
@@ -620,14 +2643,17 @@ itemName: '',
                       <div>{formatPhone(item.customerContact)}</div>
                       {item.customerPhone2 ? <div className="text-gray-500">{formatPhone(item.customerPhone2)}</div> : null}
                     </td>
+                    <td className={tdClass}><OrderStatusSelect item={item} /></td>
                     <td className={tdClass}>
                       <div className="flex space-x-2">
                         <button onClick={() => handleEditItem(item)} className="text-indigo-600 hover:text-indigo-900" aria-label="Edit">
                           <Edit className="h-4 w-4" />
                         </button>
-                        <button onClick={() => handleDeleteItem(item.id)} className="text-red-600 hover:text-red-900" aria-label="Delete">
-                          <Trash2 className="h-4 w-4" />
-                        </button>
+                        {isAdmin && (
+                          <button onClick={() => handleDeleteItem(item.id)} className="text-red-600 hover:text-red-900" aria-label="Delete">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
                         <button onClick={() => handleMoveItemToNextWeek(item)} className="text-blue-600 hover:text-blue-900" aria-label="Move Next Week" title="Posunout o týden">
                           <ChevronRight className="h-4 w-4" />
                         </button>
@@ -644,13 +2670,19 @@ itemName: '',
     );
   };
 
-  const PersonnelView = ({ sellers, drivers, db }) => {
+  const PersonnelView = ({ sellers, drivers, suppliers, users, monthlySummaries, db }) => {
     const [newSeller, setNewSeller] = useState('');
+    const [supplierForm, setSupplierForm] = useState(EMPTY_SUPPLIER);
+    const [currentEditSupplierId, setCurrentEditSupplierId] = useState(null);
+    const [reportFrom, setReportFrom] = useState('');
+    const [reportTo, setReportTo] = useState('');
     const [newDriver, setNewDriver] = useState('');
     const [isEditingSeller, setIsEditingSeller] = useState(false);
     const [currentEditSellerId, setCurrentEditSellerId] = useState(null);
     const [isEditingDriver, setIsEditingDriver] = useState(false);
     const [currentEditDriverId, setCurrentEditDriverId] = useState(null);
+    const [feeDriverId, setFeeDriverId] = useState(null);
+    const [feeForm, setFeeForm] = useState(EMPTY_DRIVER_FEE_MODEL);
 
     const handleSaveSeller = async () => {
       if (!newSeller.trim()) {
@@ -687,11 +2719,12 @@ itemName: '',
     };
 
     const handleDeleteSeller = async (id) => {
-      const confirmDelete = window.confirm("Opravdu chcete smazat tohoto prodejce?");
-      if (confirmDelete) {
-        const sellerRef = doc(db, `/artifacts/${__app_id}/public/data/sellers`, id);
+      if (!isAdmin) return;
+      const confirmDelete = window.confirm("Opravdu chcete smazat tohoto prodejce? Bude přesunut do koše.");
+      const seller = sellers.find(s => s.id === id);
+      if (confirmDelete && seller) {
         try {
-          await deleteDoc(sellerRef);
+          await moveToTrash('sellers', seller, `Prodejce '${seller.name}' byl přesunut do koše.`);
         } catch (e) {
           console.error("Error deleting seller: ", e);
         }
@@ -731,12 +2764,155 @@ itemName: '',
       setCurrentEditDriverId(driver.id);
     };
 
+    const handleSaveSupplier = async () => {
+      if (!supplierForm.name.trim()) {
+        window.alert("Prosím zadejte název dodavatele.");
+        return;
+      }
+      const duplicate = suppliers.find(s => s.id !== currentEditSupplierId && normalizeText(s.name) === normalizeText(supplierForm.name));
+      if (duplicate) {
+        window.alert(`Dodavatel '${duplicate.name}' už v adresáři je.`);
+        return;
+      }
+      const data = {
+        ...supplierForm,
+        name: supplierForm.name.trim(),
+        leadTimeDays: supplierForm.leadTimeDays === '' ? '' : parseInt(supplierForm.leadTimeDays, 10) || 0,
+      };
+
+      if (currentEditSupplierId) {
+        const supplier = suppliers.find(s => s.id === currentEditSupplierId);
+        try {
+          await updateDoc(doc(db, `/artifacts/${__app_id}/public/data/suppliers`, currentEditSupplierId), data);
+          await recordHistory({
+            action: 'Upraveno',
+            docId: currentEditSupplierId,
+            collectionName: 'suppliers',
+            details: `Dodavatel '${data.name}' byl upraven.`,
+            before: supplier,
+            after: { ...supplier, ...data },
+          });
+          setCurrentEditSupplierId(null);
+        } catch (e) {
+          console.error("Error updating supplier: ", e);
+        }
+      } else {
+        try {
+          await addDoc(collection(db, `/artifacts/${__app_id}/public/data/suppliers`), {
+            ...data,
+            createdAt: serverTimestamp(),
+          });
+        } catch (e) {
+          console.error("Error adding supplier: ", e);
+        }
+      }
+      setSupplierForm(EMPTY_SUPPLIER);
+    };
+
+    const handleEditSupplier = (supplier) => {
+      setSupplierForm(Object.fromEntries(Object.keys(EMPTY_SUPPLIER).map(key => [key, supplier[key] ?? EMPTY_SUPPLIER[key]])));
+      setCurrentEditSupplierId(supplier.id);
+    };
+
+    const handleDeleteSupplier = async (supplier) => {
+      if (!isAdmin) return;
+      const confirmDelete = window.confirm("Opravdu chcete smazat tohoto dodavatele? Bude přesunut do koše.");
+      if (!confirmDelete) return;
+      try {
+        await moveToTrash('suppliers', supplier, `Dodavatel '${supplier.name}' byl přesunut do koše.`);
+      } catch (e) {
+        console.error("Error deleting supplier: ", e);
+      }
+    };
+
+    // Purchases per supplier in the chosen range of sale months, added up from the monthly summaries.
+    // Cancelled orders were never bought and are left out; records with a supplier name outside the
+    // directory are grouped by their normalized spelling, and count with a directory supplier of that name.
+    const supplierTotals = Object.entries(monthlySummaries
+      .filter(summary => (!reportFrom || summary.id >= reportFrom) && (!reportTo || summary.id <= reportTo))
+      .reduce((acc, summary) => addSummaryValues(acc, summary.bySupplier || {}), {}))
+      .reduce((acc, [key, values]) => {
+        const supplier = key.startsWith('text:') && suppliers.find(s => `text:${normalizeText(s.name)}` === key);
+        return addSummaryValues(acc, { [supplier ? supplier.id : key]: values });
+      }, {});
+    const supplierReport = getSummaryEntries(supplierTotals)
+      .map(row => {
+        const supplier = suppliers.find(s => s.id === row.key);
+        // Summaries written before currencies hold the PLN volume in `pln`
+        const purchase = addSummaryValues({ ...row.purchase }, row.pln ? { PLN: row.pln } : {});
+        return { ...row, purchase, name: supplier ? supplier.name : row.name, inDirectory: !!supplier };
+      })
+      .sort((a, b) => b.czk - a.czk);
+
+    const formatAmount = (value) => value.toLocaleString('cs-CZ', { maximumFractionDigits: 0 });
+    const formatCurrencyAmounts = (amounts) => Object.entries(amounts)
+      .filter(([, value]) => value)
+      .map(([currency, value]) => `${formatAmount(value)} ${currency}`)
+      .join(', ') || '-';
+
+    const handleUpdateUser = async (user, changes) => {
+      if (user.id === userId && changes.role && changes.role !== Roles.ADMIN) {
+        window.alert("Nemůžete odebrat administrátorská práva sami sobě.");
+        return;
+      }
+      const role = changes.role || user.role;
+      // Changing the role drops the link, a profile only points at a person of its own role
+      const personId = changes.role ? '' : (changes.personId ?? user.personId ?? '');
+      const people = role === Roles.DRIVER ? drivers : role === Roles.SELLER ? sellers : [];
+      const person = people.find(p => p.id === personId);
+      const userRef = doc(db, `/artifacts/${__app_id}/public/data/users`, user.id);
+      try {
+        await updateDoc(userRef, { role, personId, displayName: person?.name || user.email });
+      } catch (e) {
+        console.error("Error updating user: ", e);
+      }
+    };
+
+    const handleEditFeeModel = (driver) => {
+      setFeeDriverId(driver.id);
+      setFeeForm({ ...EMPTY_DRIVER_FEE_MODEL, ...driver.feeModel });
+    };
+
+    const handleZoneChange = (index, field, value) => {
+      setFeeForm({ ...feeForm, zones: feeForm.zones.map((zone, i) => (i === index ? { ...zone, [field]: value } : zone)) });
+    };
+
+    const handleSaveFeeModel = async () => {
+      const toNumber = (value) => parseFloat(String(value).replace(',', '.')) || 0;
+      const feeModel = {
+        type: feeForm.type,
+        stopFee: toNumber(feeForm.stopFee),
+        zones: feeForm.zones
+          .filter(zone => zone.city.trim())
+          .map(zone => ({ city: zone.city.trim(), fee: toNumber(zone.fee) })),
+        defaultZoneFee: toNumber(feeForm.defaultZoneFee),
+        ratePerKm: toNumber(feeForm.ratePerKm),
+      };
+      const driver = drivers.find(d => d.id === feeDriverId);
+      try {
+        await updateDoc(doc(db, `/artifacts/${__app_id}/public/data/drivers`, feeDriverId), { feeModel });
+        await recordHistory({
+          action: 'Odměna řidiče',
+          docId: feeDriverId,
+          collectionName: 'drivers',
+          details: `Řidič '${driver?.name}': ${describeDriverFeeModel(feeModel)}.`,
+          before: driver,
+          after: { ...driver, feeModel },
+        });
+        setFeeDriverId(null);
+        setFeeForm(EMPTY_DRIVER_FEE_MODEL);
+      } catch (e) {
+        console.error("Error saving driver fee model: ", e);
+      }
+    };
+
     const handleDeleteDriver = async (id) => {
-      const confirmDelete = window.confirm("Opravdu chcete smazat tohoto řidiče?");
-      if (confirmDelete) {
-        const driverRef = doc(db, `/artifacts/${__app_id}/public/data/drivers`, id);
+      if (!isAdmin) return;
+      const confirmDelete = window.confirm("Opravdu chcete smazat tohoto řidiče? Bude přesunut do koše.");
+      const driver = drivers.find(d => d.id === id);
+      if (confirmDelete && driver) {
         try {
-          await deleteDoc(driverRef);
+          await moveToTrash('drivers', driver, `Řidič '${driver.name}' byl přesunut do koše.`);
         } catch (e) {
           console.error("Error deleting driver: ", e);
         }
@@ -804,11 +2980,67 @@ itemName: '',
               </button>
             )}
           </div>
+          {feeDriverId && (
+            <div className="border border-gray-200 rounded-xl p-4 mb-4">
+              <h3 className="text-lg font-semibold mb-2">Odměna: {drivers.find(d => d.id === feeDriverId)?.name}</h3>
+              <div className="flex flex-wrap gap-4 mb-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Způsob odměny</label>
+                  <select value={feeForm.type} onChange={(e) => setFeeForm({ ...feeForm, type: e.target.value })} className={inputClass}>
+                    {Object.values(DriverFeeType).map(type => (
+                      <option key={type} value={type}>{DRIVER_FEE_TYPE_LABELS[type]}</option>
+                    ))}
+                  </select>
+                </div>
+                {feeForm.type === DriverFeeType.PER_STOP && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Částka za zastávku (CZK)</label>
+                    <input type="number" value={feeForm.stopFee} onChange={(e) => setFeeForm({ ...feeForm, stopFee: e.target.value })} className={inputClass} />
+                  </div>
+                )}
+                {feeForm.type === DriverFeeType.PER_ZONE && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Ostatní města (CZK)</label>
+                    <input type="number" value={feeForm.defaultZoneFee} onChange={(e) => setFeeForm({ ...feeForm, defaultZoneFee: e.target.value })} className={inputClass} />
+                  </div>
+                )}
+                {feeForm.type === DriverFeeType.PER_KM && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Sazba za km (CZK)</label>
+                    <input type="number" step="0.1" value={feeForm.ratePerKm} onChange={(e) => setFeeForm({ ...feeForm, ratePerKm: e.target.value })} className={inputClass} />
+                  </div>
+                )}
+              </div>
+              {feeForm.type === DriverFeeType.PER_ZONE && (
+                <div className="mb-2">
+                  {feeForm.zones.map((zone, index) => (
+                    <div key={index} className="flex items-center gap-2 mb-2">
+                      <input type="text" value={zone.city} onChange={(e) => handleZoneChange(index, 'city', e.target.value)} placeholder="Město" className="w-48 p-2 border border-gray-300 rounded-lg" />
+                      <input type="number" value={zone.fee} onChange={(e) => handleZoneChange(index, 'fee', e.target.value)} placeholder="CZK" className="w-28 p-2 border border-gray-300 rounded-lg" />
+                      <button onClick={() => setFeeForm({ ...feeForm, zones: feeForm.zones.filter((_, i) => i !== index) })} className="text-red-600 hover:text-red-900" aria-label="Remove zone">
+                        <X className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button onClick={() => setFeeForm({ ...feeForm, zones: [...feeForm.zones, { city: '', fee: '' }] })} className="text-indigo-600 hover:text-indigo-900 text-sm flex items-center">
+                    <Plus className="h-4 w-4 mr-1" /> Přidat město
+                  </button>
+                </div>
+              )}
+              <div className="flex gap-2">
+                <button onClick={handleSaveFeeModel} className={buttonClass}><Save className="h-4 w-4" /></button>
+                <button onClick={() => { setFeeDriverId(null); setFeeForm(EMPTY_DRIVER_FEE_MODEL); }} className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          )}
           <div className="overflow-x-auto">
             <table className={tableClass}>
               <thead className={headerClass}>
                 <tr>
                   <th className={thClass}>Jméno</th>
+                  <th className={thClass}>Odměna</th>
                   <th className={thClass}>Akce</th>
                 </tr>
               </thead>
@@ -816,11 +3048,15 @@ itemName: '',
                 {drivers.sort((a, b) => a.name.localeCompare(b.name)).map(driver => (
                   <tr key={driver.id}>
                     <td className={tdClass}>{driver.name}</td>
+                    <td className={tdClass}>{driver.feeModel ? describeDriverFeeModel(driver.feeModel) : <span className="text-gray-400">Nenastaveno</span>}</td>
                     <td className={tdClass}>
                       <div className="flex space-x-2">
                         <button onClick={() => handleEditDriver(driver)} className="text-indigo-600 hover:text-indigo-900" aria-label="Edit">
                           <Edit className="h-4 w-4" />
                         </button>
+                        <button onClick={() => handleEditFeeModel(driver)} className="text-indigo-600 hover:text-indigo-900" aria-label="Edit fee" title="Odměna řidiče">
+                          <Wallet className="h-4 w-4" />
+                        </button>
                         <button onClick={() => handleDeleteDriver(driver.id)} className="text-red-600 hover:text-red-900" aria-label="Delete">
                           <Trash2 className="h-4 w-4" />
                         </button>
@@ -832,58 +3068,312 @@ itemName: '',
             </table>
           </div>
         </div>
+
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <Package className="mr-2 text-indigo-500" /> Správa dodavatelů
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <input type="text" value={supplierForm.name} onChange={(e) => setSupplierForm({ ...supplierForm, name: e.target.value })} placeholder="Název dodavatele" className={inputClass} />
+            <input type="text" value={supplierForm.contactPerson} onChange={(e) => setSupplierForm({ ...supplierForm, contactPerson: e.target.value })} placeholder="Kontaktní osoba" className={inputClass} />
+            <input type="text" value={supplierForm.phone} onChange={(e) => setSupplierForm({ ...supplierForm, phone: e.target.value })} placeholder="Telefon" className={inputClass} />
+            <input type="email" value={supplierForm.email} onChange={(e) => setSupplierForm({ ...supplierForm, email: e.target.value })} placeholder="E-mail" className={inputClass} />
+            <input type="text" value={supplierForm.address} onChange={(e) => setSupplierForm({ ...supplierForm, address: e.target.value })} placeholder="Adresa" className={inputClass} />
+            <select value={supplierForm.currency} onChange={(e) => setSupplierForm({ ...supplierForm, currency: e.target.value })} className={inputClass}>
+              {CURRENCIES.map(currency => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+            <input type="number" min="0" value={supplierForm.leadTimeDays} onChange={(e) => setSupplierForm({ ...supplierForm, leadTimeDays: e.target.value })} placeholder="Dodací lhůta (dny)" className={inputClass} />
+            <input type="text" value={supplierForm.note} onChange={(e) => setSupplierForm({ ...supplierForm, note: e.target.value })} placeholder="Poznámka" className={inputClass} />
+          </div>
+          <div className="flex gap-2 mb-4">
+            <button onClick={handleSaveSupplier} className={buttonClass}>
+              {currentEditSupplierId ? <Save className="h-4 w-4" /> : <Plus className="h-4 w-4" />}
+            </button>
+            {currentEditSupplierId && (
+              <button onClick={() => { setSupplierForm(EMPTY_SUPPLIER); setCurrentEditSupplierId(null); }} className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">
+                <X className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className={headerClass}>
+                <tr>
+                  <th className={thClass}>Název</th>
+                  <th className={thClass}>Kontakt</th>
+                  <th className={thClass}>Měna</th>
+                  <th className={thClass}>Dodací lhůta</th>
+                  <th className={thClass}>Poznámka</th>
+                  <th className={thClass}>Akce</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {suppliers.sort((a, b) => a.name.localeCompare(b.name)).map(supplier => (
+                  <tr key={supplier.id}>
+                    <td className={tdClass}>{supplier.name}</td>
+                    <td className={tdClass}>
+                      {supplier.contactPerson || '-'}
+                      <div className="text-xs text-gray-500">{[supplier.phone && formatPhone(supplier.phone), supplier.email, supplier.address].filter(Boolean).join(' · ')}</div>
+                    </td>
+                    <td className={tdClass}>{supplier.currency || 'PLN'}</td>
+                    <td className={tdClass}>{supplier.leadTimeDays !== '' && supplier.leadTimeDays != null ? `${supplier.leadTimeDays} dní` : '-'}</td>
+                    <td className={tdClass}>{supplier.note || '-'}</td>
+                    <td className={tdClass}>
+                      <div className="flex space-x-2">
+                        <button onClick={() => handleEditSupplier(supplier)} className="text-indigo-600 hover:text-indigo-900" aria-label="Edit">
+                          <Edit className="h-4 w-4" />
+                        </button>
+                        <button onClick={() => handleDeleteSupplier(supplier)} className="text-red-600 hover:text-red-900" aria-label="Delete">
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <Package className="mr-2 text-indigo-500" /> Nákupy podle dodavatelů
+          </h2>
+          <div className="flex flex-wrap gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Prodáno od (měsíc)</label>
+              <input type="month" value={reportFrom} onChange={(e) => setReportFrom(e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Prodáno do (měsíc)</label>
+              <input type="month" value={reportTo} onChange={(e) => setReportTo(e.target.value)} className={inputClass} />
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className={headerClass}>
+                <tr>
+                  <th className={thClass}>Dodavatel</th>
+                  <th className={thClass}>Položek</th>
+                  <th className={thClass}>Nákup (v měně nákupu)</th>
+                  <th className={thClass}>Nákup (CZK)</th>
+                  <th className={thClass}>Tržby (CZK)</th>
+                  <th className={thClass}>Průměrná marže</th>
+                  <th className={thClass}>Vráceno</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {supplierReport.map(row => (
+                  <tr key={row.key}>
+                    <td className={tdClass}>
+                      {row.name}
+                      {!row.inDirectory && <span className="text-xs text-gray-500"> (mimo adresář)</span>}
+                    </td>
+                    <td className={tdClass}>{row.count}</td>
+                    <td className={tdClass}>{formatCurrencyAmounts(row.purchase)}</td>
+                    <td className={tdClass}>{formatAmount(row.czk)}</td>
+                    <td className={tdClass}>{formatAmount(row.revenue)}</td>
+                    <td className={tdClass}>{row.revenue ? `${(row.profit / row.revenue * 100).toFixed(1)} %` : '-'}</td>
+                    <td className={tdClass}>{row.returned} ({(row.returned / row.count * 100).toFixed(1)} %)</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {supplierReport.length === 0 && <div className="text-center text-gray-500 mt-4">Žádné nákupy v tomto období.</div>}
+          </div>
+        </div>
+
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <Users className="mr-2 text-indigo-500" /> Uživatelské účty
+          </h2>
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className={headerClass}>
+                <tr>
+                  <th className={thClass}>E-mail</th>
+                  <th className={thClass}>Role</th>
+                  <th className={thClass}>Propojená osoba</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {users.sort((a, b) => (a.email || '').localeCompare(b.email || '')).map(user => {
+                  const people = user.role === Roles.DRIVER ? drivers : user.role === Roles.SELLER ? sellers : [];
+                  return (
+                    <tr key={user.id}>
+                      <td className={tdClass}>{user.email}</td>
+                      <td className={tdClass}>
+                        <select value={user.role} onChange={(e) => handleUpdateUser(user, { role: e.target.value })} className={inputClass}>
+                          {Object.values(Roles).map(role => (
+                            <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className={tdClass}>
+                        {user.role === Roles.SELLER || user.role === Roles.DRIVER ? (
+                          <select value={user.personId || ''} onChange={(e) => handleUpdateUser(user, { personId: e.target.value })} className={inputClass}>
+                            <option value="">Nepropojeno</option>
+                            {people.map(person => (
+                              <option key={person.id} value={person.id}>{person.name}</option>
+                            ))}
+                          </select>
+                        ) : '-'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
       </div>
     );
   };
 
-  const DeliveryFilterView = ({ transactions, drivers }) => {
+  const DeliveryFilterView = ({ db, transactions, drivers, cashHandovers }) => {
     const escapeHtml = (str) => String(str).replace(/[&<>"\']/g, (s) => ({ "&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","\'":"&#39;" }[s]));
-    const [selectedDriver, setSelectedDriver] = useState('');
-    const [filteredDeliveries, setFilteredDeliveries] = useState([]);
-    const [weekOffset, setWeekOffset] = useState(0);
-    const [weekNumber, setWeekNumber] = useState('');
+    // Drivers are locked to their own deliveries
+    const ownDriverName = userRole === Roles.DRIVER ? (linkedPerson?.name || '') : null;
+    const [selectedDriver, setSelectedDriver] = useState(ownDriverName || '');
+    const [filterStatus, setFilterStatus] = useState('');
 
-    useEffect(() => {
-        if (!selectedDriver) {
-            setFilteredDeliveries([]);
-            setWeekNumber('');
-            return;
-        }
+    const periodDeliveries = selectedDriver
+      ? transactions.filter(t => t.driver === selectedDriver && t.destination && isInPeriod(t))
+      : [];
+    const filteredDeliveries = periodDeliveries.filter(t => filterStatus === '' || getOrderStatus(t) === filterStatus);
+    const periodLabel = periodRange.label;
 
-        const today = new Date();
-        const startOfCurrentWeek = getStartOfWeek(today);
+    // Cash reconciliation for the period: what the deliveries should bring in against what the driver entered
+    const driverId = drivers.find(d => d.name === selectedDriver)?.id || '';
+    const handoverId = `${driverId}_${periodRange.start}`;
+    // Cash is handed over per week; entries of a handed-over week stay read-only in any period view. The
+    // handover stamps its ID on the deliveries it covers, which the rules use to refuse the driver's changes.
+    const handover = periodRange.type === PeriodType.WEEK ? cashHandovers.find(h => h.id === handoverId) : null;
+    const handedOverIds = new Set(cashHandovers.flatMap(h => h.transactionIds || []));
+    const isHandedOver = (t) => Boolean(t.handoverId) || handedOverIds.has(t.id);
+    const collectedBy = (method) => periodDeliveries
+      .filter(t => t.paymentMethod === method)
+      .reduce((sum, t) => sum + (parseFloat(t.collectedAmountCzk) || 0), 0);
+    const reconciliation = {
+      expected: periodDeliveries.reduce((sum, t) => sum + getExpectedCollection(t), 0),
+      cash: collectedBy(PaymentMethod.CASH),
+      card: collectedBy(PaymentMethod.CARD),
+      transfer: collectedBy(PaymentMethod.TRANSFER),
+    };
+    reconciliation.collected = reconciliation.cash + reconciliation.card + reconciliation.transfer;
+    reconciliation.shortfall = reconciliation.expected - reconciliation.collected;
+    const getShortfall = (t) => getExpectedCollection(t) - (parseFloat(t.collectedAmountCzk) || 0);
 
-        const targetWeekStart = new Date(startOfCurrentWeek);
-        targetWeekStart.setDate(startOfCurrentWeek.getDate() + weekOffset * 7);
+    // Driver statement for the period: every delivery that was not cancelled, priced by the driver's fee model
+    const feeModel = drivers.find(d => d.id === driverId)?.feeModel;
+    const isPerKm = feeModel?.type === DriverFeeType.PER_KM;
+    const statementStops = periodDeliveries.filter(t => getOrderStatus(t) !== OrderStatus.CANCELLED);
+    const statementTotal = statementStops.reduce((sum, t) => sum + getDriverFee(t), 0);
 
-        const endOfTargetWeek = new Date(targetWeekStart);
-        endOfTargetWeek.setDate(targetWeekStart.getDate() + 7);
+    const handlePrintStatement = () => {
+      const formatCurrency = (n) => Number(n || 0).toLocaleString('cs-CZ', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
+      const rows = statementStops.map((t, idx) => `
+          <tr>
+            <td>${idx + 1}</td>
+            <td>${escapeHtml(t.saleDate || '-')}</td>
+            <td>${escapeHtml(getDeliveryCity(t) || '-')}</td>
+            <td>${escapeHtml(t.customerName || '-')}</td>
+            <td>${escapeHtml(t.customerAddress || '-')}</td>
+            ${isPerKm ? `<td class="num">${t.deliveryKm ?? '-'}</td>` : ''}
+            <td class="num">${formatCurrency(getDriverFee(t))}</td>
+          </tr>`).join('');
+      const totalKm = statementStops.reduce((sum, t) => sum + (parseFloat(t.deliveryKm) || 0), 0);
+      const title = `Výkaz řidiče ${selectedDriver} - ${periodLabel}`;
+      const printContents = `
+        <html>
+          <head>
+            <title>${escapeHtml(title)}</title>
+            <style>
+              body { font-family: 'Inter', sans-serif; margin: 20px; color: #333; }
+              h1 { font-size: 24px; margin-bottom: 12px; color: #1e3a8a; }
+              .sub { font-size: 14px; color: #6b7280; margin-bottom: 16px; }
+              table { width: 100%; border-collapse: collapse; }
+              th, td { border: 1px solid #ddd; padding: 8px 10px; vertical-align: top; }
+              th { background-color: #f3f4f6; font-weight: 600; text-transform: uppercase; font-size: 11px; }
+              td { font-size: 13px; }
+              td.num { text-align: right; white-space: nowrap; }
+              tfoot td { font-weight: 700; }
+            </style>
+          </head>
+          <body>
+            <h1>${escapeHtml(title)}</h1>
+            <div class="sub">Období: ${periodLabel} &nbsp;•&nbsp; Odměna: ${escapeHtml(describeDriverFeeModel(feeModel))}</div>
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Datum prodeje</th>
+                  <th>Město</th>
+                  <th>Zákazník</th>
+                  <th>Adresa</th>
+                  ${isPerKm ? '<th>Km</th>' : ''}
+                  <th>Odměna (Kč)</th>
+                </tr>
+              </thead>
+              <tbody>${rows}</tbody>
+              <tfoot>
+                <tr>
+                  <td colspan="5" style="text-align:right">Celkem (${statementStops.length} zastávek)</td>
+                  ${isPerKm ? `<td class="num">${totalKm}</td>` : ''}
+                  <td class="num">${formatCurrency(statementTotal)} Kč</td>
+                </tr>
+              </tfoot>
+            </table>
+          </body>
+        </html>`;
+      const w = window.open('', '_blank');
+      if (!w) return;
+      w.document.open();
+      w.document.write(printContents);
+      w.document.close();
+      w.focus();
+      w.print();
+    };
 
-        const weeklyDeliveries = transactions.filter(t => {
-            if (!t.driver || !t.destination || !t.createdAt) return false;
-            const transactionDate = t.createdAt.toDate();
-            return t.driver === selectedDriver && transactionDate >= targetWeekStart && transactionDate < endOfTargetWeek;
+    const handleConfirmHandover = async () => {
+      if (!isAdmin || !driverId || handover || periodRange.type !== PeriodType.WEEK) return;
+      const shortfallNote = reconciliation.shortfall > 0 ? `\nManko: ${reconciliation.shortfall} CZK.` : '';
+      if (!window.confirm(`Potvrdit převzetí hotovosti ${reconciliation.cash} CZK od řidiče ${selectedDriver} za týden ${periodLabel}?${shortfallNote}`)) return;
+      // Deliveries not made yet stay open, so the driver can still deliver and collect them
+      const settled = periodDeliveries.filter(t => getExpectedCollection(t) > 0 || t.collectedAmountCzk !== undefined);
+      try {
+        const batch = writeBatch(db);
+        batch.set(doc(db, `/artifacts/${__app_id}/public/data/cashHandovers`, handoverId), {
+          driverId,
+          driver: selectedDriver,
+          weekStart: periodRange.start,
+          week: periodLabel,
+          expectedCzk: reconciliation.expected,
+          collectedCzk: reconciliation.collected,
+          cashCzk: reconciliation.cash,
+          shortfallCzk: reconciliation.shortfall,
+          transactionIds: settled.map(t => t.id),
+          handedOverAt: serverTimestamp(),
+          ...actor,
         });
-
-        setFilteredDeliveries(weeklyDeliveries);
-        setWeekNumber(getWeekNumber(targetWeekStart));
-    }, [selectedDriver, transactions, weekOffset]);
-
-    const handlePreviousWeek = () => setWeekOffset(prev => prev - 1);
-    const handleNextWeek = () => setWeekOffset(prev => prev + 1);
+        // Orders already settled by a commission payout are locked for good and take no stamp
+        settled.filter(t => !isPayoutLocked(t)).forEach(t => batch.update(doc(db, `/artifacts/${__app_id}/public/data/transactions`, t.id), { handoverId }));
+        batch.set(doc(collection(db, `/artifacts/${__app_id}/public/data/history`)), buildHistoryEntry({
+          action: 'Předání hotovosti',
+          docId: handoverId,
+          collectionName: 'cashHandovers',
+          details: `Řidič ${selectedDriver} předal za týden ${periodLabel} hotovost ${reconciliation.cash} CZK (očekáváno ${reconciliation.expected} CZK).`,
+        }));
+        await batch.commit();
+      } catch (e) {
+        console.error("Error confirming cash handover: ", e);
+      }
+    };
 
     const handlePrint = () => {
       const formatCurrency = (n) => Number(n || 0).toLocaleString('cs-CZ', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
-      const formatPhone = (raw) => {
-        const s = String(raw || '').replace(/\D+/g, '');
-        if (!s) return '-';
-        if (s.startsWith('420')) {
-          const rest = s.slice(3);
-          const grouped = rest.replace(/(\d{3})(?=\d)/g, '$1 ').trim();
-          return '+420 ' + grouped;
-        }
-        return s.replace(/(\d{3})(?=\d)/g, '$1 ').trim();
-      };
       const rows = filteredDeliveries.map((d, idx) => {
         const tel1 = formatPhone(d.customerContact);
         const tel2 = d.customerPhone2 ? formatPhone(d.customerPhone2) : '';
@@ -891,7 +3381,8 @@ itemName: '',
         const city = d.deliveryCity || '-';
         const addr = d.customerAddress || '-';
         const note = d.note || '-';
-        const item = d.itemName || '-';
+        // One stop per order, its line items listed in the same cell
+        const item = getLineItems(d).map(line => escapeHtml(line.itemName || '-')).join('<br>');
         const seller = d.seller || '-';
         const price = formatCurrency(d.sellingPriceCzk);
         return `
@@ -906,7 +3397,8 @@ itemName: '',
             <td><span style="white-space:nowrap;">${telHtml}</span></td>
           </tr>`;
       }).join('');
-      const title = `Seznam rozvozů pro ${selectedDriver} - ${weekNumber}`;
+      const total = formatCurrency(filteredDeliveries.reduce((sum, d) => sum + (parseFloat(d.sellingPriceCzk) || 0), 0));
+      const title = `Seznam rozvozů pro ${selectedDriver} - ${periodLabel}`;
       const printContents = `
         <html>
           <head>
@@ -924,7 +3416,7 @@ itemName: '',
           </head>
           <body>
             <h1>${title}</h1>
-            <div class="sub">Týden: ${weekNumber} &nbsp;•&nbsp; Řidič: ${selectedDriver}</div>
+            <div class="sub">Období: ${periodLabel} &nbsp;•&nbsp; Řidič: ${selectedDriver}</div>
             <table>
               <thead>
                 <tr>
@@ -939,6 +3431,13 @@ itemName: '',
                 </tr>
               </thead>
               <tbody>${rows}</tbody>
+              <tfoot>
+                <tr>
+                  <td colspan="4" style="text-align:right"><strong>Celkem</strong></td>
+                  <td style="text-align:right"><strong>${total}</strong></td>
+                  <td colspan="3"></td>
+                </tr>
+              </tfoot>
             </table>
           </body>
         </html>`;
@@ -960,12 +3459,15 @@ itemName: '',
           <div className="flex justify-between items-center mb-6">
             <div className="flex-1">
               <label className="block text-sm font-medium text-gray-700 mb-1">Vyberte řidiče</label>
-              <select value={selectedDriver} onChange={(e) => setSelectedDriver(e.target.value)} className={inputClass}>
+              <select value={selectedDriver} onChange={(e) => setSelectedDriver(e.target.value)} className={inputClass} disabled={ownDriverName !== null}>
                 <option value="">Vyberte řidiče</option>
-                {drivers.map(driver => (
+                {drivers.filter(driver => ownDriverName === null || driver.name === ownDriverName).map(driver => (
                   <option key={driver.id} value={driver.name}>{driver.name}</option>
                 ))}
               </select>
+              {ownDriverName === '' && (
+                <p className="text-xs text-red-600 mt-1">Váš účet zatím není propojen s řidičem. Kontaktujte administrátora.</p>
+              )}
             </div>
             <div className="flex space-x-2">
                 <button onClick={handlePrint} className="flex items-center bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">
@@ -973,15 +3475,10 @@ itemName: '',
                 </button>
             </div>
           </div>
+          {selectedDriver && <PeriodSelector />}
           {selectedDriver && (
-            <div className="flex justify-between items-center mb-4">
-              <button onClick={handlePreviousWeek} className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 transition-colors">
-                <ChevronLeft className="h-5 w-5 text-gray-600" />
-              </button>
-              <span className="text-lg font-semibold">{weekNumber}</span>
-              <button onClick={handleNextWeek} className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 transition-colors">
-                <ChevronRight className="h-5 w-5 text-gray-600" />
-              </button>
+            <div className="flex mb-4">
+              <OrderStatusFilter value={filterStatus} onChange={setFilterStatus} />
             </div>
           )}
           {selectedDriver && filteredDeliveries.length > 0 ? (
@@ -998,12 +3495,19 @@ itemName: '',
                     <th>Adresa</th>
                     <th>Kontakt</th>
                     <th>Poznámka</th>
+                    <th>Stav</th>
+                    <th>Vybráno</th>
+                    {isPerKm && <th>Km</th>}
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {filteredDeliveries.map(delivery => (
-                    <tr key={delivery.id}>
-                      <td>{delivery.itemName}</td>
+                    <tr key={delivery.id} className={delivery.paymentMethod && getShortfall(delivery) > 0 ? 'bg-red-50' : ''}>
+                      <td>
+                        {getLineItems(delivery).map((line, index) => (
+                          <div key={index}>{line.itemName}</div>
+                        ))}
+                      </td>
                       <td>{delivery.brand || '-'}</td>
                       <td>{delivery.model || '-'}</td>
                       <td>{delivery.sellingPriceCzk} CZK</td>
@@ -1012,79 +3516,509 @@ itemName: '',
                       <td>{delivery.customerAddress || '-'}</td>
                       <td>{delivery.customerContact || '-'}</td>
                       <td>{delivery.note || '-'}</td>
+                      <td><OrderStatusSelect item={delivery} locked={isDriverRole && isHandedOver(delivery)} /></td>
+                      <td><CashCollectionCell item={delivery} locked={isHandedOver(delivery)} /></td>
+                      {isPerKm && <td><DeliveryKmCell item={delivery} locked={isDriverRole && (isHandedOver(delivery) || getOrderStatus(delivery) !== OrderStatus.OUT_FOR_DELIVERY)} /></td>}
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
           ) : selectedDriver ? (
-            <div className="text-center text-gray-500 mt-4">Žádné rozvozy pro tohoto řidiče v daném týdnu.</div>
+            <div className="text-center text-gray-500 mt-4">Žádné rozvozy pro tohoto řidiče v daném období.</div>
           ) : null}
         </div>
+
+        {selectedDriver && periodDeliveries.length > 0 && (
+          <div className={cardClass}>
+            <h3 className="text-xl font-semibold mb-4 text-gray-800">Vyúčtování hotovosti – {periodLabel}</h3>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4">
+              <div className="bg-indigo-50 rounded-xl p-4">
+                <div className="text-sm text-gray-600">Očekáváno</div>
+                <div className="text-xl font-bold text-gray-800">{reconciliation.expected} CZK</div>
+              </div>
+              <div className="bg-indigo-50 rounded-xl p-4">
+                <div className="text-sm text-gray-600">Hotově</div>
+                <div className="text-xl font-bold text-gray-800">{reconciliation.cash} CZK</div>
+              </div>
+              <div className="bg-indigo-50 rounded-xl p-4">
+                <div className="text-sm text-gray-600">Kartou</div>
+                <div className="text-xl font-bold text-gray-800">{reconciliation.card} CZK</div>
+              </div>
+              <div className="bg-indigo-50 rounded-xl p-4">
+                <div className="text-sm text-gray-600">Převodem</div>
+                <div className="text-xl font-bold text-gray-800">{reconciliation.transfer} CZK</div>
+              </div>
+              <div className={`rounded-xl p-4 ${reconciliation.shortfall > 0 ? 'bg-red-50' : 'bg-indigo-50'}`}>
+                <div className="text-sm text-gray-600">Manko</div>
+                <div className={`text-xl font-bold ${reconciliation.shortfall > 0 ? 'text-red-600' : 'text-gray-800'}`}>{reconciliation.shortfall} CZK</div>
+              </div>
+            </div>
+            {periodDeliveries.some(t => getShortfall(t) > 0) && (
+              <div className="overflow-x-auto mb-4">
+                <table className={tableClass}>
+                  <thead className={headerClass}>
+                    <tr>
+                      <th className={thClass}>Zákazník</th>
+                      <th className={thClass}>Položka</th>
+                      <th className={thClass}>Očekáváno</th>
+                      <th className={thClass}>Vybráno</th>
+                      <th className={thClass}>Chybí</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {periodDeliveries.filter(t => getShortfall(t) > 0).map(t => (
+                      <tr key={t.id}>
+                        <td className={tdClass}>{t.customerName || '-'}</td>
+                        <td className={tdClass}>{t.itemName || '-'}</td>
+                        <td className={tdClass}>{getExpectedCollection(t)} CZK</td>
+                        <td className={tdClass}>{t.paymentMethod ? `${t.collectedAmountCzk} CZK` : 'Nezadáno'}</td>
+                        <td className={`${tdClass} text-red-600 font-semibold`}>{getShortfall(t)} CZK</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {handover ? (
+              <p className="text-sm text-green-700">
+                Hotovost {handover.cashCzk} CZK předána{handover.handedOverAt?.toDate ? ` ${handover.handedOverAt.toDate().toLocaleString('cs-CZ')}` : ''} (převzal {handover.actorName}).
+              </p>
+            ) : periodRange.type !== PeriodType.WEEK ? (
+              <p className="text-sm text-gray-500">Předání hotovosti se potvrzuje po týdnech.</p>
+            ) : isAdmin ? (
+              <button onClick={handleConfirmHandover} className={buttonClass}>
+                <Save className="inline mr-2 h-4 w-4" />Potvrdit předání hotovosti
+              </button>
+            ) : (
+              <p className="text-sm text-gray-500">Předání hotovosti za tento týden zatím nebylo potvrzeno.</p>
+            )}
+          </div>
+        )}
+
+        {selectedDriver && statementStops.length > 0 && (
+          <div className={cardClass}>
+            <div className="flex justify-between items-center mb-4">
+              <h3 className="text-xl font-semibold text-gray-800">Výkaz řidiče – {periodLabel}</h3>
+              <button onClick={handlePrintStatement} className="flex items-center bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">
+                <Printer className="h-5 w-5 mr-1" /> Tisk výkazu
+              </button>
+            </div>
+            {!feeModel && (
+              <p className="text-sm text-red-600 mb-2">Řidič nemá nastavenou odměnu. Nastavte ji v sekci Personál.</p>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="bg-indigo-50 rounded-xl p-4">
+                <div className="text-sm text-gray-600">Zastávek</div>
+                <div className="text-xl font-bold text-gray-800">{statementStops.length}</div>
+              </div>
+              <div className="bg-indigo-50 rounded-xl p-4">
+                <div className="text-sm text-gray-600">Odměna</div>
+                <div className="text-xl font-bold text-gray-800">{describeDriverFeeModel(feeModel)}</div>
+              </div>
+              <div className="bg-indigo-50 rounded-xl p-4">
+                <div className="text-sm text-gray-600">K výplatě</div>
+                <div className="text-xl font-bold text-gray-800">{statementTotal.toLocaleString('cs-CZ', { maximumFractionDigits: 2 })} CZK</div>
+              </div>
+            </div>
+            {isPerKm && statementStops.some(t => t.deliveryKm === undefined || t.deliveryKm === '') && (
+              <p className="text-sm text-gray-500 mt-2">U některých zastávek chybí kilometry; do výkazu se započítají nulou.</p>
+            )}
+          </div>
+        )}
       </div>
     );
   };
 
-  const SalesGraphView = ({ transactions, sellers }) => {
-    const [weekOffset, setWeekOffset] = useState(0);
-    const [chartData, setChartData] = useState([]);
-    const [weekRange, setWeekRange] = useState('');
+  const RoutePlannerView = ({ db, transactions, drivers, routes }) => {
+    const escapeHtml = (str) => String(str).replace(/[&<>"\']/g, (s) => ({ "&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","\'":"&#39;" }[s]));
+    const ownDriverName = userRole === Roles.DRIVER ? (linkedPerson?.name || '') : null;
+    const canPlan = userRole === Roles.ADMIN || userRole === Roles.SELLER;
+    const [selectedDriver, setSelectedDriver] = useState(ownDriverName || '');
+    const [routeDate, setRouteDate] = useState(new Date().toISOString().slice(0, 10));
+    const [stopOrder, setStopOrder] = useState([]);
+    const [isDirty, setIsDirty] = useState(false);
+    const [dragIndex, setDragIndex] = useState(null);
+    const [message, setMessage] = useState('');
+
+    const driverId = drivers.find(d => d.name === selectedDriver)?.id || '';
+    const routeId = `${driverId}_${routeDate}`;
+    const savedRoute = routes.find(r => r.id === routeId);
+    const dayStops = transactions.filter(t => selectedDriver && t.driver === selectedDriver && t.saleDate === routeDate);
 
+    // Saved order first (skipping stops that no longer belong to the day), new stops appended grouped by city
     useEffect(() => {
-      const today = new Date();
-      const startOfCurrentWeek = getStartOfWeek(today);
-
-      const targetWeekStart = new Date(startOfCurrentWeek);
-      targetWeekStart.setDate(startOfCurrentWeek.getDate() + weekOffset * 7);
-
-      const endOfTargetWeek = new Date(targetWeekStart);
-      endOfTargetWeek.setDate(targetWeekStart.getDate() + 7);
-      const weeklyTransactions = transactions.filter(t => {
-        if (!t.createdAt) return false;
-        const transactionDate = t.createdAt.toDate();
-        return transactionDate >= targetWeekStart && transactionDate < endOfTargetWeek;
-      });
+      if (isDirty) return;
+      const savedIds = (savedRoute?.stopOrder || []).filter(id => dayStops.some(t => t.id === id));
+      const newStops = sortStopsByCity(dayStops.filter(t => !savedIds.includes(t.id)));
+      setStopOrder([...savedIds, ...newStops.map(t => t.id)]);
+    }, [selectedDriver, routeDate, transactions, routes, isDirty]);
 
-      const salesData = sellers.map(seller => {
-        const totalProfit = weeklyTransactions
-          .filter(t => t.seller === seller.name)
-          .reduce((sum, t) => sum + (parseFloat(t.netProfitCzk) || 0), 0);
-        return {
-          name: seller.name,
-          'Čistý zisk': parseFloat(totalProfit.toFixed(2)),
-        };
-      });
+    const orderedStops = stopOrder.map(id => dayStops.find(t => t.id === id)).filter(Boolean);
+    const totalCash = orderedStops.reduce((sum, t) => sum + (parseFloat(t.sellingPriceCzk) || 0), 0);
+    const formatCurrency = (n) => Number(n || 0).toLocaleString('cs-CZ', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
 
-      setChartData(salesData);
+    const moveStop = (from, to) => {
+      if (!canPlan || to < 0 || to >= stopOrder.length || from === to) return;
+      const next = [...stopOrder];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      setStopOrder(next);
+      setIsDirty(true);
+    };
 
-      const options = { year: 'numeric', month: 'short', day: 'numeric' };
-      const startDateString = targetWeekStart.toLocaleDateString('cs-CZ', options);
-      const endDateString = new Date(endOfTargetWeek.setDate(endOfTargetWeek.getDate() - 1)).toLocaleDateString('cs-CZ', options);
-      setWeekRange(`${startDateString} - ${endDateString}`);
-    }, [transactions, sellers, weekOffset]);
+    const handleGroupByCity = () => {
+      setStopOrder(sortStopsByCity(orderedStops).map(t => t.id));
+      setIsDirty(true);
+    };
 
-    const handlePreviousWeek = () => setWeekOffset(prev => prev - 1);
-    const handleNextWeek = () => setWeekOffset(prev => prev + 1);
+    const handleSaveOrder = async () => {
+      if (!canPlan || !driverId) return;
+      try {
+        await setDoc(doc(db, `/artifacts/${__app_id}/public/data/routes`, routeId), {
+          driverId,
+          driver: selectedDriver,
+          date: routeDate,
+          stopOrder,
+          updatedAt: serverTimestamp(),
+          ...actor,
+        });
+        setIsDirty(false);
+        setMessage('Pořadí zastávek bylo uloženo.');
+      } catch (e) {
+        console.error("Error saving route: ", e);
+        setMessage(`Pořadí se nepodařilo uložit. Chyba: ${e.message}`);
+      }
+    };
 
-    return (
-      <div className={containerClass}>
-        <div className={cardClass}>
-          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
-            <DollarSign className="mr-2 text-indigo-500" /> Graf prodejů
-          </h2>
-          <div className="flex justify-between items-center mb-4">
-            <button onClick={handlePreviousWeek} className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 transition-colors">
-              <ChevronLeft className="h-5 w-5 text-gray-600" />
-            </button>
-            <span className="text-lg font-semibold">{getWeekNumber(new Date(new Date().setDate(new Date().getDate() + weekOffset * 7)))} ({weekRange})</span>
-            <button onClick={handleNextWeek} className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 transition-colors">
-              <ChevronRight className="h-5 w-5 text-gray-600" />
-            </button>
-          </div>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="name" />
+    const handlePrintRoute = () => {
+      let previousCity = null;
+      const rows = orderedStops.map((d, idx) => {
+        const city = getDeliveryCity(d) || 'Bez města';
+        const cityRow = city !== previousCity
+          ? `<tr class="city"><td colspan="7">${escapeHtml(city)}</td></tr>`
+          : '';
+        previousCity = city;
+        const tel1 = formatPhone(d.customerContact);
+        const tel2 = d.customerPhone2 ? formatPhone(d.customerPhone2) : '';
+        return `${cityRow}
+          <tr>
+            <td class="num">${idx + 1}</td>
+            <td>${escapeHtml(d.customerName || '-')}</td>
+            <td>${escapeHtml(d.customerAddress || '-')}</td>
+            <td><span style="white-space:nowrap;">${escapeHtml(tel2 ? `${tel1} / ${tel2}` : tel1)}</span></td>
+            <td>${getLineItems(d).map(line => escapeHtml(line.itemName || '-')).join('<br>')}</td>
+            <td>${escapeHtml(d.note || '-')}</td>
+            <td class="cash">${formatCurrency(d.sellingPriceCzk)}</td>
+          </tr>`;
+      }).join('');
+      const title = `Trasa ${selectedDriver} – ${new Date(routeDate).toLocaleDateString('cs-CZ')}`;
+      const printContents = `
+        <html>
+          <head>
+            <title>${escapeHtml(title)}</title>
+            <style>
+              body { font-family: 'Inter', sans-serif; margin: 20px; color: #333; }
+              h1 { font-size: 24px; margin-bottom: 12px; color: #1e3a8a; }
+              .sub { font-size: 14px; color: #6b7280; margin-bottom: 16px; }
+              table { width: 100%; border-collapse: collapse; }
+              th, td { border: 1px solid #ddd; padding: 8px 10px; vertical-align: top; }
+              th { background-color: #f3f4f6; font-weight: 600; text-transform: uppercase; font-size: 11px; }
+              td { font-size: 13px; }
+              td.num { font-weight: 700; text-align: center; }
+              td.cash { text-align: right; white-space: nowrap; }
+              tr.city td { background-color: #eef2ff; font-weight: 700; }
+              tfoot td { font-weight: 700; }
+            </style>
+          </head>
+          <body>
+            <h1>${escapeHtml(title)}</h1>
+            <div class="sub">Řidič: ${escapeHtml(selectedDriver)} &nbsp;•&nbsp; Zastávek: ${orderedStops.length}</div>
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Zákazník</th>
+                  <th>Adresa</th>
+                  <th>Telefon</th>
+                  <th>Položka</th>
+                  <th>Poznámka</th>
+                  <th>Vybrat (Kč)</th>
+                </tr>
+              </thead>
+              <tbody>${rows}</tbody>
+              <tfoot>
+                <tr>
+                  <td colspan="6">Celkem k vybrání</td>
+                  <td class="cash">${formatCurrency(totalCash)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </body>
+        </html>`;
+      const w = window.open('', '_blank');
+      if (!w) return;
+      w.document.open();
+      w.document.write(printContents);
+      w.document.close();
+      w.focus();
+      w.print();
+    };
+
+    return (
+      <div className={containerClass}>
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <RouteIcon className="mr-2 text-indigo-500" /> Plán trasy
+          </h2>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Řidič</label>
+              <select value={selectedDriver} onChange={(e) => { setSelectedDriver(e.target.value); setIsDirty(false); }} className={inputClass} disabled={ownDriverName !== null}>
+                <option value="">Vyberte řidiče</option>
+                {drivers.filter(driver => ownDriverName === null || driver.name === ownDriverName).map(driver => (
+                  <option key={driver.id} value={driver.name}>{driver.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Den</label>
+              <input type="date" value={routeDate} onChange={(e) => { setRouteDate(e.target.value); setIsDirty(false); }} className={inputClass} />
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {canPlan && (
+                <>
+                  <button onClick={handleGroupByCity} className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md" disabled={orderedStops.length === 0}>
+                    Seřadit dle měst
+                  </button>
+                  <button onClick={handleSaveOrder} className={buttonClass} disabled={!isDirty}>
+                    <Save className="inline mr-2 h-4 w-4" />Uložit pořadí
+                  </button>
+                </>
+              )}
+              <button onClick={handlePrintRoute} className="flex items-center bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md" disabled={orderedStops.length === 0}>
+                <Printer className="h-5 w-5 mr-1" /> Tisk trasy
+              </button>
+            </div>
+          </div>
+          {isDirty && <p className="mb-4 text-sm text-yellow-600">Pořadí má neuložené změny.</p>}
+          {message && !isDirty && <p className="mb-4 text-sm text-green-600">{message}</p>}
+          {!isDateLoaded(routeDate) && (
+            <p className="mb-4 text-sm text-yellow-600">Zakázky tohoto dne nejsou načtené – vyberte období, do kterého den spadá.</p>
+          )}
+          {selectedDriver && orderedStops.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className={tableClass}>
+                <thead className={headerClass}>
+                  <tr>
+                    <th className={thClass}>#</th>
+                    <th className={thClass}>Zákazník</th>
+                    <th className={thClass}>Adresa</th>
+                    <th className={thClass}>Telefon</th>
+                    <th className={thClass}>Položka</th>
+                    <th className={thClass}>Vybrat (CZK)</th>
+                    {canPlan && <th className={thClass}>Pořadí</th>}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {orderedStops.map((stop, idx) => {
+                    const city = getDeliveryCity(stop) || 'Bez města';
+                    const isNewCity = idx === 0 || city !== (getDeliveryCity(orderedStops[idx - 1]) || 'Bez města');
+                    return (
+                      <Fragment key={stop.id}>
+                        {isNewCity && (
+                          <tr className="bg-indigo-50">
+                            <td colSpan={canPlan ? 7 : 6} className="px-6 py-2 text-sm font-bold text-indigo-800">{city}</td>
+                          </tr>
+                        )}
+                        <tr
+                          draggable={canPlan}
+                          onDragStart={() => setDragIndex(idx)}
+                          onDragOver={(e) => e.preventDefault()}
+                          onDrop={() => { moveStop(dragIndex, idx); setDragIndex(null); }}
+                          className={dragIndex === idx ? 'opacity-50' : ''}
+                        >
+                          <td className={`${tdClass} font-bold`}>
+                            {canPlan && <GripVertical className="inline h-4 w-4 mr-1 text-gray-400 cursor-move" />}
+                            {idx + 1}
+                          </td>
+                          <td className={tdClass}>{stop.customerName || '-'}</td>
+                          <td className={tdClass}>{stop.customerAddress || '-'}</td>
+                          <td className={tdClass}>{formatPhone(stop.customerContact)}</td>
+                          <td className={tdClass}>{stop.itemName || '-'}</td>
+                          <td className={tdClass}>{formatCurrency(stop.sellingPriceCzk)}</td>
+                          {canPlan && (
+                            <td className={tdClass}>
+                              <div className="flex space-x-2">
+                                <button onClick={() => moveStop(idx, idx - 1)} className="text-indigo-600 hover:text-indigo-900" aria-label="Move up">
+                                  <ArrowUp className="h-4 w-4" />
+                                </button>
+                                <button onClick={() => moveStop(idx, idx + 1)} className="text-indigo-600 hover:text-indigo-900" aria-label="Move down">
+                                  <ArrowDown className="h-4 w-4" />
+                                </button>
+                              </div>
+                            </td>
+                          )}
+                        </tr>
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div className="mt-4 text-right text-lg font-bold">Celkem k vybrání: {formatCurrency(totalCash)} CZK</div>
+            </div>
+          ) : selectedDriver ? (
+            <div className="text-center text-gray-500 mt-4">Žádné zastávky pro tohoto řidiče v daný den.</div>
+          ) : null}
+        </div>
+      </div>
+    );
+  };
+
+  const SalesGraphView = ({ transactions, sellers, monthlySummaries }) => {
+    // Profits in the analytics are after the delivery fee fixed when the order was delivered
+    const getProfitAfterDelivery = (t) => (parseFloat(t.netProfitCzk) || 0) - getStoredDeliveryFee(t);
+    const getSoldProfit = (sold) => (sold.profit || 0) - (sold.driverFee || 0);
+
+    // Profit per seller in the shared period, by sale date like every other view; cancelled and returned
+    // orders are left out as in the period analysis
+    const periodTransactions = transactions.filter(t => isInPeriod(t) && isCommissionable(t));
+    const chartData = sellers.map(seller => {
+      const totalProfit = periodTransactions
+        .filter(t => t.seller === seller.name)
+        .reduce((sum, t) => sum + getProfitAfterDelivery(t), 0);
+      return {
+        name: seller.name,
+        'Čistý zisk': parseFloat(totalProfit.toFixed(2)),
+      };
+    });
+
+    // --- Period analytics: monthly, quarterly or yearly trends by sale date ---
+    // Built from the monthly summaries, so years of sales cost a few reads; a drill-down reads the
+    // transactions behind a bar when it is clicked
+    const [granularity, setGranularity] = useState('month');
+    const [analyticsYear, setAnalyticsYear] = useState(new Date().getFullYear());
+    const [drillDown, setDrillDown] = useState(null);
+
+    const soldMonths = monthlySummaries.filter(summary => (summary.sold?.count || 0) > 0);
+    const years = [...new Set(soldMonths.map(summary => Number(summary.id.slice(0, 4))))].sort((a, b) => a - b);
+    const inScope = (key) => granularity === 'year' || key.startsWith(String(analyticsYear));
+
+    // Buckets of the selected year (every year for the yearly view), each with the same bucket a year earlier
+    const buckets = {};
+    soldMonths.forEach(summary => {
+      const key = getPeriodKey(summary.id, granularity);
+      const { revenue = 0, purchase = 0, count = 0 } = summary.sold;
+      addSummaryValues(buckets[key] || (buckets[key] = {}), { revenue, purchase, profit: getSoldProfit(summary.sold), count });
+    });
+    const periodKeys = granularity === 'year'
+      ? years.map(String)
+      : getPeriodKeysOfYear(analyticsYear, granularity);
+    const trendData = periodKeys.map(key => {
+      const bucket = buckets[key] || { revenue: 0, purchase: 0, profit: 0, count: 0 };
+      const lastYear = buckets[shiftPeriodKeyByYear(key, -1)];
+      return {
+        key,
+        name: formatPeriodLabel(key),
+        'Tržby': roundMoney(bucket.revenue),
+        'Nákup': roundMoney(bucket.purchase),
+        'Zisk': roundMoney(bucket.profit),
+        'Zisk loni': roundMoney(lastYear?.profit || 0),
+        'Marže %': bucket.revenue ? roundMoney(bucket.profit / bucket.revenue * 100) : 0,
+        'Počet prodejů': bucket.count,
+      };
+    });
+
+    const scopeKeys = granularity === 'year' ? years.map(String) : [String(analyticsYear)];
+    const scopeMonths = soldMonths.filter(summary => inScope(getPeriodKey(summary.id, granularity)));
+    const totals = trendData.reduce((acc, row) => ({
+      revenue: acc.revenue + row['Tržby'],
+      profit: acc.profit + row['Zisk'],
+      count: acc.count + row['Počet prodejů'],
+    }), { revenue: 0, profit: 0, count: 0 });
+
+    // Year over year: the selected year (the latest one in the yearly view) against the year before it, over
+    // the same months, so a running year is compared with the same part of the previous one
+    const today = new Date();
+    const comparedYear = granularity === 'year' ? (years[years.length - 1] || today.getFullYear()) : analyticsYear;
+    const lastComparedMonth = comparedYear === today.getFullYear() ? today.getMonth() + 1 : 12;
+    const getYearProfit = (year) => soldMonths
+      .filter(summary => summary.id.startsWith(`${year}-`) && Number(summary.id.slice(5, 7)) <= lastComparedMonth)
+      .reduce((sum, summary) => sum + getSoldProfit(summary.sold), 0);
+    const previousYearProfit = getYearProfit(comparedYear - 1);
+    const yearOverYear = previousYearProfit ? (getYearProfit(comparedYear) - previousYearProfit) / Math.abs(previousYearProfit) * 100 : null;
+
+    // Top brands and models by profit, counted per line item
+    const rankBy = (field) => getSummaryEntries(scopeMonths.reduce((acc, summary) => addSummaryValues(acc, summary[field] || {}), {}))
+      .sort((a, b) => b.profit - a.profit)
+      .slice(0, 10)
+      .map(g => ({ ...g, 'Zisk': roundMoney(g.profit) }));
+    const topBrands = rankBy('byBrand');
+    const topModels = rankBy('byModel');
+
+    const formatCzk = (n) => `${Number(n || 0).toLocaleString('cs-CZ', { maximumFractionDigits: 0 })} CZK`;
+    // Sold transactions of the given period keys, optionally narrowed to one brand or model
+    const handleBarClick = async (label, keys, match = () => true) => {
+      try {
+        const fetched = await Promise.all(keys.map(getPeriodKeyRange).map(([start, end]) => fetchTransactionsInRange(start, end)));
+        const list = fetched.flat().filter(t => !t.deletedAt && isCommissionable(t) && match(t));
+        setDrillDown({ label, transactions: list.sort((a, b) => a.saleDate.localeCompare(b.saleDate)) });
+      } catch (e) {
+        console.error("Error loading drill-down transactions: ", e);
+      }
+    };
+    const drillDownTable = drillDown && (
+      <div className={cardClass}>
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold text-gray-800">{drillDown.label} ({drillDown.transactions.length})</h3>
+          <button onClick={() => setDrillDown(null)} className="text-gray-500 hover:text-gray-800" aria-label="Close">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className={tableClass}>
+            <thead className={headerClass}>
+              <tr>
+                <th className={thClass}>Datum prodeje</th>
+                <th className={thClass}>Položky</th>
+                <th className={thClass}>Značka</th>
+                <th className={thClass}>Model</th>
+                <th className={thClass}>Zákazník</th>
+                <th className={thClass}>Prodejce</th>
+                <th className={thClass}>Prodej (CZK)</th>
+                <th className={thClass}>Zisk po rozvozu (CZK)</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {drillDown.transactions.map(t => (
+                <tr key={t.id}>
+                  <td className={tdClass}>{t.saleDate}</td>
+                  <td className={tdClass}>{t.itemName || '-'}</td>
+                  <td className={tdClass}>{t.brand || '-'}</td>
+                  <td className={tdClass}>{t.model || '-'}</td>
+                  <td className={tdClass}>{t.customerName || '-'}</td>
+                  <td className={tdClass}>{t.seller || '-'}</td>
+                  <td className={tdClass}>{t.sellingPriceCzk}</td>
+                  <td className={tdClass}>{roundMoney(getProfitAfterDelivery(t))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+
+    return (
+      <div className={containerClass}>
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <DollarSign className="mr-2 text-indigo-500" /> Graf prodejů
+          </h2>
+          <PeriodSelector />
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
               <YAxis />
               <Tooltip formatter={(value) => `${value} CZK`} />
               <Legend />
@@ -1092,65 +4026,392 @@ itemName: '',
             </BarChart>
           </ResponsiveContainer>
         </div>
+
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <DollarSign className="mr-2 text-indigo-500" /> Analýza období
+          </h2>
+          <div className="flex flex-wrap gap-4 mb-4">
+            <select value={granularity} onChange={(e) => { setGranularity(e.target.value); setDrillDown(null); }} className="p-2 border border-gray-300 rounded-xl">
+              <option value="month">Měsíčně</option>
+              <option value="quarter">Čtvrtletně</option>
+              <option value="year">Ročně</option>
+            </select>
+            {granularity !== 'year' && (
+              <select value={analyticsYear} onChange={(e) => { setAnalyticsYear(Number(e.target.value)); setDrillDown(null); }} className="p-2 border border-gray-300 rounded-xl">
+                {[...new Set([...years, new Date().getFullYear()])].sort((a, b) => b - a).map(year => (
+                  <option key={year} value={year}>{year}</option>
+                ))}
+              </select>
+            )}
+          </div>
+          {monthlySummaries.length === 0 && (
+            <p className="text-sm text-gray-500 mb-4">Souhrny zatím neexistují – administrátor je vytvoří v Nastavení tlačítkem „Přepočítat souhrny“.</p>
+          )}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <div className="bg-indigo-50 rounded-xl p-4">
+              <div className="text-sm text-gray-600">Tržby</div>
+              <div className="text-xl font-bold text-gray-800">{formatCzk(totals.revenue)}</div>
+            </div>
+            <div className="bg-indigo-50 rounded-xl p-4">
+              <div className="text-sm text-gray-600">Zisk</div>
+              <div className="text-xl font-bold text-gray-800">{formatCzk(totals.profit)}</div>
+            </div>
+            <div className="bg-indigo-50 rounded-xl p-4">
+              <div className="text-sm text-gray-600">Marže / počet prodejů</div>
+              <div className="text-xl font-bold text-gray-800">
+                {totals.revenue ? (totals.profit / totals.revenue * 100).toFixed(1) : '0.0'} % / {totals.count}
+              </div>
+            </div>
+            <div className="bg-indigo-50 rounded-xl p-4">
+              <div className="text-sm text-gray-600">
+                Zisk {comparedYear} proti {comparedYear - 1}{lastComparedMonth < 12 ? ` (leden–${new Date(comparedYear, lastComparedMonth - 1, 1).toLocaleDateString('cs-CZ', { month: 'long' })})` : ''}
+              </div>
+              <div className={`text-xl font-bold ${yearOverYear === null ? 'text-gray-800' : yearOverYear >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {yearOverYear === null ? '-' : `${yearOverYear >= 0 ? '+' : ''}${yearOverYear.toFixed(1)} %`}
+              </div>
+            </div>
+          </div>
+
+          <h3 className="text-lg font-semibold mb-2 text-gray-800">Tržby, nákup a zisk</h3>
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={trendData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis />
+              <Tooltip formatter={(value) => formatCzk(value)} />
+              <Legend />
+              <Line type="monotone" dataKey="Tržby" stroke="#4f46e5" strokeWidth={2} />
+              <Line type="monotone" dataKey="Nákup" stroke="#f59e0b" strokeWidth={2} />
+              <Line type="monotone" dataKey="Zisk" stroke="#10b981" strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+
+          <h3 className="text-lg font-semibold mt-6 mb-2 text-gray-800">Marže a počet prodejů</h3>
+          <ResponsiveContainer width="100%" height={250}>
+            <LineChart data={trendData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis yAxisId="margin" unit=" %" />
+              <YAxis yAxisId="count" orientation="right" allowDecimals={false} />
+              <Tooltip />
+              <Legend />
+              <Line yAxisId="margin" type="monotone" dataKey="Marže %" stroke="#db2777" strokeWidth={2} />
+              <Line yAxisId="count" type="monotone" dataKey="Počet prodejů" stroke="#6b7280" strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+
+          <h3 className="text-lg font-semibold mt-6 mb-2 text-gray-800">Zisk proti stejnému období loni</h3>
+          <p className="text-xs text-gray-500 mb-2">Kliknutím na sloupec zobrazíte transakce daného období.</p>
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={trendData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis />
+              <Tooltip formatter={(value) => formatCzk(value)} />
+              <Legend />
+              <Bar dataKey="Zisk loni" fill="#c7d2fe" radius={[10, 10, 0, 0]}
+                onClick={(entry) => handleBarClick(formatPeriodLabel(shiftPeriodKeyByYear(entry.payload.key, -1)), [shiftPeriodKeyByYear(entry.payload.key, -1)])} cursor="pointer" />
+              <Bar dataKey="Zisk" fill="#4f46e5" radius={[10, 10, 0, 0]}
+                onClick={(entry) => handleBarClick(entry.payload.name, [entry.payload.key])} cursor="pointer" />
+            </BarChart>
+          </ResponsiveContainer>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
+            {[['Nejziskovější značky', topBrands, 'brand'], ['Nejziskovější modely', topModels, 'model']].map(([title, data, field]) => (
+              <div key={title}>
+                <h3 className="text-lg font-semibold mb-2 text-gray-800">{title}</h3>
+                {data.length === 0 ? (
+                  <p className="text-sm text-gray-500">Žádná data.</p>
+                ) : (
+                  <ResponsiveContainer width="100%" height={Math.max(150, data.length * 32)}>
+                    <BarChart data={data} layout="vertical" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis type="number" />
+                      <YAxis type="category" dataKey="name" width={120} />
+                      <Tooltip formatter={(value, name, item) => [`${formatCzk(value)} (${item.payload.count} ks)`, name]} />
+                      <Bar dataKey="Zisk" fill="#10b981" radius={[0, 10, 10, 0]}
+                        onClick={(entry) => handleBarClick(entry.payload.name, scopeKeys, t => getLineItems(t).some(line => normalizeText(line[field]) === entry.payload.key))} cursor="pointer" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+        {drillDownTable}
       </div>
     );
   };
   
-  const HistoryView = ({ history }) => {
+  const HistoryView = ({ db, history }) => {
+    const [filterRecord, setFilterRecord] = useState('');
+    const [filterUser, setFilterUser] = useState('');
+    const [filterAction, setFilterAction] = useState('');
+    const [filterFrom, setFilterFrom] = useState('');
+    const [filterTo, setFilterTo] = useState('');
+    const [expandedId, setExpandedId] = useState(null);
+
     const formatTimestamp = (timestamp) => {
         if (!timestamp) return 'N/A';
         const date = timestamp.toDate();
         return `${date.toLocaleDateString('cs-CZ')} ${date.toLocaleTimeString('cs-CZ')}`;
     };
 
+    const formatValue = (value) => {
+        if (value === null || value === undefined || value === '') return '—';
+        if (Array.isArray(value) && value.every(line => line && 'itemName' in line)) {
+            return value.map(line => {
+                const { purchasePrice, purchaseCurrency, salePrice, saleCurrency } = getLineItems({ lineItems: [line] })[0];
+                return `${line.itemName} (${purchasePrice} ${purchaseCurrency} / ${salePrice} ${saleCurrency})`;
+            }).join('; ');
+        }
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    };
+
+    // A rollback entry is always newer than its import, so every loaded import sees its rollback
+    const rolledBackImportIds = new Set(history.filter(h => h.action === 'Import vrácen').map(h => h.importId));
+    const actions = [...new Set(history.map(h => h.action).filter(Boolean))].sort();
+    const actorNames = [...new Set(history.map(h => h.actorName).filter(Boolean))].sort();
+
+    const filteredHistory = history.filter(log => {
+        const recordText = normalizeText(filterRecord);
+        const recordMatch = !recordText
+            || normalizeText(log.docId).includes(recordText)
+            || normalizeText(log.snapshot?.itemName).includes(recordText)
+            || normalizeText(log.details).includes(recordText);
+        const date = log.timestamp ? log.timestamp.toDate().toISOString().slice(0, 10) : '';
+        return recordMatch
+            && (filterUser === '' || log.actorName === filterUser)
+            && (filterAction === '' || log.action === filterAction)
+            && (filterFrom === '' || (date && date >= filterFrom))
+            && (filterTo === '' || (date && date <= filterTo));
+    });
+
+    const handleUndoImport = async (log) => {
+        if (!isAdmin) return;
+        const confirmUndo = window.confirm("Opravdu chcete vrátit tento import? Všechny záznamy, které vytvořil, budou přesunuty do koše.");
+        if (!confirmUndo) return;
+        try {
+            // The import's status and the marker go with the last records, like the import itself
+            await deleteImportedTransactions(log.importId, `Vrácení importu: ${log.details}`, (batch, removedCount) => {
+                batch.update(doc(db, `/artifacts/${__app_id}/public/data/imports`, log.importId), {
+                    status: 'rolledBack',
+                    rolledBackAt: serverTimestamp(),
+                });
+                batch.set(doc(collection(db, `/artifacts/${__app_id}/public/data/history`)), {
+                    action: 'Import vrácen',
+                    importId: log.importId,
+                    details: `Import vrácen, do koše přesunuto ${removedCount} záznamů. (${log.details})`,
+                    timestamp: serverTimestamp(),
+                    ...actor,
+                });
+            });
+        } catch (e) {
+            console.error("Error rolling back import: ", e);
+            window.alert(e.message);
+        }
+    };
+
+    // Puts the record back into the state captured by the entry, taking it out of the trash or recreating it under
+    // its old ID. The snapshot replaces the whole record, so fields added after it was taken do not survive; a
+    // transaction goes through the schema again and keeps only its creation and collection times.
+    const handleRevert = async (log) => {
+        if (!isAdmin || !log.snapshot || !log.docId) return;
+        const collectionName = log.collection || 'transactions';
+        const isTransaction = collectionName === 'transactions';
+        if (isTransaction && isLockedByPayout({ id: log.docId })) return;
+        const confirmRevert = window.confirm(`Opravdu chcete vrátit záznam do verze z ${formatTimestamp(log.timestamp)}?`);
+        if (!confirmRevert) return;
+        const recordRef = doc(db, `/artifacts/${__app_id}/public/data/${collectionName}`, log.docId);
+        let snapshotRecord = { ...log.snapshot };
+        if (isTransaction) {
+            // Snapshots taken before E.164 hold the national Czech numbers the app stored then
+            const { record, errors } = normalizeTransaction({ ...snapshotRecord, phoneCountryCode: DEFAULT_PHONE_COUNTRY_CODE }, getTransactionRates(snapshotRecord));
+            if (Object.keys(errors).length > 0) {
+                window.alert(`Verzi nelze obnovit, neprošla kontrolou dat: ${Object.entries(errors).map(([field, error]) => `${field}: ${error}`).join(', ')}.`);
+                return;
+            }
+            snapshotRecord = { ...snapshotRecord, ...record };
+        }
+        try {
+            // The record may lie outside the loaded period, so its current state is read directly
+            const loadedSnapshot = await getDoc(recordRef);
+            const loaded = loadedSnapshot.exists() ? { id: loadedSnapshot.id, ...loadedSnapshot.data() } : null;
+            await commitChange(collectionName, log.docId, loaded, (current) => {
+                const restored = { ...snapshotRecord };
+                if (isTransaction) {
+                    if (current?.collectedAt && restored.collectedAmountCzk !== undefined) restored.collectedAt = current.collectedAt;
+                    TRANSACTION_LOCK_FIELDS.forEach(field => {
+                        if (current?.[field]) restored[field] = current[field];
+                        else delete restored[field];
+                    });
+                }
+                restored.createdAt = current?.createdAt || serverTimestamp();
+                return {
+                    replace: restored,
+                    entry: {
+                        action: 'Obnoveno',
+                        details: `Položka '${log.snapshot.itemName || log.docId}' vrácena do verze z ${formatTimestamp(log.timestamp)}.`,
+                        after: { id: log.docId, ...restored },
+                    },
+                };
+            }, { mayCreate: true });
+        } catch (e) {
+            console.error("Error reverting record: ", e);
+            window.alert(e.message);
+        }
+    };
+
     return (
         <div className={containerClass}>
             <div className={cardClass}>
                 <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
                     <HistoryIcon className="mr-2 text-indigo-500" /> Historie záznamů
                 </h2>
+                <div className="flex flex-wrap gap-4 mb-6">
+                    <div className="flex-1 min-w-[200px]">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Záznam (název nebo ID)</label>
+                        <input type="text" value={filterRecord} onChange={(e) => setFilterRecord(e.target.value)} placeholder="Hledat..." className={inputClass} />
+                    </div>
+                    <div className="flex-1 min-w-[150px]">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Uživatel</label>
+                        <select value={filterUser} onChange={(e) => setFilterUser(e.target.value)} className={inputClass}>
+                            <option value="">Všichni</option>
+                            {actorNames.map(name => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex-1 min-w-[150px]">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Akce</label>
+                        <select value={filterAction} onChange={(e) => setFilterAction(e.target.value)} className={inputClass}>
+                            <option value="">Všechny</option>
+                            {actions.map(action => (
+                                <option key={action} value={action}>{action}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="min-w-[150px]">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Od</label>
+                        <input type="date" value={filterFrom} onChange={(e) => setFilterFrom(e.target.value)} className={inputClass} />
+                    </div>
+                    <div className="min-w-[150px]">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Do</label>
+                        <input type="date" value={filterTo} onChange={(e) => setFilterTo(e.target.value)} className={inputClass} />
+                    </div>
+                </div>
                 <div className="overflow-x-auto">
                     <table className={tableClass}>
                         <thead className={headerClass}>
                             <tr>
                                 <th className={thClass}>Čas</th>
                                 <th className={thClass}>Akce</th>
+                                <th className={thClass}>Uživatel</th>
                                 <th className={thClass}>Detaily</th>
+                                <th className={thClass}>Změny</th>
                             </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-200">
-                            {history.sort((a, b) => b.timestamp?.toDate() - a.timestamp?.toDate()).map(log => (
-                                <tr key={log.id}>
-                                    <td className={tdClass}>{formatTimestamp(log.timestamp)}</td>
-                                    <td className={tdClass}>
-                                        <span className={`font-bold ${log.action === 'Přidáno' ? 'text-green-600' : log.action === 'Upraveno' ? 'text-blue-600' : 'text-red-600'}`}>
-                                            {log.action}
-                                        </span>
-                                    </td>
-                                    <td className={tdClass}>{log.details}</td>
-                                </tr>
+                            {filteredHistory.sort((a, b) => b.timestamp?.toDate() - a.timestamp?.toDate()).map(log => (
+                                <Fragment key={log.id}>
+                                    <tr>
+                                        <td className={tdClass}>{formatTimestamp(log.timestamp)}</td>
+                                        <td className={tdClass}>
+                                            <span className={`font-bold ${log.action === 'Přidáno' ? 'text-green-600' : log.action === 'Upraveno' ? 'text-blue-600' : 'text-red-600'}`}>
+                                                {log.action}
+                                            </span>
+                                        </td>
+                                        <td className={tdClass}>{log.actorName || '-'}</td>
+                                        <td className={tdClass}>
+                                            {log.details}
+                                            {isAdmin && log.action === 'Import' && log.importId && !rolledBackImportIds.has(log.importId) && (
+                                                <button onClick={() => handleUndoImport(log)} className="ml-3 text-red-600 hover:text-red-900 font-medium" title="Vrátit tento import">
+                                                    <Undo2 className="inline h-4 w-4 mr-1" />Vrátit import
+                                                </button>
+                                            )}
+                                        </td>
+                                        <td className={tdClass}>
+                                            <div className="flex space-x-3">
+                                                {(log.changes?.length > 0 || log.snapshot) && (
+                                                    <button onClick={() => setExpandedId(expandedId === log.id ? null : log.id)} className="text-indigo-600 hover:text-indigo-900 font-medium">
+                                                        {expandedId === log.id ? 'Skrýt' : `Zobrazit (${log.changes?.length || 0})`}
+                                                    </button>
+                                                )}
+                                                {isAdmin && log.snapshot && log.docId && (log.collection || 'transactions') === 'transactions' && (
+                                                    <button onClick={() => handleRevert(log)} className="text-red-600 hover:text-red-900" title="Vrátit do této verze">
+                                                        <Undo2 className="h-4 w-4" />
+                                                    </button>
+                                                )}
+                                            </div>
+                                        </td>
+                                    </tr>
+                                    {expandedId === log.id && (
+                                        <tr>
+                                            <td colSpan={5} className="px-6 py-4 bg-gray-50">
+                                                <table className="min-w-full text-sm">
+                                                    <thead>
+                                                        <tr className="text-left text-xs text-gray-500 uppercase">
+                                                            <th className="py-1 pr-4">Pole</th>
+                                                            <th className="py-1 pr-4">Před</th>
+                                                            <th className="py-1 pr-4">Po</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {(log.changes?.length > 0
+                                                            ? log.changes
+                                                            : Object.entries(log.snapshot || {}).map(([field, value]) => ({ field, from: null, to: value }))
+                                                        ).map(change => (
+                                                            <tr key={change.field}>
+                                                                <td className="py-1 pr-4 font-medium text-gray-700">{FIELD_LABELS[change.field] || change.field}</td>
+                                                                <td className="py-1 pr-4 text-red-600 line-through">{formatValue(change.from)}</td>
+                                                                <td className="py-1 pr-4 text-green-700">{formatValue(change.to)}</td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            </td>
+                                        </tr>
+                                    )}
+                                </Fragment>
                             ))}
                         </tbody>
                     </table>
                 </div>
+                {history.length >= historyLimit && (
+                    <div className="flex items-center justify-between mt-4">
+                        <p className="text-sm text-gray-500">Filtry prohledávají {history.length} nejnovějších záznamů.</p>
+                        <button onClick={() => setHistoryLimit(historyLimit + HISTORY_PAGE_SIZE)} className={buttonClass}>
+                            Načíst další
+                        </button>
+                    </div>
+                )}
             </div>
         </div>
     );
   };
 
-  const SettingsView = ({ db }) => {
-      const [newRate, setNewRate] = useState(PLN_TO_CZK_RATE_DEFAULT);
+  const SettingsView = ({ db, exchangeRates }) => {
+      const [newRates, setNewRates] = useState(defaultRates);
+      const [datedRate, setDatedRate] = useState({ date: new Date().toISOString().slice(0, 10), currency: DEFAULT_PURCHASE_CURRENCY, rate: '' });
+      const [retentionDays, setRetentionDays] = useState(trashRetentionDays);
+      const [agingDays, setAgingDays] = useState(stockAgingDays);
+      const [company, setCompany] = useState(companySettings);
+      const [vat, setVat] = useState(vatSettings);
       const [message, setMessage] = useState('');
 
       const handleSaveRate = async () => {
-          if (newRate <= 0) {
+          const rates = Object.fromEntries(FOREIGN_CURRENCIES.map(currency => [currency, parseFloat(newRates[currency])]));
+          if (Object.values(rates).some(rate => !(rate > 0))) {
               setMessage('Prosím zadejte platný směnný kurz.');
               return;
           }
 
           try {
               const settingsRef = doc(db, `/artifacts/${__app_id}/public/data/settings`, 'exchangeRate');
-              await setDoc(settingsRef, { value: parseFloat(newRate), timestamp: serverTimestamp() }, { merge: true });
+              // `value` keeps holding the PLN rate, as before currencies
+              await setDoc(settingsRef, { rates, value: rates.PLN, timestamp: serverTimestamp() }, { merge: true });
               setMessage('Směnný kurz byl úspěšně uložen!');
           } catch (e) {
               console.error("Error updating exchange rate:", e);
@@ -1158,6 +4419,163 @@ itemName: '',
           }
       };
 
+      const handleSaveRetention = async () => {
+          const days = parseInt(retentionDays, 10);
+          if (!(days > 0)) {
+              setMessage('Prosím zadejte platný počet dní.');
+              return;
+          }
+          try {
+              await setDoc(doc(db, `/artifacts/${__app_id}/public/data/settings`, 'trash'), { retentionDays: days, timestamp: serverTimestamp() }, { merge: true });
+              setMessage(`Záznamy se budou z koše mazat po ${days} dnech.`);
+          } catch (e) {
+              console.error("Error updating trash retention:", e);
+              setMessage('Nepodařilo se uložit nastavení koše.');
+          }
+      };
+
+      const handleSaveAging = async () => {
+          const days = parseInt(agingDays, 10);
+          if (!(days > 0)) {
+              setMessage('Prosím zadejte platný počet dní.');
+              return;
+          }
+          try {
+              await setDoc(doc(db, `/artifacts/${__app_id}/public/data/settings`, 'stock'), { agingDays: days, timestamp: serverTimestamp() }, { merge: true });
+              setMessage(`Skladové položky starší než ${days} dní budou označeny.`);
+          } catch (e) {
+              console.error("Error updating stock aging:", e);
+              setMessage('Nepodařilo se uložit nastavení skladu.');
+          }
+      };
+
+      const handleSaveCompany = async () => {
+          const dueDays = parseInt(company.dueDays, 10);
+          if (!company.name.trim() || !(dueDays >= 0)) {
+              setMessage('Prosím zadejte název firmy a splatnost ve dnech.');
+              return;
+          }
+          if (company.bankAccount && !czechAccountToIban(company.bankAccount)) {
+              setMessage('Číslo účtu zadejte ve tvaru 19-2000145399/0800.');
+              return;
+          }
+          try {
+              await setDoc(doc(db, `/artifacts/${__app_id}/public/data/settings`, 'company'), { ...company, dueDays, timestamp: serverTimestamp() }, { merge: true });
+              setMessage('Údaje firmy byly uloženy.');
+          } catch (e) {
+              console.error("Error updating company settings:", e);
+              setMessage('Nepodařilo se uložit údaje firmy.');
+          }
+      };
+
+      // Applies to transactions saved from now on; stored ones keep the mode and rate they were saved with
+      const handleSaveVat = async () => {
+          const standardRate = parseFloat(String(vat.standardRate).replace(',', '.'));
+          if (!(standardRate >= 0 && standardRate < 100)) {
+              setMessage('Prosím zadejte sazbu DPH mezi 0 a 100 %.');
+              return;
+          }
+          try {
+              await setDoc(doc(db, `/artifacts/${__app_id}/public/data/settings`, 'vat'), { defaultMode: vat.defaultMode, standardRate, timestamp: serverTimestamp() }, { merge: true });
+              setMessage('Nastavení DPH bylo uloženo.');
+          } catch (e) {
+              console.error("Error updating VAT settings:", e);
+              setMessage('Nepodařilo se uložit nastavení DPH.');
+          }
+      };
+
+      const companyFields = [
+          { key: 'name', label: 'Název firmy' },
+          { key: 'address', label: 'Adresa' },
+          { key: 'ico', label: 'IČO' },
+          { key: 'dic', label: 'DIČ (prázdné = neplátce DPH)' },
+          { key: 'bankAccount', label: 'Číslo účtu' },
+          { key: 'email', label: 'E-mail' },
+          { key: 'phone', label: 'Telefon' },
+          { key: 'invoicePrefix', label: 'Předčíslí faktur' },
+          { key: 'creditNotePrefix', label: 'Předčíslí dobropisů' },
+          { key: 'dueDays', label: 'Splatnost (dny)', type: 'number' },
+      ];
+
+      // One record per currency and day, so re-importing the same ČNB file overwrites it
+      const saveDatedRate = async (date, currency, rate, source) => {
+          const rateRef = doc(db, `/artifacts/${__app_id}/public/data/exchangeRates`, `${currency}_${date}`);
+          await setDoc(rateRef, { currency, date, rate, source, timestamp: serverTimestamp(), ...actor });
+      };
+
+      const handleSaveDatedRate = async () => {
+          const rate = parseFloat(datedRate.rate);
+          if (!datedRate.date || !(rate > 0)) {
+              setMessage('Prosím zadejte datum a platný kurz.');
+              return;
+          }
+          try {
+              await saveDatedRate(datedRate.date, datedRate.currency, rate, 'manual');
+              setDatedRate({ ...datedRate, rate: '' });
+              setMessage(`Kurz ${datedRate.currency} k ${datedRate.date} byl uložen.`);
+          } catch (e) {
+              console.error("Error saving dated exchange rate:", e);
+              setMessage('Nepodařilo se uložit kurz.');
+          }
+      };
+
+      const handleCnbFileChange = (e) => {
+          const selectedFile = e.target.files[0];
+          if (!selectedFile) return;
+          const reader = new FileReader();
+          reader.onload = async (event) => {
+              try {
+                  const { date, rates } = parseCnbDailyRates(event.target.result);
+                  const currencies = FOREIGN_CURRENCIES.filter(currency => rates[currency]);
+                  if (currencies.length === 0) {
+                      setMessage(`Soubor neobsahuje kurz ${FOREIGN_CURRENCIES.join(' ani ')}.`);
+                      return;
+                  }
+                  await Promise.all(currencies.map(currency => saveDatedRate(date, currency, rates[currency], 'cnb')));
+                  setMessage(`Kurzy ČNB k ${date} byly načteny: ${currencies.map(currency => `1 ${currency} = ${rates[currency]} CZK`).join(', ')}.`);
+              } catch (err) {
+                  console.error("Error importing CNB rates:", err);
+                  setMessage(`Načtení kurzu selhalo. Chyba: ${err.message}`);
+              }
+          };
+          reader.onerror = (err) => {
+              setMessage('Chyba při čtení souboru.');
+              console.error("FileReader error:", err);
+          };
+          reader.readAsText(selectedFile);
+          e.target.value = '';
+      };
+
+      const handleDeleteDatedRate = async (id) => {
+          if (!window.confirm("Opravdu chcete smazat tento kurz?")) return;
+          try {
+              await deleteDoc(doc(db, `/artifacts/${__app_id}/public/data/exchangeRates`, id));
+          } catch (e) {
+              console.error("Error deleting exchange rate:", e);
+          }
+      };
+
+      const handleRebuildSummaries = async () => {
+          if (!window.confirm("Přepočítat souhrny ze všech zakázek? Načte celou kolekci zakázek.")) return;
+          try {
+              const monthCount = await rebuildSummaries();
+              setMessage(`Souhrny přepočítány (${monthCount} měsíců).`);
+          } catch (e) {
+              console.error("Error rebuilding summaries:", e);
+          }
+      };
+
+      const handleResetDemoData = async () => {
+          if (!window.confirm("Opravdu chcete zahodit všechny změny a obnovit ukázková data?")) return;
+          try {
+              await resetDemoData(db);
+              await rebuildSummaries();
+              setMessage('Ukázková data byla obnovena.');
+          } catch (e) {
+              console.error("Error resetting demo data:", e);
+          }
+      };
+
       return (
           <div className={containerClass}>
               <div className={cardClass}>
@@ -1165,187 +4583,590 @@ itemName: '',
                       <SettingsIcon className="mr-2 text-indigo-500" /> Nastavení aplikace
                   </h2>
                   <div className="flex flex-col gap-4">
+                      {FOREIGN_CURRENCIES.map(currency => (
+                          <div key={currency}>
+                              <label className="block text-sm font-medium text-gray-700 mb-1">Výchozí směnný kurz {currency} k CZK</label>
+                              <input type="number" step="0.01" value={newRates[currency] ?? ''} onChange={(e) => setNewRates({ ...newRates, [currency]: e.target.value })} className={inputClass} />
+                          </div>
+                      ))}
+                      <p className="text-xs text-gray-500">Použijí se pro data, ke kterým není v kurzovním lístku žádný záznam. Vše se přepočítává na CZK.</p>
+                      <button onClick={handleSaveRate} className={buttonClass}>Uložit kurzy</button>
+                      <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Doba uchování v koši (dny)</label>
+                          <input type="number" min="1" value={retentionDays} onChange={(e) => setRetentionDays(e.target.value)} className={inputClass} />
+                      </div>
+                      <button onClick={handleSaveRetention} className={buttonClass}>Uložit nastavení koše</button>
                       <div>
-                          <label className="block text-sm font-medium text-gray-700 mb-1">Směnný kurz PLN k CZK</label>
-                          <input type="number" step="0.01" value={newRate} onChange={(e) => setNewRate(parseFloat(e.target.value) || PLN_TO_CZK_RATE_DEFAULT)} className={inputClass} />
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Označit skladové položky starší než (dny)</label>
+                          <input type="number" min="1" value={agingDays} onChange={(e) => setAgingDays(e.target.value)} className={inputClass} />
                       </div>
-                      <button onClick={handleSaveRate} className={buttonClass}>Uložit kurz</button>
+                      <button onClick={handleSaveAging} className={buttonClass}>Uložit nastavení skladu</button>
                       {message && <p className="mt-2 text-sm text-green-600">{message}</p>}
                   </div>
               </div>
-          </div>
-      );
-  };
 
-  const ImportView = ({ db }) => {
-    const [file, setFile] = useState(null);
-    const [importMessage, setImportMessage] = useState('');
-    const [XLSX, setXLSX] = useState(null);
+              <div className={cardClass}>
+                  <h3 className="text-xl font-semibold mb-4 text-gray-800">Údaje firmy a fakturace</h3>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                      {companyFields.map(field => (
+                          <div key={field.key}>
+                              <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                              <input type={field.type || 'text'} value={company[field.key]} onChange={(e) => setCompany({ ...company, [field.key]: e.target.value })} className={inputClass} />
+                          </div>
+                      ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mb-4">
+                      Faktury se číslují v řadě pro každý rok, např. {formatInvoiceNumber(company.invoicePrefix, new Date().getFullYear(), 1)}. Číslo účtu slouží i pro QR Platbu.
+                  </p>
+                  <button onClick={handleSaveCompany} className={buttonClass}>Uložit údaje firmy</button>
+              </div>
 
-    useEffect(() => {
-        const loadXLSX = async () => {
-            const module = await import('https://cdn.sheetjs.com/xlsx-0.20.1/package/xlsx.mjs');
-            setXLSX(module);
-        };
-        loadXLSX();
-    }, []);
+              <div className={cardClass}>
+                  <h3 className="text-xl font-semibold mb-4 text-gray-800">DPH</h3>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                      <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Výchozí režim DPH nových zakázek</label>
+                          <select value={vat.defaultMode} onChange={(e) => setVat({ ...vat, defaultMode: e.target.value })} className={inputClass}>
+                              {Object.values(VatMode).map(mode => <option key={mode} value={mode}>{VAT_MODE_LABELS[mode]}</option>)}
+                          </select>
+                          {companySettings.dic && vat.defaultMode === VatMode.NONE && (
+                              <p className="text-xs text-orange-600 mt-1">Firma má vyplněné DIČ, nové zakázky ale budou bez DPH. Zvolte režim, ve kterém prodáváte.</p>
+                          )}
+                      </div>
+                      <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Sazba DPH (%)</label>
+                          <input type="number" min="0" step="1" value={vat.standardRate} onChange={(e) => setVat({ ...vat, standardRate: e.target.value })} className={inputClass} />
+                      </div>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-4">
+                      Prodejní ceny se zadávají včetně DPH. Ve zvláštním režimu pro použité zboží se daň počítá jen z marže (prodej − nákup v CZK), při standardní DPH z celé ceny; neplátce volí „{VAT_MODE_LABELS[VatMode.NONE]}“. Režim a sazbu lze změnit u každé zakázky, zisk se vždy počítá po odečtení DPH.
+                  </p>
+                  <button onClick={handleSaveVat} className={buttonClass}>Uložit nastavení DPH</button>
+              </div>
+
+              <div className={cardClass}>
+                  <h3 className="text-xl font-semibold mb-4 text-gray-800">Kurzovní lístek (kurzy k CZK)</h3>
+                  <div className="grid grid-cols-1 sm:grid-cols-4 gap-4 mb-4 items-end">
+                      <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Platný od</label>
+                          <input type="date" value={datedRate.date} onChange={(e) => setDatedRate({ ...datedRate, date: e.target.value })} className={inputClass} />
+                      </div>
+                      <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Měna</label>
+                          <select value={datedRate.currency} onChange={(e) => setDatedRate({ ...datedRate, currency: e.target.value })} className={inputClass}>
+                              {FOREIGN_CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+                          </select>
+                      </div>
+                      <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Kurz (CZK za 1 {datedRate.currency})</label>
+                          <input type="number" step="0.001" value={datedRate.rate} onChange={(e) => setDatedRate({ ...datedRate, rate: e.target.value })} className={inputClass} />
+                      </div>
+                      <button onClick={handleSaveDatedRate} className={buttonClass}>
+                          <Plus className="inline mr-2 h-4 w-4" />Přidat kurz
+                      </button>
+                  </div>
+                  <div className="mb-6">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Načíst denní kurz ČNB (denni_kurz.txt)</label>
+                      <input
+                          type="file"
+                          accept=".txt,text/plain"
+                          onChange={handleCnbFileChange}
+                          className="w-full text-sm text-gray-500
+                            file:mr-4 file:py-2 file:px-4
+                            file:rounded-full file:border-0
+                            file:text-sm file:font-semibold
+                            file:bg-indigo-50 file:text-indigo-700
+                            hover:file:bg-indigo-100"
+                      />
+                  </div>
+                  <div className="overflow-x-auto">
+                      <table className={tableClass}>
+                          <thead className={headerClass}>
+                              <tr>
+                                  <th className={thClass}>Platný od</th>
+                                  <th className={thClass}>Měna</th>
+                                  <th className={thClass}>Kurz</th>
+                                  <th className={thClass}>Zdroj</th>
+                                  <th className={thClass}>Akce</th>
+                              </tr>
+                          </thead>
+                          <tbody className="bg-white divide-y divide-gray-200">
+                              {[...exchangeRates].reverse().map(rate => (
+                                  <tr key={rate.id}>
+                                      <td className={tdClass}>{rate.date}</td>
+                                      <td className={tdClass}>{rate.currency}</td>
+                                      <td className={tdClass}>{rate.rate.toLocaleString('cs-CZ', { maximumFractionDigits: 4 })}</td>
+                                      <td className={tdClass}>{rate.source === 'cnb' ? 'ČNB' : 'Ručně'}</td>
+                                      <td className={tdClass}>
+                                          <button onClick={() => handleDeleteDatedRate(rate.id)} className="text-red-600 hover:text-red-900" aria-label="Delete">
+                                              <Trash2 className="h-4 w-4" />
+                                          </button>
+                                      </td>
+                                  </tr>
+                              ))}
+                          </tbody>
+                      </table>
+                  </div>
+              </div>
+              <div className={cardClass}>
+                  <h3 className="text-xl font-semibold mb-4 text-gray-800">Souhrny pro přehledy</h3>
+                  <p className="text-sm text-gray-600 mb-4">
+                      Analýza období, přehled dodavatelů a součty zákazníků čtou měsíční souhrny, které se průběžně aktualizují s každou změnou zakázky. Přepočet je vytvoří znovu ze všech zakázek – použijte ho poprvé po aktualizaci nebo když součty nesedí.
+                  </p>
+                  <button onClick={handleRebuildSummaries} className={buttonClass}>
+                      <RotateCcw className="inline mr-2 h-4 w-4" />Přepočítat souhrny
+                  </button>
+                  {monthlySummaries.length > 0 && (
+                      <p className="text-sm text-gray-500 mt-2">Uloženo {monthlySummaries.length} měsíčních souhrnů.</p>
+                  )}
+              </div>
+              {isLocalStorage && (
+                  <div className={cardClass}>
+                      <h3 className="text-xl font-semibold mb-4 text-gray-800">Ukázková data</h3>
+                      <p className="text-sm text-gray-600 mb-4">
+                          Aplikace běží v ukázkovém režimu, data jsou uložena jen v tomto prohlížeči. Obnovení zahodí všechny změny a vrátí původní ukázkovou sadu.
+                      </p>
+                      <button onClick={handleResetDemoData} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">
+                          <RotateCcw className="inline mr-2 h-4 w-4" />Obnovit ukázková data
+                      </button>
+                  </div>
+              )}
+          </div>
+      );
+  };
+
+  const ImportView = ({ db, importProfiles, suppliers }) => {
+    const [fileName, setFileName] = useState('');
+    const [workbook, setWorkbook] = useState(null);
+    const [sheetName, setSheetName] = useState('');
+    const [sheetRows, setSheetRows] = useState([]);
+    const [headerRow, setHeaderRow] = useState(1);
+    const [mapping, setMapping] = useState({});
+    const [selectedProfileId, setSelectedProfileId] = useState('');
+    const [profileName, setProfileName] = useState('');
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    const [includeDuplicates, setIncludeDuplicates] = useState(false);
+    // Country of phones in the file written without a country code
+    const [phoneCountryCode, setPhoneCountryCode] = useState(DEFAULT_PHONE_COUNTRY_CODE);
+    const [importMessage, setImportMessage] = useState('');
+    // Existing transactions in the file's date range, read when the preview opens
+    const [existingTransactions, setExistingTransactions] = useState([]);
+
+    const profiles = [LEGACY_IMPORT_PROFILE, ...importProfiles.sort((a, b) => a.name.localeCompare(b.name))];
+    const headers = (sheetRows[headerRow - 1] || []).map((h, i) => String(h ?? '').trim() || `Sloupec ${i + 1}`);
+    const parsedRows = sheetRows
+      .slice(headerRow)
+      .map((row, i) => ({ rowNumber: headerRow + i + 1, row }))
+      .filter(({ row }) => row.some(cell => String(cell ?? '').trim() !== ''))
+      .map(({ rowNumber, row }) => {
+        const { record, errors } = parseImportRow(row, mapping);
+        // Rows whose cells parsed are checked against the transaction schema too, e.g. their phone numbers
+        const schemaErrors = errors.length > 0 ? [] : describeTransactionErrors(
+          normalizeTransaction({ ...record, phoneCountryCode }, currency => getRateForDate(record.saleDate, currency), vatDefaults).errors,
+          { withLineNumbers: false }
+        );
+        return { rowNumber, record, errors: [...errors, ...schemaErrors] };
+      });
+
+    // Flag rows matching an existing transaction or an earlier row of the same file
+    const existingKeys = new Set(existingTransactions.flatMap(t => getLineItems(t).map(line => getDuplicateKey({ ...t, ...line }))));
+    const seenKeys = new Set();
+    parsedRows.forEach(r => {
+      const key = getDuplicateKey(r.record);
+      r.isDuplicate = existingKeys.has(key) || seenKeys.has(key);
+      seenKeys.add(key);
+    });
+    const validRows = parsedRows.filter(r => r.errors.length === 0);
+    const rowsToImport = validRows.filter(r => includeDuplicates || !r.isDuplicate);
+    const mappedFields = TRANSACTION_FIELDS.filter(f => mapping[f.key] !== undefined && mapping[f.key] !== '');
+
+    // Duplicates can only share a sale date with the file's rows, so only that range is read
+    const handlePreview = async () => {
+      const saleDates = parsedRows.map(r => r.record.saleDate).filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date || '')).sort();
+      try {
+        const existing = saleDates.length
+          ? await fetchTransactionsInRange(saleDates[0], shiftDateKey(saleDates[saleDates.length - 1], 1))
+          : [];
+        setExistingTransactions(existing.filter(t => !t.deletedAt));
+      } catch (e) {
+        console.error("Error loading transactions for duplicate check: ", e);
+        setImportMessage(`Kontrola duplicit se nezdařila, náhled je nemusí označit. Chyba: ${e.message}`);
+      }
+      setIsPreviewing(true);
+    };
+
+    const loadSheet = (wb, name, headerRowNumber, profile) => {
+      const rows = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, raw: true, defval: '' });
+      const sheetHeaders = rows[headerRowNumber - 1] || [];
+      setSheetName(name);
+      setSheetRows(rows);
+      setHeaderRow(headerRowNumber);
+      setMapping(profile ? resolveImportMapping(profile.mapping, sheetHeaders) : guessImportMapping(sheetHeaders));
+      setIsPreviewing(false);
+    };
 
     const handleFileChange = (e) => {
       const selectedFile = e.target.files[0];
-      if (selectedFile) {
-        setFile(selectedFile);
-        setImportMessage(`Soubor ${selectedFile.name} je připraven k importu.`);
+      if (!selectedFile) return;
+      const isCsv = /\.csv$/i.test(selectedFile.name);
+      const reader = new FileReader();
+      reader.onload = (event) => {
+        try {
+          const wb = isCsv
+            ? XLSX.read(event.target.result, { type: 'string', raw: true })
+            : XLSX.read(new Uint8Array(event.target.result), { type: 'array' });
+          const profile = profiles.find(p => p.id === selectedProfileId);
+          const name = profile?.sheetName && wb.SheetNames.includes(profile.sheetName) ? profile.sheetName : wb.SheetNames[0];
+          setWorkbook(wb);
+          setFileName(selectedFile.name);
+          loadSheet(wb, name, profile?.headerRow || 1, profile);
+          setImportMessage(`Soubor ${selectedFile.name} je načten. Zkontrolujte přiřazení sloupců.`);
+        } catch (err) {
+          console.error("Chyba při zpracování souboru:", err);
+          setImportMessage(`Soubor se nepodařilo přečíst. Chyba: ${err.message}`);
+        }
+      };
+      reader.onerror = (err) => {
+        setImportMessage('Chyba při čtení souboru.');
+        console.error("FileReader error:", err);
+      };
+      if (isCsv) {
+        reader.readAsText(selectedFile);
+      } else {
+        reader.readAsArrayBuffer(selectedFile);
       }
     };
 
-    const handleImport = async () => {
-      if (!XLSX) {
-        setImportMessage('Chyba: Knihovna pro zpracování XLSX není dostupná.');
+    const handleProfileChange = (id) => {
+      setSelectedProfileId(id);
+      const profile = profiles.find(p => p.id === id);
+      setProfileName(profile && profile.id !== LEGACY_IMPORT_PROFILE.id ? profile.name : '');
+      if (workbook && profile) {
+        const name = profile.sheetName && workbook.SheetNames.includes(profile.sheetName) ? profile.sheetName : sheetName;
+        loadSheet(workbook, name, profile.headerRow || 1, profile);
+      }
+    };
+
+    const handleHeaderRowChange = (value) => {
+      const rowNumber = Math.max(1, parseInt(value, 10) || 1);
+      setHeaderRow(rowNumber);
+      setMapping(guessImportMapping(sheetRows[rowNumber - 1] || []));
+      setIsPreviewing(false);
+    };
+
+    const handleMappingChange = (key, value) => {
+      setMapping(prev => ({ ...prev, [key]: value === '' ? '' : parseInt(value, 10) }));
+      setIsPreviewing(false);
+    };
+
+    const handleSaveProfile = async () => {
+      if (!profileName.trim()) {
+        window.alert('Prosím zadejte název profilu.');
         return;
       }
-      if (!file) {
-        window.alert('Prosím, vyberte soubor pro import.');
+      const profileMapping = {};
+      mappedFields.forEach(f => {
+        const index = mapping[f.key];
+        profileMapping[f.key] = { index, header: String(sheetRows[headerRow - 1]?.[index] ?? '').trim() };
+      });
+      const existing = importProfiles.find(p => p.name === profileName.trim());
+      const data = { name: profileName.trim(), sheetName, headerRow, mapping: profileMapping, updatedAt: serverTimestamp() };
+      try {
+        if (existing) {
+          await setDoc(doc(db, `/artifacts/${__app_id}/public/data/importProfiles`, existing.id), data);
+          setSelectedProfileId(existing.id);
+        } else {
+          const docRef = await addDoc(collection(db, `/artifacts/${__app_id}/public/data/importProfiles`), data);
+          setSelectedProfileId(docRef.id);
+        }
+        setImportMessage(`Profil „${profileName.trim()}“ byl uložen.`);
+      } catch (e) {
+        console.error("Error saving import profile:", e);
+        setImportMessage(`Profil se nepodařilo uložit. Chyba: ${e.message}`);
+      }
+    };
+
+    const handleDeleteProfile = async () => {
+      const profile = importProfiles.find(p => p.id === selectedProfileId);
+      if (!profile || !window.confirm(`Opravdu chcete smazat profil „${profile.name}“?`)) return;
+      try {
+        await deleteDoc(doc(db, `/artifacts/${__app_id}/public/data/importProfiles`, profile.id));
+        setSelectedProfileId('');
+        setProfileName('');
+      } catch (e) {
+        console.error("Error deleting import profile:", e);
+      }
+    };
+
+    const handleImport = async () => {
+      if (rowsToImport.length === 0) {
+        setImportMessage('Žádné platné řádky k importu.');
         return;
       }
-  
+
       setImportMessage('Probíhá import dat...');
-  
+
+      const importRef = doc(collection(db, `/artifacts/${__app_id}/public/data/imports`));
+      // Rows are linked to directory customers; unknown customers are created, once per file
+      const knownCustomers = [...customers];
+      const newCustomers = [];
+      // Rows sharing an order reference become one order with several line items;
+      // order-level fields come from the first of those rows
+      const orderGroups = [];
+      const groupsByRef = {};
+      rowsToImport.forEach(({ record }) => {
+        const { orderRef, ...row } = record;
+        if (orderRef && groupsByRef[orderRef]) {
+          groupsByRef[orderRef].push(row);
+          return;
+        }
+        const group = [row];
+        orderGroups.push(group);
+        if (orderRef) groupsByRef[orderRef] = group;
+      });
+      const recordsToImport = orderGroups.map(rows => {
+        const order = Object.fromEntries(Object.entries(rows[0]).filter(([key]) => !LINE_ITEM_FIELDS.includes(key)));
+        const lineItems = rows.map(row => {
+          // Supplier spellings from the sheet resolve to the directory entry where one matches
+          const supplier = findSupplier(suppliers, row);
+          return {
+            ...EMPTY_LINE_ITEM,
+            ...Object.fromEntries(LINE_ITEM_FIELDS.map(key => [key, row[key]])),
+            supplier: supplier ? supplier.name : row.supplier,
+            supplierId: supplier ? supplier.id : '',
+            // Without a currency column a purchase is in the supplier's currency
+            purchaseCurrency: row.purchaseCurrency || supplier?.currency || DEFAULT_PURCHASE_CURRENCY,
+          };
+        });
+        // Rows without a city get the one of the directory customer they belong to
+        const knownCustomer = findMatchingCustomer(knownCustomers, order);
+        const { record } = normalizeTransaction(
+          { ...order, deliveryCity: order.deliveryCity || knownCustomer?.city || '', lineItems, phoneCountryCode },
+          currency => getRateForDate(order.saleDate, currency),
+          vatDefaults
+        );
+        let customer = knownCustomer;
+        const customerData = customerFromTransaction(record);
+        if (!customer && (customerData.name || customerData.phone)) {
+          customer = { id: doc(collection(db, `/artifacts/${__app_id}/public/data/customers`)).id, ...customerData };
+          knownCustomers.push(customer);
+          newCustomers.push(customer);
+        }
+        return {
+          ...record,
+          customerId: customer ? customer.id : '',
+          status: OrderStatus.ORDERED,
+          statusTimestamps: { [OrderStatus.ORDERED]: serverTimestamp() },
+          statusHistory: [buildStatusEntry(OrderStatus.ORDERED)],
+          importId: importRef.id,
+          createdAt: serverTimestamp(),
+        };
+      });
+      const skippedDuplicates = validRows.length - rowsToImport.length;
+      const details = `Importováno ${recordsToImport.length} objednávek (${rowsToImport.length} položek) ze souboru ${fileName}.`;
+
+      // Up to FIRESTORE_BATCH_SIZE records the import is a single atomic batch. Larger files are written
+      // in several batches; if one fails, the ones already committed are deleted again.
       try {
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-          const data = new Uint8Array(e.target.result);
-          const workbook = XLSX.read(data, { type: 'array' });
-          const sheetName = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[sheetName];
-          const json = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-  
-          if (json.length < 2) {
-            setImportMessage('Soubor neobsahuje dostatek dat.');
-            return;
-          }
-  
-          const recordsToImport = [];
-          for (let i = 1; i < json.length; i++) {
-            const row = json[i];
-            if (!row[1] || !row[8] || !row[10] || !row[7]) continue;
-            const record = {
-              saleDate: row[0] && row[0] instanceof Date ? row[0].toISOString().slice(0, 10) : new Date().toISOString().slice(0, 10),
-              itemName: row[1] || '',
-              supplier: row[12] || '',
-              note: row[6] || '',
-              destination: row[15] || '',
-              driver: row[14] || '',
-              seller: row[7] || '',
-              purchasePricePln: parseFloat(row[8]) || 0,
-              sellingPriceCzk: parseFloat(row[10]) || 0,
-              customerName: row[16] || '',
-              customerAddress: row[16] || '',
-              customerContact: row[17] || '',
-              netProfitCzk: parseFloat(row[11]) || 0,
+        // New customers go first; if the import then fails they stay in the directory as plain contacts
+        for (let i = 0; i < newCustomers.length; i += FIRESTORE_BATCH_SIZE) {
+          const batch = writeBatch(db);
+          newCustomers.slice(i, i + FIRESTORE_BATCH_SIZE).forEach(({ id, ...customer }) => {
+            batch.set(doc(db, `/artifacts/${__app_id}/public/data/customers`, id), { ...customer, createdAt: serverTimestamp() });
+          });
+          await batch.commit();
+        }
+        for (let i = 0; i < recordsToImport.length; i += FIRESTORE_BATCH_SIZE) {
+          const batch = writeBatch(db);
+          const chunk = recordsToImport.slice(i, i + FIRESTORE_BATCH_SIZE);
+          chunk.forEach(record => {
+            batch.set(doc(collection(db, `/artifacts/${__app_id}/public/data/transactions`)), record);
+          });
+          addSummaryWrites(batch, chunk.map(record => ({ after: record })));
+          if (i + FIRESTORE_BATCH_SIZE >= recordsToImport.length) {
+            batch.set(importRef, {
+              fileName,
+              recordCount: recordsToImport.length,
+              status: 'completed',
               createdAt: serverTimestamp(),
-            };
-            recordsToImport.push(record);
-          }
-  
-          const batchSize = 10;
-          for (let i = 0; i < recordsToImport.length; i += batchSize) {
-            const batch = recordsToImport.slice(i, i + batchSize);
-            try {
-              await Promise.all(batch.map(record => addDoc(collection(db, `/artifacts/${__app_id}/public/data/transactions`), record)));
-            } catch (e) {
-              console.error("Chyba při hromadném importu:", e);
-              setImportMessage(`Import selhal. Chyba: ${e.message}`);
-              return;
-            }
+              ...actor,
+            });
+            batch.set(doc(collection(db, `/artifacts/${__app_id}/public/data/history`)), {
+              action: 'Import',
+              importId: importRef.id,
+              details,
+              timestamp: serverTimestamp(),
+              ...actor,
+            });
           }
-  
-          setImportMessage(`Import dokončen. Bylo přidáno ${recordsToImport.length} záznamů.`);
-          await addDoc(collection(db, `/artifacts/${__app_id}/public/data/history`), {
-            action: 'Import',
-            details: `Importováno ${recordsToImport.length} záznamů z XLSX souboru.`,
-            timestamp: serverTimestamp(),
-          });
-          setFile(null);
-        };
-  
-        reader.onerror = (e) => {
-          setImportMessage('Chyba při čtení souboru.');
-          console.error("FileReader error:", e);
-        };
-  
-        reader.readAsArrayBuffer(file);
-  
+          await batch.commit();
+        }
       } catch (e) {
-        console.error("Chyba při zpracování souboru:", e);
-        setImportMessage(`Import selhal. Chyba: ${e.message}`);
+        console.error("Chyba při hromadném importu:", e);
+        try {
+          await deleteImportedTransactions(importRef.id, `Nedokončený import souboru ${fileName}`);
+        } catch (cleanupError) {
+          console.error("Chyba při odstraňování částečného importu:", cleanupError);
+        }
+        setImportMessage(`Import selhal, již uložené záznamy byly přesunuty do koše. Chyba: ${e.message}`);
+        return;
       }
+
+      setImportMessage(`Import dokončen. Bylo přidáno ${recordsToImport.length} objednávek (${rowsToImport.length} položek), přeskočeno ${parsedRows.length - validRows.length} chybných řádků a ${skippedDuplicates} duplikátů.`);
+      setWorkbook(null);
+      setSheetRows([]);
+      setFileName('');
+      setIsPreviewing(false);
     };
 
     return (
       <div className={containerClass}>
         <div className={cardClass}>
           <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
-            <Upload className="mr-2 text-indigo-500" /> Nahrát XLSX
+            <Upload className="mr-2 text-indigo-500" /> Import dat (XLSX / CSV)
           </h2>
           <p className="text-gray-600 mb-4">
-            Vyberte soubor ve formátu XLSX (např. z Excelu) a importujte data.
+            Vyberte profil rozložení (nebo nechte sloupce přiřadit podle záhlaví), nahrajte soubor XLSX nebo CSV a zkontrolujte náhled před importem.
           </p>
-          <input
-            type="file"
-            accept=".xlsx"
-            onChange={handleFileChange}
-            className="w-full text-sm text-gray-500
-              file:mr-4 file:py-2 file:px-4
-              file:rounded-full file:border-0
-              file:text-sm file:font-semibold
-              file:bg-indigo-50 file:text-indigo-700
-              hover:file:bg-indigo-100"
-          />
-          <button onClick={handleImport} className={`${buttonClass} mt-4`}>
-            Importovat
-          </button>
-          {importMessage && <p className="mt-4 text-sm text-green-600 font-medium">{importMessage}</p>}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Profil rozložení</label>
+              <select value={selectedProfileId} onChange={(e) => handleProfileChange(e.target.value)} className={inputClass}>
+                <option value="">Automaticky podle záhlaví</option>
+                {profiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Soubor</label>
+              <input
+                type="file"
+                accept=".xlsx,.xls,.csv"
+                onChange={handleFileChange}
+                className="w-full text-sm text-gray-500
+                  file:mr-4 file:py-2 file:px-4
+                  file:rounded-full file:border-0
+                  file:text-sm file:font-semibold
+                  file:bg-indigo-50 file:text-indigo-700
+                  hover:file:bg-indigo-100"
+              />
+            </div>
+          </div>
+          {importMessage && <p className="mt-2 text-sm text-green-600 font-medium">{importMessage}</p>}
         </div>
+
+        {workbook && (
+          <div className={cardClass}>
+            <h3 className="text-xl font-semibold mb-4 text-gray-800">Přiřazení sloupců</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">List</label>
+                <select value={sheetName} onChange={(e) => loadSheet(workbook, e.target.value, headerRow)} className={inputClass}>
+                  {workbook.SheetNames.map(name => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Řádek se záhlavím</label>
+                <input type="number" min="1" value={headerRow} onChange={(e) => handleHeaderRowChange(e.target.value)} className={inputClass} />
+              </div>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
+              {TRANSACTION_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}{field.required ? ' *' : ''}</label>
+                  <select value={mapping[field.key] ?? ''} onChange={(e) => handleMappingChange(field.key, e.target.value)} className={inputClass}>
+                    <option value="">— nepoužito —</option>
+                    {headers.map((header, index) => (
+                      <option key={index} value={index}>{XLSX.utils.encode_col(index)}: {header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-2 items-end mb-2">
+              <div className="flex-1 min-w-[200px]">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Uložit jako profil</label>
+                <input type="text" value={profileName} onChange={(e) => setProfileName(e.target.value)} placeholder="Např. Autodíly PL – objednávky" className={inputClass} />
+              </div>
+              <button onClick={handleSaveProfile} className={buttonClass}>
+                <Save className="inline mr-2 h-4 w-4" />Uložit profil
+              </button>
+              {importProfiles.some(p => p.id === selectedProfileId) && (
+                <button onClick={handleDeleteProfile} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">
+                  <Trash2 className="inline mr-2 h-4 w-4" />Smazat profil
+                </button>
+              )}
+              <button onClick={handlePreview} className={buttonClass}>
+                <Search className="inline mr-2 h-4 w-4" />Náhled
+              </button>
+            </div>
+          </div>
+        )}
+
+        {workbook && isPreviewing && (
+          <div className={cardClass}>
+            <h3 className="text-xl font-semibold mb-2 text-gray-800">Náhled importu</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Platných řádků: <span className="font-bold text-green-600">{validRows.length}</span>,
+              s chybou: <span className="font-bold text-red-600">{parsedRows.length - validRows.length}</span> (budou přeskočeny),
+              pravděpodobných duplikátů: <span className="font-bold text-yellow-600">{parsedRows.filter(r => r.isDuplicate).length}</span>.
+            </p>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+              <input type="checkbox" checked={includeDuplicates} onChange={(e) => setIncludeDuplicates(e.target.checked)} />
+              Importovat i pravděpodobné duplikáty
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+              Telefony bez předvolby jsou z:
+              <select value={phoneCountryCode} onChange={(e) => setPhoneCountryCode(e.target.value)} className="p-1 border border-gray-300 rounded-lg">
+                <option value="">nezvoleno (řádky s nimi se přeskočí)</option>
+                {PHONE_COUNTRIES.map(country => <option key={country.code} value={country.code}>{country.label}</option>)}
+              </select>
+            </label>
+            <div className="overflow-x-auto mb-4">
+              <table className={tableClass}>
+                <thead className={headerClass}>
+                  <tr>
+                    <th className={thClass}>Řádek</th>
+                    <th className={thClass}>Chyby</th>
+                    {mappedFields.map(field => (
+                      <th key={field.key} className={thClass}>{field.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {parsedRows.map(({ rowNumber, record, errors, isDuplicate }) => (
+                    <tr key={rowNumber} className={errors.length > 0 ? 'bg-red-50' : isDuplicate ? 'bg-yellow-50' : ''}>
+                      <td className={tdClass}>{rowNumber}</td>
+                      <td className={`${tdClass} text-red-600`}>
+                        {errors.length > 0
+                          ? errors.join('; ')
+                          : isDuplicate ? <span className="text-yellow-600">Pravděpodobný duplikát</span> : <span className="text-green-600">OK</span>}
+                      </td>
+                      {mappedFields.map(field => (
+                        <td key={field.key} className={tdClass}>{record[field.key] === null ? '-' : String(record[field.key])}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <button onClick={handleImport} className={buttonClass} disabled={rowsToImport.length === 0}>
+              <Upload className="inline mr-2 h-4 w-4" />Importovat {rowsToImport.length} záznamů
+            </button>
+          </div>
+        )}
       </div>
     );
   };
 
   const SalesOverviewView = ({ db, transactions }) => {
-    const [weekOffset, setWeekOffset] = useState(0);
-    const today = new Date();
-    const startOfCurrentWeek = getStartOfWeek(today);
-    const targetWeekStart = new Date(startOfCurrentWeek);
-    targetWeekStart.setDate(startOfCurrentWeek.getDate() + weekOffset * 7);
-
-    const weekTransactions = transactions.filter(t => {
-      if (!t.saleDate) return false;
-      const transactionDate = new Date(t.saleDate);
-      return transactionDate >= targetWeekStart && transactionDate < new Date(new Date(targetWeekStart).setDate(targetWeekStart.getDate() + 7));
-    });
-
-    const handlePreviousWeek = () => setWeekOffset(prev => prev - 1);
-    const handleNextWeek = () => setWeekOffset(prev => prev + 1);
+    const [filterStatus, setFilterStatus] = useState('');
 
-    const handleMoveItemToNextWeek = async (item) => {
-        const itemRef = doc(db, `/artifacts/${__app_id}/public/data/transactions`, item.id);
-        const saleDate = new Date(item.saleDate);
-        saleDate.setDate(saleDate.getDate() + 7);
-        const newSaleDate = saleDate.toISOString().slice(0, 10);
-
-        try {
-            await updateDoc(itemRef, { saleDate: newSaleDate });
-            await addDoc(collection(db, `/artifacts/${__app_id}/public/data/history`), {
-                action: 'Posunuto o týden',
-                docId: item.id,
-                details: `Položka '${item.itemName}' posunuta na týden: ${getWeekNumber(saleDate)}.`,
-                timestamp: serverTimestamp(),
-            });
-        } catch (e) {
-            console.error("Error moving item to next week: ", e);
-        }
-    };
-    
-    const weekNumber = getWeekNumber(targetWeekStart);
+    const periodTransactions = transactions.filter(t => isInPeriod(t)
+      && (filterStatus === '' || getOrderStatus(t) === filterStatus));
 
     return (
         <div className={containerClass}>
@@ -1353,14 +5174,9 @@ itemName: '',
                 <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
                     <DollarSign className="mr-2 text-indigo-500" /> Přehled prodejů
                 </h2>
-                <div className="flex justify-between items-center mb-4">
-                    <button onClick={handlePreviousWeek} className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 transition-colors">
-                        <ChevronLeft className="h-5 w-5 text-gray-600" />
-                    </button>
-                    <span className="text-lg font-semibold">{weekNumber} ({getWeekRange(targetWeekStart)})</span>
-                    <button onClick={handleNextWeek} className="p-2 rounded-full bg-gray-200 hover:bg-gray-300 transition-colors">
-                        <ChevronRight className="h-5 w-5 text-gray-600" />
-                    </button>
+                <PeriodSelector />
+                <div className="flex mb-4">
+                    <OrderStatusFilter value={filterStatus} onChange={setFilterStatus} />
                 </div>
                 <div className="overflow-x-auto">
                     <table className={tableClass}>
@@ -1373,11 +5189,12 @@ itemName: '',
                                 <th className={thClass}>Zisk</th>
                                 <th className={thClass}>Datum prodeje</th>
                                 <th className={thClass}>Prodejce</th>
+                                <th className={thClass}>Stav</th>
                                 <th className={thClass}>Akce</th>
                             </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-200">
-                            {weekTransactions.sort((a, b) => b.saleDate < a.saleDate ? 1 : -1).map(item => (
+                            {periodTransactions.sort((a, b) => b.saleDate < a.saleDate ? 1 : -1).map(item => (
                                 <tr key={item.id}>
                                     <td className={tdClass}>{item.itemName}</td>
                                     <td className={tdClass}>{item.brand || '-'}</td>
@@ -1390,6 +5207,7 @@ itemName: '',
                                     </td>
                                     <td className={tdClass}>{item.saleDate}</td>
                                     <td className={tdClass}>{item.seller}</td>
+                                    <td className={tdClass}><OrderStatusSelect item={item} /></td>
                                     <td className={tdClass}>
                                         <div className="flex space-x-2">
                                             <button onClick={() => handleMoveItemToNextWeek(item)} className="text-blue-600 hover:text-blue-900" aria-label="Move to next week">
@@ -1407,44 +5225,1893 @@ itemName: '',
     );
   };
 
-  return (
-    <div className="bg-gray-100 min-h-screen font-sans">
-      <nav className="bg-white shadow-lg sticky top-0 z-50">
-        <div className="max-w-7xl mx-auto px-2 sm:px-6 lg:px-8">
-          <div className="relative flex items-center justify-between h-16">
-            <div className="flex-1 flex items-center justify-center sm:items-stretch sm:justify-start">
-              <div className="flex-shrink-0 flex items-center">
-                <span className="text-2xl font-bold text-indigo-600">Business Manager</span>
+  const CustomersView = ({ db, customers, customerPurchases, monthlySummaries }) => {
+    const [searchText, setSearchText] = useState('');
+    const [customerForm, setCustomerForm] = useState(null);
+    const [migrationMessage, setMigrationMessage] = useState('');
+
+    // Directory totals come from the monthly summaries; the open customer's purchases are queried by customer
+    const totalsByCustomer = monthlySummaries.reduce((acc, summary) => addSummaryValues(acc, summary.byCustomer || {}), {});
+
+    const getTotals = (purchases = []) => ({
+      count: purchases.length,
+      spent: purchases.reduce((sum, t) => sum + (Number(t.sellingPriceCzk) || 0), 0),
+      profit: purchases.reduce((sum, t) => sum + (Number(t.netProfitCzk) || 0), 0),
+    });
+
+    const searchQuery = normalizeText(searchText);
+    const queryDigits = normalizePhone(searchText);
+    const filteredCustomers = customers
+      .filter(c => !searchQuery
+        || normalizeText(`${c.name || ''} ${c.address || ''} ${c.city || ''}`).includes(searchQuery)
+        || (queryDigits.length >= 3 && [c.phone, c.phone2].some(phone => normalizePhone(phone).includes(queryDigits))))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || '', 'cs'));
+
+    const selectedCustomer = customers.find(c => c.id === selectedCustomerId);
+
+    // Links every transaction without a customer to a directory entry. Records with a phone go first so
+    // that a later record with the same name but no phone joins the customer found by phone.
+    const handleMigrateCustomers = async () => {
+      if (!isAdmin) return;
+      const confirmMigration = window.confirm("Spustit jednorázové sloučení zákazníků ze všech transakcí?");
+      if (!confirmMigration) return;
+      setMigrationMessage('Probíhá migrace zákazníků...');
+
+      let allTransactions;
+      try {
+        allTransactions = await fetchTransactions();
+      } catch (e) {
+        console.error("Error loading transactions for migration: ", e);
+        setMigrationMessage(`Migrace selhala: ${e.message}`);
+        return;
+      }
+      allTransactions = allTransactions
+        .filter(t => !t.customerId)
+        .sort((a, b) => (normalizePhone(b.customerContact) ? 1 : 0) - (normalizePhone(a.customerContact) ? 1 : 0)
+          || (b.saleDate || '').localeCompare(a.saleDate || ''));
+      const knownCustomers = [...customers];
+      const writes = [];
+      const linkedTransactions = [];
+      let createdCount = 0;
+
+      allTransactions.forEach(t => {
+        const customerData = customerFromTransaction(t);
+        if (!customerData.name && !customerData.phone) return;
+        let customer = findMatchingCustomer(knownCustomers, t);
+        if (!customer) {
+          const customerRef = doc(collection(db, `/artifacts/${__app_id}/public/data/customers`));
+          customer = { id: customerRef.id, ...customerData };
+          knownCustomers.push(customer);
+          writes.push(batch => batch.set(customerRef, { ...customerData, createdAt: serverTimestamp() }));
+          createdCount++;
+        }
+        const customerId = customer.id;
+        writes.push(batch => batch.update(doc(db, `/artifacts/${__app_id}/public/data/transactions`, t.id), { customerId }));
+        linkedTransactions.push({ before: t, after: { ...t, customerId } });
+      });
+      // Customer totals in the monthly summaries follow the new links
+      writes.push(batch => addSummaryWrites(batch, linkedTransactions));
+
+      try {
+        for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_SIZE) {
+          const batch = writeBatch(db);
+          writes.slice(i, i + FIRESTORE_BATCH_SIZE).forEach(write => write(batch));
+          await batch.commit();
+        }
+        const linkedCount = linkedTransactions.length;
+        await setDoc(doc(db, `/artifacts/${__app_id}/public/data/settings`, 'customerMigration'), {
+          createdCount,
+          linkedCount,
+          timestamp: serverTimestamp(),
+          ...actor,
+        });
+        await addDoc(collection(db, `/artifacts/${__app_id}/public/data/history`), {
+          action: 'Migrace zákazníků',
+          details: `Vytvořeno ${createdCount} zákazníků, propojeno ${linkedCount} transakcí.`,
+          timestamp: serverTimestamp(),
+          ...actor,
+        });
+        setMigrationMessage(`Migrace dokončena. Vytvořeno ${createdCount} zákazníků, propojeno ${linkedCount} transakcí.`);
+      } catch (e) {
+        console.error("Error migrating customers: ", e);
+        setMigrationMessage(`Migrace selhala: ${e.message}. Lze ji spustit znovu, propojené transakce se přeskočí.`);
+      }
+    };
+
+    const handleSaveCustomer = async () => {
+      if (!customerForm.name && !customerForm.phone) {
+        window.alert("Vyplňte prosím jméno nebo telefon zákazníka.");
+        return;
+      }
+      try {
+        await updateDoc(doc(db, `/artifacts/${__app_id}/public/data/customers`, selectedCustomer.id), customerForm);
+        await recordHistory({
+          action: 'Upraveno',
+          docId: selectedCustomer.id,
+          collectionName: 'customers',
+          details: `Zákazník '${customerForm.name}' byl upraven.`,
+          before: selectedCustomer,
+          after: { ...selectedCustomer, ...customerForm },
+        });
+        setCustomerForm(null);
+      } catch (e) {
+        console.error("Error updating customer: ", e);
+      }
+    };
+
+    if (selectedCustomer) {
+      const purchases = [...customerPurchases]
+        .sort((a, b) => (b.saleDate || '').localeCompare(a.saleDate || ''));
+      const totals = getTotals(purchases);
+      const customerFields = [
+        { key: 'name', label: 'Jméno' },
+        { key: 'phone', label: 'Telefon' },
+        { key: 'phone2', label: 'Telefon 2' },
+        { key: 'address', label: 'Adresa' },
+        { key: 'city', label: 'Město doručení' },
+        { key: 'note', label: 'Poznámka' },
+      ];
+
+      return (
+        <div className={containerClass}>
+          <div className={cardClass}>
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                <Contact className="mr-2 text-indigo-500" /> {selectedCustomer.name || formatPhone(selectedCustomer.phone)}
+              </h2>
+              <button onClick={() => { setSelectedCustomerId(null); setCustomerForm(null); }} className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">
+                Zpět na seznam
+              </button>
+            </div>
+            {customerForm ? (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                {customerFields.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+                    <input type="text" value={customerForm[field.key]} onChange={(e) => setCustomerForm({ ...customerForm, [field.key]: e.target.value })} className={inputClass} />
+                  </div>
+                ))}
+                <div className="md:col-span-3 flex space-x-2">
+                  <button onClick={handleSaveCustomer} className={buttonClass}>Uložit zákazníka</button>
+                  <button onClick={() => setCustomerForm(null)} className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">Zrušit</button>
+                </div>
+              </div>
+            ) : (
+              <div className="flex justify-between items-start mb-4">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-x-8 gap-y-1 text-sm text-gray-700">
+                  {customerFields.map(field => (
+                    <div key={field.key}>
+                      <span className="text-gray-500">{field.label}: </span>
+                      {(field.key.startsWith('phone') ? formatPhone(selectedCustomer[field.key]) : selectedCustomer[field.key]) || '-'}
+                    </div>
+                  ))}
+                </div>
+                <button
+                  onClick={() => setCustomerForm(Object.fromEntries(customerFields.map(field => [field.key, selectedCustomer[field.key] || ''])))}
+                  className="text-indigo-600 hover:text-indigo-900"
+                  aria-label="Edit customer"
+                >
+                  <Edit className="h-4 w-4" />
+                </button>
+              </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+              <div className="bg-indigo-50 rounded-xl p-4">
+                <div className="text-sm text-gray-600">Počet nákupů</div>
+                <div className="text-2xl font-bold text-indigo-700">{totals.count}</div>
+              </div>
+              <div className="bg-indigo-50 rounded-xl p-4">
+                <div className="text-sm text-gray-600">Celkem utraceno</div>
+                <div className="text-2xl font-bold text-indigo-700">{totals.spent.toLocaleString('cs-CZ')} CZK</div>
+              </div>
+              <div className="bg-indigo-50 rounded-xl p-4">
+                <div className="text-sm text-gray-600">Zisk ze zákazníka</div>
+                <div className={`text-2xl font-bold ${totals.profit > 0 ? 'text-green-600' : 'text-red-600'}`}>{totals.profit.toLocaleString('cs-CZ', { maximumFractionDigits: 2 })} CZK</div>
               </div>
             </div>
-            <div className="flex items-center space-x-2 sm:space-x-4">
-              <button onClick={() => setCurrentView(Views.TRANSACTIONS)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.TRANSACTIONS ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
-                <DollarSign className="h-5 w-5 mr-1" />
-                Transakce
-              </button>
-              <button onClick={() => setCurrentView(Views.PERSONNEL)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.PERSONNEL ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
-                <Briefcase className="h-5 w-5 mr-1" />
-                Personál
-              </button>
-              <button onClick={() => setCurrentView(Views.DELIVERY_FILTER)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.DELIVERY_FILTER ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
-                <Truck className="h-5 w-5 mr-1" />
-                Rozvozy
-              </button>
-              <button onClick={() => setCurrentView(Views.SALES_GRAPH)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.SALES_GRAPH ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
-                <DollarSign className="h-5 w-5 mr-1" />
-                Grafy
-              </button>
-              <button onClick={() => setCurrentView(Views.HISTORY)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.HISTORY ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
-                <HistoryIcon className="h-5 w-5 mr-1" />
-                Historie
-              </button>
-              <button onClick={() => setCurrentView(Views.IMPORT)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.IMPORT ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
-                <Upload className="h-5 w-5 mr-1" />
-                Import
-              </button>
-              <button onClick={() => setCurrentView(Views.SETTINGS)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.SETTINGS ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
-                <SettingsIcon className="h-5 w-5 mr-1" />
-                Nastavení
+            <div className="overflow-x-auto">
+              <table className={tableClass}>
+                <thead className={headerClass}>
+                  <tr>
+                    <th className={thClass}>Datum prodeje</th>
+                    <th className={thClass}>Položka</th>
+                    <th className={thClass}>Značka</th>
+                    <th className={thClass}>Model</th>
+                    <th className={thClass}>Prodej (CZK)</th>
+                    <th className={thClass}>Zisk</th>
+                    <th className={thClass}>Prodejce</th>
+                    <th className={thClass}>Stav</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {purchases.map(item => (
+                    <tr key={item.id}>
+                      <td className={tdClass}>{item.saleDate || '-'}</td>
+                      <td className={tdClass}>{item.itemName}</td>
+                      <td className={tdClass}>{item.brand || '-'}</td>
+                      <td className={tdClass}>{item.model || '-'}</td>
+                      <td className={tdClass}>{item.sellingPriceCzk}</td>
+                      <td className={tdClass}>
+                        <span className={`font-bold ${item.netProfitCzk > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                          {item.netProfitCzk} CZK
+                        </span>
+                      </td>
+                      <td className={tdClass}>{item.seller || '-'}</td>
+                      <td className={tdClass}><OrderStatusBadge status={getOrderStatus(item)} /></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {purchases.length === 0 && <div className="text-center text-gray-500 mt-4">Zákazník zatím nemá žádné nákupy.</div>}
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className={containerClass}>
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <Contact className="mr-2 text-indigo-500" /> Zákazníci
+          </h2>
+          {isAdmin && !isCustomerMigrationDone && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 mb-4 flex justify-between items-center">
+              <span className="text-sm text-gray-700">Stávající transakce ještě nejsou propojené se zákazníky. Migrace sloučí zákazníky podle telefonu a jména.</span>
+              <button onClick={handleMigrateCustomers} className={buttonClass}>Spustit migraci</button>
+            </div>
+          )}
+          {migrationMessage && <p className="text-sm text-gray-700 mb-4">{migrationMessage}</p>}
+          <input
+            type="text"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="Hledat podle jména, telefonu nebo adresy"
+            className={`${inputClass} mb-4`}
+          />
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className={headerClass}>
+                <tr>
+                  <th className={thClass}>Jméno</th>
+                  <th className={thClass}>Telefon</th>
+                  <th className={thClass}>Adresa</th>
+                  <th className={thClass}>Nákupy</th>
+                  <th className={thClass}>Utraceno (CZK)</th>
+                  <th className={thClass}>Zisk (CZK)</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredCustomers.map(customer => {
+                  const totals = { count: 0, spent: 0, profit: 0, ...totalsByCustomer[customer.id] };
+                  return (
+                    <tr key={customer.id} onClick={() => setSelectedCustomerId(customer.id)} className="cursor-pointer hover:bg-indigo-50">
+                      <td className={tdClass}>{customer.name || '-'}</td>
+                      <td className={tdClass}>{formatPhone(customer.phone) || '-'}</td>
+                      <td className={tdClass}>{customer.address || '-'}{customer.city ? `, ${customer.city}` : ''}</td>
+                      <td className={tdClass}>{totals.count}</td>
+                      <td className={tdClass}>{totals.spent.toLocaleString('cs-CZ')}</td>
+                      <td className={tdClass}>{totals.profit.toLocaleString('cs-CZ', { maximumFractionDigits: 2 })}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {filteredCustomers.length === 0 && <div className="text-center text-gray-500 mt-4">Žádní zákazníci.</div>}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const StockView = ({ db, stockItems, suppliers, stockSales }) => {
+    const emptyStockItem = () => ({
+      itemName: '',
+      brand: '',
+      model: '',
+      supplierId: '',
+      purchasePrice: '',
+      purchaseCurrency: DEFAULT_PURCHASE_CURRENCY,
+      purchaseDate: new Date().toISOString().slice(0, 10),
+      note: '',
+    });
+    const [stockForm, setStockForm] = useState(emptyStockItem);
+    const [currentEditStockId, setCurrentEditStockId] = useState(null);
+    const [filterText, setFilterText] = useState('');
+    const [showSold, setShowSold] = useState(false);
+
+    const salesByStockItem = Object.fromEntries(stockSales.flatMap(t => getLineItems(t)
+      .filter(line => line.stockItemId)
+      .map(line => [line.stockItemId, t])));
+    const now = new Date();
+    const inStock = stockItems.filter(s => !salesByStockItem[s.id]);
+    const getValueCzk = (stockItem) => {
+      const { price, currency } = getStockPurchase(stockItem);
+      return price * (Number(stockItem.exchangeRate) || getRateForDate(stockItem.purchaseDate, currency));
+    };
+    const stockValueCzk = inStock.reduce((sum, s) => sum + getValueCzk(s), 0);
+    const agedCount = inStock.filter(s => getDaysOnShelf(s, now) > stockAgingDays).length;
+
+    const textMatch = normalizeText(filterText);
+    const visibleItems = (showSold ? stockItems : inStock)
+      .filter(s => !textMatch || normalizeText(`${s.itemName} ${s.brand || ''} ${s.model || ''} ${s.supplier || ''}`).includes(textMatch))
+      .sort((a, b) => getDaysOnShelf(b, now) - getDaysOnShelf(a, now));
+
+    // Stock from a supplier is bought in its currency unless changed
+    const handleStockSupplierChange = (supplierId) => {
+      const supplier = suppliers.find(s => s.id === supplierId);
+      setStockForm({
+        ...stockForm,
+        supplierId,
+        ...(CURRENCIES.includes(supplier?.currency) ? { purchaseCurrency: supplier.currency } : {}),
+      });
+    };
+
+    const handleSaveStockItem = async () => {
+      const purchasePrice = parseAmount(stockForm.purchasePrice);
+      if (!stockForm.itemName.trim() || !(purchasePrice >= 0) || !stockForm.purchaseDate) {
+        window.alert("Prosím vyplňte název, nákupní cenu a datum nákupu.");
+        return;
+      }
+      const data = {
+        ...stockForm,
+        itemName: stockForm.itemName.trim(),
+        supplier: suppliers.find(s => s.id === stockForm.supplierId)?.name || '',
+        purchasePrice,
+        exchangeRate: getRateForDate(stockForm.purchaseDate, stockForm.purchaseCurrency),
+      };
+
+      if (currentEditStockId) {
+        const before = stockItems.find(s => s.id === currentEditStockId);
+        try {
+          await updateDoc(doc(db, `/artifacts/${__app_id}/public/data/stockItems`, currentEditStockId), data);
+          await recordHistory({
+            action: 'Upraveno',
+            docId: currentEditStockId,
+            collectionName: 'stockItems',
+            details: `Skladová položka '${data.itemName}' byla upravena.`,
+            before,
+            after: { ...before, ...data },
+          });
+          setCurrentEditStockId(null);
+        } catch (e) {
+          console.error("Error updating stock item: ", e);
+        }
+      } else {
+        try {
+          const docRef = await addDoc(collection(db, `/artifacts/${__app_id}/public/data/stockItems`), {
+            ...data,
+            createdAt: serverTimestamp(),
+          });
+          await recordHistory({
+            action: 'Přidáno',
+            docId: docRef.id,
+            collectionName: 'stockItems',
+            details: `Skladová položka '${data.itemName}' byla naskladněna.`,
+            after: data,
+          });
+        } catch (e) {
+          console.error("Error adding stock item: ", e);
+        }
+      }
+      setStockForm(emptyStockItem());
+    };
+
+    const handleEditStockItem = (stockItem) => {
+      setStockForm({
+        itemName: stockItem.itemName || '',
+        brand: stockItem.brand || '',
+        model: stockItem.model || '',
+        supplierId: findSupplier(suppliers, stockItem)?.id || '',
+        purchasePrice: getStockPurchase(stockItem).price.toString(),
+        purchaseCurrency: getStockPurchase(stockItem).currency,
+        purchaseDate: stockItem.purchaseDate || '',
+        note: stockItem.note || '',
+      });
+      setCurrentEditStockId(stockItem.id);
+    };
+
+    const handleDeleteStockItem = async (stockItem) => {
+      if (!isAdmin) return;
+      const confirmDelete = window.confirm("Opravdu chcete smazat tuto skladovou položku? Bude přesunuta do koše.");
+      if (!confirmDelete) return;
+      try {
+        await moveToTrash('stockItems', stockItem, `Skladová položka '${stockItem.itemName}' byla přesunuta do koše.`);
+      } catch (e) {
+        console.error("Error deleting stock item: ", e);
+      }
+    };
+
+    const handleSellStockItem = (stockItem) => {
+      setPendingStockItemId(stockItem.id);
+      setCurrentView(Views.TRANSACTIONS);
+    };
+
+    return (
+      <div className={containerClass}>
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <Warehouse className="mr-2 text-indigo-500" /> Sklad
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className="bg-indigo-50 rounded-xl p-4">
+              <div className="text-sm text-gray-600">Položek skladem</div>
+              <div className="text-2xl font-bold text-indigo-700">{inStock.length}</div>
+            </div>
+            <div className="bg-indigo-50 rounded-xl p-4">
+              <div className="text-sm text-gray-600">Hodnota skladu</div>
+              <div className="text-2xl font-bold text-indigo-700">{stockValueCzk.toLocaleString('cs-CZ', { maximumFractionDigits: 0 })} CZK</div>
+            </div>
+            <div className={`rounded-xl p-4 ${agedCount > 0 ? 'bg-red-50' : 'bg-indigo-50'}`}>
+              <div className="text-sm text-gray-600">Skladem déle než {stockAgingDays} dní</div>
+              <div className={`text-2xl font-bold ${agedCount > 0 ? 'text-red-600' : 'text-indigo-700'}`}>{agedCount}</div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+            <input type="text" value={stockForm.itemName} onChange={(e) => setStockForm({ ...stockForm, itemName: e.target.value })} placeholder="Název položky" className={inputClass} />
+            <input type="text" value={stockForm.brand} onChange={(e) => setStockForm({ ...stockForm, brand: e.target.value })} placeholder="Značka" className={inputClass} />
+            <input type="text" value={stockForm.model} onChange={(e) => setStockForm({ ...stockForm, model: e.target.value })} placeholder="Model" className={inputClass} />
+            <select value={stockForm.supplierId} onChange={(e) => handleStockSupplierChange(e.target.value)} className={inputClass}>
+              <option value="">Vyberte dodavatele</option>
+              {suppliers.map(supplier => (
+                <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+              ))}
+            </select>
+            <div className="flex gap-2">
+              <input type="number" value={stockForm.purchasePrice} onChange={(e) => setStockForm({ ...stockForm, purchasePrice: e.target.value })} placeholder="Nákupní cena" className={inputClass} />
+              <select value={stockForm.purchaseCurrency} onChange={(e) => setStockForm({ ...stockForm, purchaseCurrency: e.target.value })} className="p-2 border border-gray-300 rounded-xl">
+                {CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+              </select>
+            </div>
+            <input type="date" value={stockForm.purchaseDate} onChange={(e) => setStockForm({ ...stockForm, purchaseDate: e.target.value })} className={inputClass} />
+            <input type="text" value={stockForm.note} onChange={(e) => setStockForm({ ...stockForm, note: e.target.value })} placeholder="Poznámka" className={inputClass} />
+            <div className="flex gap-2">
+              <button onClick={handleSaveStockItem} className={buttonClass}>
+                {currentEditStockId ? <Save className="h-4 w-4" /> : <Plus className="h-4 w-4" />}
+              </button>
+              {currentEditStockId && (
+                <button onClick={() => { setStockForm(emptyStockItem()); setCurrentEditStockId(null); }} className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">
+                  <X className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap gap-4 items-center mb-4">
+            <input type="text" value={filterText} onChange={(e) => setFilterText(e.target.value)} placeholder="Hledat položku, značku, model nebo dodavatele" className={`${inputClass} flex-1`} />
+            <label className="flex items-center text-sm text-gray-700">
+              <input type="checkbox" checked={showSold} onChange={(e) => setShowSold(e.target.checked)} className="mr-2" />
+              Zobrazit i prodané
+            </label>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className={headerClass}>
+                <tr>
+                  <th className={thClass}>Položka</th>
+                  <th className={thClass}>Značka / model</th>
+                  <th className={thClass}>Dodavatel</th>
+                  <th className={thClass}>Datum nákupu</th>
+                  <th className={thClass}>Dní na skladě</th>
+                  <th className={thClass}>Nákup</th>
+                  <th className={thClass}>Hodnota (CZK)</th>
+                  <th className={thClass}>Stav</th>
+                  <th className={thClass}>Akce</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {visibleItems.map(stockItem => {
+                  const sale = salesByStockItem[stockItem.id];
+                  const days = getDaysOnShelf(stockItem, now);
+                  const isAged = !sale && days > stockAgingDays;
+                  return (
+                    <tr key={stockItem.id} className={isAged ? 'bg-red-50' : ''}>
+                      <td className={tdClass}>
+                        {stockItem.itemName}
+                        {stockItem.note && <div className="text-xs text-gray-500">{stockItem.note}</div>}
+                      </td>
+                      <td className={tdClass}>{[stockItem.brand, stockItem.model].filter(Boolean).join(' ') || '-'}</td>
+                      <td className={tdClass}>{stockItem.supplier || '-'}</td>
+                      <td className={tdClass}>{stockItem.purchaseDate}</td>
+                      <td className={tdClass}>
+                        <span className={isAged ? 'font-bold text-red-600' : ''}>{days}</span>
+                      </td>
+                      <td className={tdClass}>{getStockPurchase(stockItem).price} {getStockPurchase(stockItem).currency}</td>
+                      <td className={tdClass}>{getValueCzk(stockItem).toLocaleString('cs-CZ', { maximumFractionDigits: 0 })}</td>
+                      <td className={tdClass}>{sale ? `Prodáno ${sale.saleDate || ''}` : 'Skladem'}</td>
+                      <td className={tdClass}>
+                        {!sale && (
+                          <div className="flex space-x-2">
+                            <button onClick={() => handleSellStockItem(stockItem)} className="text-green-600 hover:text-green-900" aria-label="Sell" title="Prodat">
+                              <DollarSign className="h-4 w-4" />
+                            </button>
+                            <button onClick={() => handleEditStockItem(stockItem)} className="text-indigo-600 hover:text-indigo-900" aria-label="Edit">
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            {isAdmin && (
+                              <button onClick={() => handleDeleteStockItem(stockItem)} className="text-red-600 hover:text-red-900" aria-label="Delete">
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            )}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {visibleItems.length === 0 && <div className="text-center text-gray-500 mt-4">Sklad je prázdný.</div>}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const InvoicesView = ({ db, invoices, transactions }) => {
+    const escapeHtml = (str) => String(str).replace(/[&<>"\']/g, (s) => ({ "&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","\'":"&#39;" }[s]));
+    const formatCurrency = (n) => Number(n || 0).toLocaleString('cs-CZ', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('cs-CZ') : '-');
+    const addDays = (date, days) => {
+      const result = new Date(date);
+      result.setDate(result.getDate() + days);
+      return result.toISOString().slice(0, 10);
+    };
+    const today = new Date().toISOString().slice(0, 10);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [issueDate, setIssueDate] = useState(today);
+    const [invoiceNote, setInvoiceNote] = useState('');
+    const [message, setMessage] = useState('');
+    const [isIssuing, setIsIssuing] = useState(false);
+
+    // Candidates come from the shared period, like every other list of transactions
+    const candidates = transactions
+      .filter(t => isInPeriod(t)
+        && !invoicedTransactionIds.has(t.id)
+        && getOrderStatus(t) !== OrderStatus.CANCELLED)
+      .sort((a, b) => (a.saleDate || '').localeCompare(b.saleDate || ''));
+    const selected = candidates.filter(t => selectedIds.includes(t.id));
+    // An invoice is issued in the currency the items were sold in, so one invoice takes one sale currency.
+    // Each line keeps its CZK equivalent at the rate stored on the order; the VAT is always in CZK.
+    const invoiceCurrencies = [...new Set(selected.flatMap(t => getLineItems(t).map(line => line.saleCurrency)))];
+    const invoiceCurrency = invoiceCurrencies.length === 1 ? invoiceCurrencies[0] : BASE_CURRENCY;
+    const invoiceLines = selected.flatMap(t => getLineItems(t).map(line => ({
+      description: [line.itemName, line.brand, line.model].filter(Boolean).join(' '),
+      saleDate: t.saleDate,
+      quantity: 1,
+      unitPrice: Number(line.salePrice) || 0,
+      total: Number(line.salePrice) || 0,
+      rate: getTransactionRate(t, line.saleCurrency) || 0,
+      totalCzk: Number(line.sellingPriceCzk) || 0,
+      // Prices are gross; the VAT is printed for standard-rate lines, margin-scheme lines only name the scheme
+      vatMode: t.vatMode || '',
+      vatRate: Number(t.vatRate) || 0,
+      vatBase: Number(line.vatBaseCzk) || 0,
+      vat: Number(line.vatCzk) || 0,
+    })));
+    const invoiceTotal = roundMoney(invoiceLines.reduce((sum, line) => sum + line.total, 0));
+    const invoiceTotalCzk = roundMoney(invoiceLines.reduce((sum, line) => sum + line.totalCzk, 0));
+
+    const toggleSelected = (id) => {
+      setSelectedIds(selectedIds.includes(id) ? selectedIds.filter(x => x !== id) : [...selectedIds, id]);
+    };
+
+    const companySnapshot = () => {
+      const { invoicePrefix, creditNotePrefix, dueDays, timestamp, id, ...company } = companySettings;
+      return company;
+    };
+
+    // The series counter and the document are written in one Firestore transaction, so numbers are gapless and never reused
+    const issueDocument = async (type, data) => {
+      const year = Number(data.issueDate.slice(0, 4));
+      const prefix = type === InvoiceType.INVOICE ? companySettings.invoicePrefix : companySettings.creditNotePrefix;
+      const seriesId = `${type}_${year}`;
+      const seriesRef = doc(db, `/artifacts/${__app_id}/public/data/invoiceSeries`, seriesId);
+      const invoiceRef = doc(collection(db, `/artifacts/${__app_id}/public/data/invoices`));
+      const record = await runTransaction(db, async (firestoreTransaction) => {
+        const series = await firestoreTransaction.get(seriesRef);
+        const sequence = (series.exists() ? series.data().lastNumber : 0) + 1;
+        const number = formatInvoiceNumber(prefix, year, sequence);
+        const invoice = {
+          ...data,
+          type,
+          // The rules check the number against the series counter written alongside it
+          seriesId,
+          sequence,
+          number,
+          variableSymbol: data.variableSymbol || number.replace(/\D/g, '').slice(-10),
+        };
+        firestoreTransaction.set(seriesRef, { type, year, lastNumber: sequence });
+        firestoreTransaction.set(invoiceRef, { ...invoice, createdAt: serverTimestamp(), ...actor });
+        return invoice;
+      });
+      await recordHistory({
+        action: type === InvoiceType.INVOICE ? 'Faktura vystavena' : 'Dobropis vystaven',
+        docId: invoiceRef.id,
+        collectionName: 'invoices',
+        details: `${INVOICE_TYPE_LABELS[type]} ${record.number} na ${formatCurrency(record.total)} ${record.currency}.`,
+        after: record,
+      });
+      return record;
+    };
+
+    const handleIssueInvoice = async () => {
+      if (selected.length === 0) {
+        window.alert("Vyberte prosím alespoň jednu transakci.");
+        return;
+      }
+      if (!companySettings.name) {
+        window.alert("Nejprve vyplňte údaje firmy v Nastavení.");
+        return;
+      }
+      const customerKeys = new Set(selected.map(t => t.customerId || normalizeText(t.customerName)));
+      if (customerKeys.size > 1) {
+        window.alert("Vybrané transakce patří různým zákazníkům. Fakturu lze vystavit jen jednomu zákazníkovi.");
+        return;
+      }
+      if (invoiceCurrencies.length > 1) {
+        window.alert(`Vybrané položky byly prodány v různých měnách (${invoiceCurrencies.join(', ')}). Fakturu lze vystavit jen v jedné měně.`);
+        return;
+      }
+      const first = selected[0];
+      setIsIssuing(true);
+      try {
+        const invoice = await issueDocument(InvoiceType.INVOICE, {
+          issueDate,
+          // Date of taxable supply: the last sale on the invoice
+          taxableDate: selected[selected.length - 1].saleDate,
+          dueDate: addDays(issueDate, parseInt(companySettings.dueDays, 10) || 0),
+          supplier: companySnapshot(),
+          customer: {
+            customerId: first.customerId || '',
+            name: first.customerName || '',
+            address: [first.customerAddress, first.deliveryCity].filter(Boolean).join(', '),
+            phone: first.customerContact || '',
+          },
+          lines: invoiceLines,
+          total: invoiceTotal,
+          currency: invoiceCurrency,
+          totalCzk: invoiceTotalCzk,
+          transactionIds: selected.map(t => t.id),
+          note: invoiceNote,
+        });
+        setSelectedIds([]);
+        setInvoiceNote('');
+        setMessage(`Faktura ${invoice.number} byla vystavena.`);
+      } catch (e) {
+        console.error("Error issuing invoice: ", e);
+        setMessage(`Fakturu se nepodařilo vystavit: ${e.message}`);
+      } finally {
+        setIsIssuing(false);
+      }
+    };
+
+    // Issued invoices are never edited; a credit note cancels one and frees its transactions for a new invoice
+    const handleCreditNote = async (invoice) => {
+      const reason = window.prompt(`Důvod opravy faktury ${invoice.number}:`);
+      if (reason === null) return;
+      try {
+        const creditNote = await issueDocument(InvoiceType.CREDIT_NOTE, {
+          issueDate: today,
+          taxableDate: today,
+          dueDate: addDays(today, parseInt(companySettings.dueDays, 10) || 0),
+          supplier: companySnapshot(),
+          customer: invoice.customer,
+          lines: invoice.lines.map(line => ({
+            ...line,
+            unitPrice: -line.unitPrice,
+            total: -line.total,
+            ...(line.totalCzk !== undefined ? { totalCzk: -line.totalCzk } : {}),
+            ...(line.vatMode ? { vatBase: -line.vatBase, vat: -line.vat } : {}),
+          })),
+          total: -invoice.total,
+          currency: invoice.currency || BASE_CURRENCY,
+          ...(invoice.totalCzk !== undefined ? { totalCzk: -invoice.totalCzk } : {}),
+          transactionIds: invoice.transactionIds || [],
+          correctedInvoiceId: invoice.id,
+          correctedInvoiceNumber: invoice.number,
+          variableSymbol: invoice.variableSymbol,
+          note: reason,
+        });
+        setMessage(`Dobropis ${creditNote.number} k faktuře ${invoice.number} byl vystaven.`);
+      } catch (e) {
+        console.error("Error issuing credit note: ", e);
+        setMessage(`Dobropis se nepodařilo vystavit: ${e.message}`);
+      }
+    };
+
+    const handlePrintInvoice = async (invoice) => {
+      // Opened before the QR code is rendered, otherwise the browser blocks the window
+      const w = window.open('', '_blank');
+      if (!w) return;
+      const isCreditNote = invoice.type === InvoiceType.CREDIT_NOTE;
+      const isVatPayer = Boolean(invoice.supplier?.dic);
+      // Invoices issued before currencies are in CZK; one in a foreign currency also shows the CZK equivalent
+      const currency = invoice.currency || BASE_CURRENCY;
+      const isForeign = currency !== BASE_CURRENCY;
+      const unit = isForeign ? currency : 'Kč';
+      const iban = czechAccountToIban(invoice.supplier?.bankAccount);
+      let qrDataUrl = '';
+      if (iban && !isCreditNote && invoice.total > 0) {
+        try {
+          qrDataUrl = await QRCode.toDataURL(buildSpdPayload({
+            iban,
+            amount: invoice.total,
+            currency,
+            variableSymbol: invoice.variableSymbol,
+            dueDate: invoice.dueDate,
+            message: `Faktura ${invoice.number}`,
+          }), { margin: 1, width: 180 });
+        } catch (e) {
+          console.error("Error rendering QR Platba code:", e);
+        }
+      }
+
+      const title = isCreditNote
+        ? `${isVatPayer ? 'Opravný daňový doklad' : 'Dobropis'} č. ${invoice.number}`
+        : `Faktura${isVatPayer ? ' – daňový doklad' : ''} č. ${invoice.number}`;
+      const party = (heading, p = {}) => `
+        <div class="party">
+          <h3>${heading}</h3>
+          <div><strong>${escapeHtml(p.name || '-')}</strong></div>
+          <div>${escapeHtml(p.address || '')}</div>
+          ${p.ico ? `<div>IČO: ${escapeHtml(p.ico)}</div>` : ''}
+          ${p.dic ? `<div>DIČ: ${escapeHtml(p.dic)}</div>` : ''}
+          ${p.phone ? `<div>Tel.: ${escapeHtml(formatPhone(p.phone))}</div>` : ''}
+          ${p.email ? `<div>${escapeHtml(p.email)}</div>` : ''}
+        </div>`;
+      const lines = invoice.lines || [];
+      const vatCell = (line) => {
+        if (line.vatMode === VatMode.STANDARD) return `${line.vatRate} %`;
+        if (line.vatMode === VatMode.MARGIN) return 'zvl. režim';
+        return '-';
+      };
+      const rows = lines.map((line, idx) => `
+          <tr>
+            <td>${idx + 1}</td>
+            <td>${escapeHtml(line.description || '-')}</td>
+            <td>${formatDate(line.saleDate)}</td>
+            <td class="num">${line.quantity}</td>
+            ${isVatPayer ? `<td class="num">${vatCell(line)}</td>` : ''}
+            <td class="num">${formatCurrency(line.unitPrice)}</td>
+            <td class="num">${formatCurrency(line.total)}</td>
+            ${isForeign ? `<td class="num">${formatCurrency(line.totalCzk)}</td>` : ''}
+          </tr>`).join('');
+      // Recapitulation of the standard-rate lines by rate, as a tax document requires
+      const standardByRate = {};
+      lines.filter(line => line.vatMode === VatMode.STANDARD).forEach(line => {
+        const sums = standardByRate[line.vatRate] || (standardByRate[line.vatRate] = { base: 0, vat: 0 });
+        sums.base += line.vatBase || 0;
+        sums.vat += line.vat || 0;
+      });
+      const labelColumns = isVatPayer ? 6 : 5;
+      // The VAT recapitulation is in CZK, in the last column
+      const vatRows = isVatPayer ? Object.entries(standardByRate).map(([rate, sums]) => `
+                <tr class="recap">
+                  <td colspan="${isForeign ? labelColumns + 1 : labelColumns}" style="text-align:right">Základ daně ${rate} %: ${formatCurrency(sums.base)} Kč, DPH ${rate} %</td>
+                  <td class="num">${formatCurrency(sums.vat)} Kč</td>
+                </tr>`).join('') : '';
+      const usedRates = [...new Set(lines.map(line => line.rate).filter(Boolean))]
+        .map(rate => `1 ${currency} = ${rate.toLocaleString('cs-CZ', { maximumFractionDigits: 4 })} Kč`);
+      const hasMarginLines = isVatPayer && lines.some(line => line.vatMode === VatMode.MARGIN);
+      const printContents = `
+        <html>
+          <head>
+            <title>${escapeHtml(title)}</title>
+            <style>
+              body { font-family: 'Inter', sans-serif; margin: 20px; color: #333; }
+              h1 { font-size: 24px; margin-bottom: 4px; color: #1e3a8a; }
+              h3 { font-size: 12px; text-transform: uppercase; color: #6b7280; margin: 0 0 6px; }
+              .sub { font-size: 14px; color: #6b7280; margin-bottom: 16px; }
+              .parties { display: flex; gap: 24px; margin-bottom: 16px; }
+              .party { flex: 1; border: 1px solid #ddd; padding: 12px; font-size: 13px; line-height: 1.5; }
+              .meta { display: grid; grid-template-columns: repeat(3, 1fr); gap: 4px 24px; font-size: 13px; margin-bottom: 16px; }
+              table { width: 100%; border-collapse: collapse; }
+              th, td { border: 1px solid #ddd; padding: 8px 10px; vertical-align: top; }
+              th { background-color: #f3f4f6; font-weight: 600; text-transform: uppercase; font-size: 11px; }
+              td { font-size: 13px; }
+              td.num { text-align: right; white-space: nowrap; }
+              tfoot td { font-weight: 700; font-size: 15px; }
+              tfoot tr.recap td { font-weight: 400; font-size: 13px; }
+              .footer { display: flex; justify-content: space-between; align-items: flex-start; margin-top: 16px; font-size: 13px; }
+              .qr { text-align: center; font-size: 11px; color: #6b7280; }
+            </style>
+          </head>
+          <body>
+            <h1>${escapeHtml(title)}</h1>
+            ${isCreditNote ? `<div class="sub">Opravuje fakturu č. ${escapeHtml(invoice.correctedInvoiceNumber || '')}</div>` : '<div class="sub">&nbsp;</div>'}
+            <div class="parties">
+              ${party('Dodavatel', invoice.supplier)}
+              ${party('Odběratel', invoice.customer)}
+            </div>
+            <div class="meta">
+              <div>Datum vystavení: <strong>${formatDate(invoice.issueDate)}</strong></div>
+              <div>Datum uskutečnění plnění: <strong>${formatDate(invoice.taxableDate)}</strong></div>
+              <div>Datum splatnosti: <strong>${formatDate(invoice.dueDate)}</strong></div>
+              <div>Variabilní symbol: <strong>${escapeHtml(invoice.variableSymbol || '')}</strong></div>
+              <div>Bankovní účet: <strong>${escapeHtml(invoice.supplier?.bankAccount || '-')}</strong></div>
+              <div>Forma úhrady: <strong>převodem</strong></div>
+            </div>
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Položka</th>
+                  <th>Datum prodeje</th>
+                  <th>Množství</th>
+                  ${isVatPayer ? '<th>DPH</th>' : ''}
+                  <th>Cena (${unit})</th>
+                  <th>Celkem (${unit})</th>
+                  ${isForeign ? '<th>Celkem (Kč)</th>' : ''}
+                </tr>
+              </thead>
+              <tbody>${rows}</tbody>
+              <tfoot>
+                ${vatRows}
+                <tr>
+                  <td colspan="${labelColumns}" style="text-align:right">${isCreditNote ? 'K vrácení' : 'Celkem k úhradě'}</td>
+                  <td class="num">${formatCurrency(invoice.total)} ${unit}</td>
+                  ${isForeign ? `<td class="num">${formatCurrency(invoice.totalCzk)} Kč</td>` : ''}
+                </tr>
+              </tfoot>
+            </table>
+            <div class="footer">
+              <div>
+                ${invoice.note ? `<p>${escapeHtml(invoice.note)}</p>` : ''}
+                ${isForeign && usedRates.length > 0 ? `<p>Přepočet na Kč kurzem ${usedRates.join(', ')}.</p>` : ''}
+                ${hasMarginLines ? '<p>Zvláštní režim – použité zboží (§ 90 zákona o DPH).</p>' : ''}
+                ${isVatPayer ? '' : '<p>Nejsme plátci DPH.</p>'}
+              </div>
+              ${qrDataUrl ? `<div class="qr"><img src="${qrDataUrl}" alt="QR Platba" /><div>QR Platba</div></div>` : ''}
+            </div>
+          </body>
+        </html>`;
+      w.document.open();
+      w.document.write(printContents);
+      w.document.close();
+      w.focus();
+      w.print();
+    };
+
+    const sortedInvoices = [...invoices].sort((a, b) => (b.number || '').localeCompare(a.number || ''));
+
+    return (
+      <div className={containerClass}>
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <FileText className="mr-2 text-indigo-500" /> Nová faktura
+          </h2>
+          <PeriodSelector />
+          <div className="flex flex-wrap gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Datum vystavení</label>
+              <input type="date" value={issueDate} onChange={(e) => setIssueDate(e.target.value)} className={inputClass} />
+            </div>
+            <div className="flex-1 min-w-[200px]">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Poznámka na faktuře</label>
+              <input type="text" value={invoiceNote} onChange={(e) => setInvoiceNote(e.target.value)} className={inputClass} />
+            </div>
+          </div>
+          <div className="overflow-x-auto mb-4">
+            <table className={tableClass}>
+              <thead className={headerClass}>
+                <tr>
+                  <th className={thClass}></th>
+                  <th className={thClass}>Datum prodeje</th>
+                  <th className={thClass}>Zákazník</th>
+                  <th className={thClass}>Položky</th>
+                  <th className={thClass}>Prodej (CZK)</th>
+                  <th className={thClass}>Stav</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {candidates.map(t => (
+                  <tr key={t.id} onClick={() => toggleSelected(t.id)} className="cursor-pointer hover:bg-indigo-50">
+                    <td className={tdClass}><input type="checkbox" checked={selectedIds.includes(t.id)} readOnly /></td>
+                    <td className={tdClass}>{t.saleDate}</td>
+                    <td className={tdClass}>{t.customerName || '-'}</td>
+                    <td className={tdClass}>{t.itemName || '-'}</td>
+                    <td className={tdClass}>{formatCurrency(t.sellingPriceCzk)}</td>
+                    <td className={tdClass}><OrderStatusBadge status={getOrderStatus(t)} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {candidates.length === 0 && <div className="text-center text-gray-500 mt-4">V tomto období nejsou žádné nefakturované transakce.</div>}
+          </div>
+          <div className="flex flex-wrap items-center gap-4">
+            <button onClick={handleIssueInvoice} className={buttonClass} disabled={isIssuing || selected.length === 0}>
+              <FileText className="inline mr-2 h-4 w-4" />Vystavit fakturu ({invoiceCurrencies.length > 1 ? 'různé měny' : `${formatCurrency(invoiceTotal)} ${invoiceCurrency}`})
+            </button>
+            {message && <p className="text-sm text-gray-700">{message}</p>}
+          </div>
+        </div>
+
+        <div className={cardClass}>
+          <h3 className="text-xl font-semibold mb-4 text-gray-800">Vystavené doklady</h3>
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className={headerClass}>
+                <tr>
+                  <th className={thClass}>Číslo</th>
+                  <th className={thClass}>Typ</th>
+                  <th className={thClass}>Vystaveno</th>
+                  <th className={thClass}>Splatnost</th>
+                  <th className={thClass}>Odběratel</th>
+                  <th className={thClass}>Částka</th>
+                  <th className={thClass}>Stav</th>
+                  <th className={thClass}>Akce</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {sortedInvoices.map(invoice => {
+                  const creditNote = creditNotesByInvoice[invoice.id];
+                  return (
+                    <tr key={invoice.id}>
+                      <td className={tdClass}>{invoice.number}</td>
+                      <td className={tdClass}>{INVOICE_TYPE_LABELS[invoice.type]}</td>
+                      <td className={tdClass}>{formatDate(invoice.issueDate)}</td>
+                      <td className={tdClass}>{formatDate(invoice.dueDate)}</td>
+                      <td className={tdClass}>{invoice.customer?.name || '-'}</td>
+                      <td className={tdClass}>{formatCurrency(invoice.total)} {invoice.currency || BASE_CURRENCY}</td>
+                      <td className={tdClass}>
+                        {invoice.type === InvoiceType.CREDIT_NOTE
+                          ? `K faktuře ${invoice.correctedInvoiceNumber}`
+                          : creditNote ? `Dobropisováno (${creditNote.number})` : 'Platná'}
+                      </td>
+                      <td className={tdClass}>
+                        <div className="flex space-x-2">
+                          <button onClick={() => handlePrintInvoice(invoice)} className="text-indigo-600 hover:text-indigo-900" aria-label="Print" title="Tisk">
+                            <Printer className="h-4 w-4" />
+                          </button>
+                          {invoice.type === InvoiceType.INVOICE && !creditNote && (
+                            <button onClick={() => handleCreditNote(invoice)} className="text-red-600 hover:text-red-900" aria-label="Credit note" title="Vystavit dobropis">
+                              <Undo2 className="h-4 w-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {sortedInvoices.length === 0 && <div className="text-center text-gray-500 mt-4">Zatím nebyly vystaveny žádné doklady.</div>}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const CommissionsView = ({ db, transactions, sellers, payouts }) => {
+    const escapeHtml = (str) => String(str).replace(/[&<>"\']/g, (s) => ({ "&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","\'":"&#39;" }[s]));
+    const formatCurrency = (n) => Number(n || 0).toLocaleString('cs-CZ', { minimumFractionDigits: 0, maximumFractionDigits: 2 });
+    const [editSellerId, setEditSellerId] = useState(null);
+    const [ruleForm, setRuleForm] = useState(EMPTY_COMMISSION_RULE);
+    const [expandedSellerId, setExpandedSellerId] = useState(null);
+
+    // Payouts follow the shared period but only for whole weeks and months
+    const isPayoutPeriod = periodRange.type !== PeriodType.CUSTOM;
+    const periodType = periodRange.type;
+    const startKey = periodRange.start;
+    const endKey = periodRange.end;
+    const periodLabel = periodRange.label;
+
+    // Transactions already settled by any closed payout are never paid twice, e.g. in a week and again in its month
+    const paidTransactionIds = new Set(payouts.flatMap(p => p.transactionIds || []));
+
+    const toStatementRow = (t) => ({
+      id: t.id,
+      saleDate: t.saleDate || '',
+      customerName: t.customerName || '',
+      itemName: t.itemName || '',
+      itemCount: getLineItems(t).length,
+      sellingPriceCzk: parseFloat(t.sellingPriceCzk) || 0,
+      netProfitCzk: parseFloat(t.netProfitCzk) || 0,
+    });
+
+    // A closed payout is shown from its stored snapshot, an open one is computed from the current transactions
+    const statements = [...sellers].sort((a, b) => a.name.localeCompare(b.name)).map(seller => {
+      const payoutId = `${seller.id}_${periodType}_${startKey}`;
+      const payout = payouts.find(p => p.id === payoutId);
+      if (payout) {
+        return { seller, payoutId, payout, rule: payout.rule, rows: payout.rows || [], profit: payout.profit, itemCount: payout.itemCount, commission: payout.commission };
+      }
+      const rule = seller.commissionRule || EMPTY_COMMISSION_RULE;
+      const sellerTransactions = transactions
+        .filter(t => t.seller === seller.name && t.saleDate >= startKey && t.saleDate < endKey
+          && isCommissionable(t) && !paidTransactionIds.has(t.id))
+        .sort((a, b) => a.saleDate.localeCompare(b.saleDate));
+      return { seller, payoutId, payout: null, rule, rows: sellerTransactions.map(toStatementRow), ...calculateCommission(rule, sellerTransactions) };
+    });
+
+    const handleEditRule = (seller) => {
+      setEditSellerId(seller.id);
+      setRuleForm({ ...EMPTY_COMMISSION_RULE, ...seller.commissionRule });
+    };
+
+    const handleTierChange = (index, field, value) => {
+      setRuleForm({ ...ruleForm, tiers: ruleForm.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)) });
+    };
+
+    const handleSaveRule = async () => {
+      const toNumber = (value) => parseFloat(String(value).replace(',', '.'));
+      const rule = {
+        type: ruleForm.type,
+        percent: toNumber(ruleForm.percent) || 0,
+        amountPerItem: toNumber(ruleForm.amountPerItem) || 0,
+        tiers: ruleForm.tiers
+          .filter(tier => String(tier.fromProfit) !== '' || String(tier.percent) !== '')
+          .map(tier => ({ fromProfit: toNumber(tier.fromProfit) || 0, percent: toNumber(tier.percent) || 0 }))
+          .sort((a, b) => a.fromProfit - b.fromProfit),
+      };
+      if (rule.type === CommissionType.TIERED && rule.tiers.length === 0) {
+        window.alert("Zadejte prosím alespoň jedno pásmo.");
+        return;
+      }
+      const seller = sellers.find(s => s.id === editSellerId);
+      try {
+        await updateDoc(doc(db, `/artifacts/${__app_id}/public/data/sellers`, editSellerId), { commissionRule: rule });
+        await recordHistory({
+          action: 'Pravidlo provize',
+          docId: editSellerId,
+          collectionName: 'sellers',
+          details: `Prodejce '${seller?.name}': ${describeCommissionRule(rule)}.`,
+          before: seller,
+          after: { ...seller, commissionRule: rule },
+        });
+        setEditSellerId(null);
+        setRuleForm(EMPTY_COMMISSION_RULE);
+      } catch (e) {
+        console.error("Error saving commission rule: ", e);
+      }
+    };
+
+    const handleClosePayout = async (statement) => {
+      if (!isAdmin || statement.payout || !isPayoutPeriod) return;
+      if (statement.rows.length === 0) {
+        window.alert("Za toto období nejsou žádné transakce k vyúčtování.");
+        return;
+      }
+      const confirmClose = window.confirm(`Uzavřít vyúčtování pro ${statement.seller.name} za ${periodLabel} (${formatCurrency(statement.commission)} CZK)? Zahrnuté transakce už nepůjde upravit.`);
+      if (!confirmClose) return;
+      const payout = {
+        sellerId: statement.seller.id,
+        seller: statement.seller.name,
+        periodType,
+        periodStart: startKey,
+        periodEnd: endKey,
+        periodLabel,
+        rule: statement.rule,
+        rows: statement.rows,
+        transactionIds: statement.rows.map(r => r.id),
+        profit: statement.profit,
+        itemCount: statement.itemCount,
+        commission: statement.commission,
+      };
+      // Each settled transaction is stamped with the payout ID, which locks it in the rules. The payout itself goes
+      // in the last batch, so after a failure the period is still open and closing it again finishes the stamping;
+      // transactions stamped by the failed attempt are skipped, as the rules refuse any further write to them.
+      const toStamp = payout.transactionIds.filter(id => transactions.find(t => t.id === id)?.payoutId !== statement.payoutId);
+      try {
+        for (let i = 0; i === 0 || i < toStamp.length; i += FIRESTORE_BATCH_SIZE) {
+          const batch = writeBatch(db);
+          toStamp.slice(i, i + FIRESTORE_BATCH_SIZE).forEach(id => {
+            batch.update(doc(db, `/artifacts/${__app_id}/public/data/transactions`, id), { payoutId: statement.payoutId });
+          });
+          if (i + FIRESTORE_BATCH_SIZE >= toStamp.length) {
+            batch.set(doc(db, `/artifacts/${__app_id}/public/data/payouts`, statement.payoutId), {
+              ...payout,
+              closedAt: serverTimestamp(),
+              ...actor,
+            });
+            batch.set(doc(collection(db, `/artifacts/${__app_id}/public/data/history`)), buildHistoryEntry({
+              action: 'Provize uzavřena',
+              docId: statement.payoutId,
+              collectionName: 'payouts',
+              details: `Provize pro ${statement.seller.name} za ${periodLabel}: ${formatCurrency(statement.commission)} CZK z ${statement.rows.length} transakcí.`,
+              after: payout,
+            }));
+          }
+          await batch.commit();
+        }
+      } catch (e) {
+        console.error("Error closing payout: ", e);
+        window.alert(`Vyúčtování se nepodařilo uzavřít: ${e.message}\nObdobí zůstává otevřené; opětovným uzavřením se dokončí označení zbývajících transakcí.`);
+      }
+    };
+
+    const statementFileName = (statement) => `provize_${normalizeText(statement.seller.name).replace(/\s+/g, '_')}_${periodType}_${startKey}`;
+
+    const handleExportStatement = (statement) => {
+      const header = ['Datum prodeje', 'Zákazník', 'Položky', 'Počet položek', 'Prodej (CZK)', 'Zisk (CZK)'];
+      const data = statement.rows.map(r => [r.saleDate, r.customerName, r.itemName, r.itemCount, r.sellingPriceCzk, r.netProfitCzk]);
+      const footer = [
+        [],
+        ['Celkem', '', '', statement.itemCount, '', statement.profit],
+        ['Pravidlo', describeCommissionRule(statement.rule)],
+        ['Provize (CZK)', statement.commission],
+      ];
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header, ...data, ...footer]), 'Provize');
+      XLSX.writeFile(workbook, `${statementFileName(statement)}.xlsx`);
+    };
+
+    const handlePrintStatement = (statement) => {
+      const rows = statement.rows.map((r, idx) => `
+          <tr>
+            <td>${idx + 1}</td>
+            <td>${escapeHtml(r.saleDate)}</td>
+            <td>${escapeHtml(r.customerName || '-')}</td>
+            <td>${escapeHtml(r.itemName || '-')}</td>
+            <td class="num">${r.itemCount}</td>
+            <td class="num">${formatCurrency(r.sellingPriceCzk)}</td>
+            <td class="num">${formatCurrency(r.netProfitCzk)}</td>
+          </tr>`).join('');
+      const title = `Výplatní list provize – ${statement.seller.name} – ${periodLabel}`;
+      const printContents = `
+        <html>
+          <head>
+            <title>${escapeHtml(title)}</title>
+            <style>
+              body { font-family: 'Inter', sans-serif; margin: 20px; color: #333; }
+              h1 { font-size: 24px; margin-bottom: 12px; color: #1e3a8a; }
+              .sub { font-size: 14px; color: #6b7280; margin-bottom: 16px; }
+              table { width: 100%; border-collapse: collapse; }
+              th, td { border: 1px solid #ddd; padding: 8px 10px; vertical-align: top; }
+              th { background-color: #f3f4f6; font-weight: 600; text-transform: uppercase; font-size: 11px; }
+              td { font-size: 13px; }
+              td.num { text-align: right; white-space: nowrap; }
+              tfoot td { font-weight: 700; }
+            </style>
+          </head>
+          <body>
+            <h1>${escapeHtml(title)}</h1>
+            <div class="sub">
+              Období: ${escapeHtml(periodLabel)}
+              &nbsp;•&nbsp; Pravidlo: ${escapeHtml(describeCommissionRule(statement.rule))}
+              &nbsp;•&nbsp; ${statement.payout ? `Uzavřeno (${escapeHtml(statement.payout.actorName || '')})` : 'Neuzavřeno'}
+            </div>
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Datum prodeje</th>
+                  <th>Zákazník</th>
+                  <th>Položky</th>
+                  <th>Počet</th>
+                  <th>Prodej (Kč)</th>
+                  <th>Zisk (Kč)</th>
+                </tr>
+              </thead>
+              <tbody>${rows}</tbody>
+              <tfoot>
+                <tr>
+                  <td colspan="4" style="text-align:right">Celkem</td>
+                  <td class="num">${statement.itemCount}</td>
+                  <td></td>
+                  <td class="num">${formatCurrency(statement.profit)}</td>
+                </tr>
+                <tr>
+                  <td colspan="6" style="text-align:right">Provize k výplatě</td>
+                  <td class="num">${formatCurrency(statement.commission)} Kč</td>
+                </tr>
+              </tfoot>
+            </table>
+          </body>
+        </html>`;
+      const w = window.open('', '_blank');
+      if (!w) return;
+      w.document.open();
+      w.document.write(printContents);
+      w.document.close();
+      w.focus();
+      w.print();
+    };
+
+    const totalCommission = statements.reduce((sum, s) => sum + s.commission, 0);
+
+    return (
+      <div className={containerClass}>
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <Wallet className="mr-2 text-indigo-500" /> Pravidla provizí
+          </h2>
+          {editSellerId && (
+            <div className="border border-gray-200 rounded-xl p-4 mb-4">
+              <h3 className="text-lg font-semibold mb-2">{sellers.find(s => s.id === editSellerId)?.name}</h3>
+              <div className="flex flex-wrap gap-4 mb-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Typ provize</label>
+                  <select value={ruleForm.type} onChange={(e) => setRuleForm({ ...ruleForm, type: e.target.value })} className={inputClass}>
+                    {Object.values(CommissionType).map(type => (
+                      <option key={type} value={type}>{COMMISSION_TYPE_LABELS[type]}</option>
+                    ))}
+                  </select>
+                </div>
+                {ruleForm.type === CommissionType.PROFIT_PERCENT && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Procento ze zisku (%)</label>
+                    <input type="number" step="0.1" value={ruleForm.percent} onChange={(e) => setRuleForm({ ...ruleForm, percent: e.target.value })} className={inputClass} />
+                  </div>
+                )}
+                {ruleForm.type === CommissionType.PER_ITEM && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Částka za položku (CZK)</label>
+                    <input type="number" step="1" value={ruleForm.amountPerItem} onChange={(e) => setRuleForm({ ...ruleForm, amountPerItem: e.target.value })} className={inputClass} />
+                  </div>
+                )}
+              </div>
+              {ruleForm.type === CommissionType.TIERED && (
+                <div className="mb-2">
+                  <p className="text-xs text-gray-500 mb-2">Každé procento platí pro zisk od svého prahu do prahu dalšího pásma.</p>
+                  {ruleForm.tiers.map((tier, index) => (
+                    <div key={index} className="flex items-center gap-2 mb-2">
+                      <span className="text-sm text-gray-700">Zisk od</span>
+                      <input type="number" value={tier.fromProfit} onChange={(e) => handleTierChange(index, 'fromProfit', e.target.value)} className="w-32 p-2 border border-gray-300 rounded-lg" />
+                      <span className="text-sm text-gray-700">CZK:</span>
+                      <input type="number" step="0.1" value={tier.percent} onChange={(e) => handleTierChange(index, 'percent', e.target.value)} className="w-24 p-2 border border-gray-300 rounded-lg" />
+                      <span className="text-sm text-gray-700">%</span>
+                      <button onClick={() => setRuleForm({ ...ruleForm, tiers: ruleForm.tiers.filter((_, i) => i !== index) })} className="text-red-600 hover:text-red-900" aria-label="Remove tier">
+                        <X className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button onClick={() => setRuleForm({ ...ruleForm, tiers: [...ruleForm.tiers, { fromProfit: '', percent: '' }] })} className="text-indigo-600 hover:text-indigo-900 text-sm flex items-center">
+                    <Plus className="h-4 w-4 mr-1" /> Přidat pásmo
+                  </button>
+                </div>
+              )}
+              <div className="flex gap-2">
+                <button onClick={handleSaveRule} className={buttonClass}><Save className="h-4 w-4" /></button>
+                <button onClick={() => { setEditSellerId(null); setRuleForm(EMPTY_COMMISSION_RULE); }} className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-xl transition-colors duration-200 shadow-md">
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          )}
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className={headerClass}>
+                <tr>
+                  <th className={thClass}>Prodejce</th>
+                  <th className={thClass}>Pravidlo</th>
+                  <th className={thClass}>Akce</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {[...sellers].sort((a, b) => a.name.localeCompare(b.name)).map(seller => (
+                  <tr key={seller.id}>
+                    <td className={tdClass}>{seller.name}</td>
+                    <td className={tdClass}>{seller.commissionRule ? describeCommissionRule(seller.commissionRule) : <span className="text-gray-400">Nenastaveno</span>}</td>
+                    <td className={tdClass}>
+                      <button onClick={() => handleEditRule(seller)} className="text-indigo-600 hover:text-indigo-900" aria-label="Edit">
+                        <Edit className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className={cardClass}>
+          <h3 className="text-xl font-semibold mb-4 text-gray-800">Výplatní listy</h3>
+          <PeriodSelector />
+          {!isPayoutPeriod && (
+            <p className="text-sm text-gray-500 mb-4">Vyúčtování lze uzavřít jen za celý týden nebo měsíc.</p>
+          )}
+          <div className="flex justify-end mb-4">
+            <div className="bg-indigo-50 rounded-xl p-4">
+              <div className="text-sm text-gray-600">Provize celkem</div>
+              <div className="text-xl font-bold text-gray-800">{formatCurrency(totalCommission)} CZK</div>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className={headerClass}>
+                <tr>
+                  <th className={thClass}>Prodejce</th>
+                  <th className={thClass}>Pravidlo</th>
+                  <th className={thClass}>Transakce</th>
+                  <th className={thClass}>Položky</th>
+                  <th className={thClass}>Zisk (CZK)</th>
+                  <th className={thClass}>Provize (CZK)</th>
+                  <th className={thClass}>Stav</th>
+                  <th className={thClass}>Akce</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {statements.map(statement => (
+                  <Fragment key={statement.seller.id}>
+                    <tr>
+                      <td className={tdClass}>
+                        <button onClick={() => setExpandedSellerId(expandedSellerId === statement.seller.id ? null : statement.seller.id)} className="text-indigo-600 hover:text-indigo-900 font-medium">
+                          {statement.seller.name}
+                        </button>
+                      </td>
+                      <td className={tdClass}>{describeCommissionRule(statement.rule)}</td>
+                      <td className={tdClass}>{statement.rows.length}</td>
+                      <td className={tdClass}>{statement.itemCount}</td>
+                      <td className={tdClass}>{formatCurrency(statement.profit)}</td>
+                      <td className={`${tdClass} font-semibold`}>{formatCurrency(statement.commission)}</td>
+                      <td className={tdClass}>
+                        {statement.payout
+                          ? <span className="inline-block px-2 py-1 rounded-full text-xs font-semibold bg-green-200 text-green-900">Uzavřeno</span>
+                          : <span className="inline-block px-2 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-800">Otevřeno</span>}
+                      </td>
+                      <td className={tdClass}>
+                        <div className="flex space-x-2">
+                          <button onClick={() => handlePrintStatement(statement)} className="text-indigo-600 hover:text-indigo-900" aria-label="Print" title="Tisk">
+                            <Printer className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => handleExportStatement(statement)} className="text-indigo-600 hover:text-indigo-900" aria-label="Export" title="Export XLSX">
+                            <Download className="h-4 w-4" />
+                          </button>
+                          {!statement.payout && isPayoutPeriod && (
+                            <button onClick={() => handleClosePayout(statement)} className="text-green-600 hover:text-green-800" aria-label="Close payout" title="Uzavřít vyúčtování">
+                              <Lock className="h-4 w-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                    {expandedSellerId === statement.seller.id && (
+                      <tr>
+                        <td colSpan={8} className="bg-gray-50 px-6 py-4">
+                          {statement.rows.length === 0 ? (
+                            <p className="text-sm text-gray-500">Žádné transakce v tomto období.</p>
+                          ) : (
+                            <table className="min-w-full text-sm">
+                              <thead>
+                                <tr className="text-left text-gray-600">
+                                  <th className="pr-4">Datum</th>
+                                  <th className="pr-4">Zákazník</th>
+                                  <th className="pr-4">Položky</th>
+                                  <th className="pr-4">Prodej (CZK)</th>
+                                  <th className="pr-4">Zisk (CZK)</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {statement.rows.map(r => (
+                                  <tr key={r.id}>
+                                    <td className="pr-4">{r.saleDate}</td>
+                                    <td className="pr-4">{r.customerName || '-'}</td>
+                                    <td className="pr-4">{r.itemName || '-'}</td>
+                                    <td className="pr-4">{formatCurrency(r.sellingPriceCzk)}</td>
+                                    <td className="pr-4">{formatCurrency(r.netProfitCzk)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Monthly VAT summary for the accountant, read from the monthly summaries; a month's transactions are
+  // exported on demand. VAT falls into the month of the sale date, the date of taxable supply.
+  const VatView = ({ monthlySummaries }) => {
+    const formatCurrency = (n) => Number(n || 0).toLocaleString('cs-CZ', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const currentYear = String(new Date().getFullYear());
+    const years = [...new Set([currentYear, ...monthlySummaries.map(summary => summary.id.slice(0, 4))])].sort().reverse();
+    const [year, setYear] = useState(currentYear);
+    const [message, setMessage] = useState('');
+
+    const modeLabel = (mode) => VAT_MODE_LABELS[mode] || 'Bez režimu DPH (starší záznamy)';
+    // One row per month, VAT mode and rate
+    const rows = monthlySummaries
+      .filter(summary => summary.id.startsWith(`${year}-`))
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .flatMap(summary => Object.entries(summary.vat || {}).flatMap(([mode, byRate]) => getSummaryEntries(byRate)
+        .map(entry => ({ ...entry, month: summary.id, mode, rate: Number(entry.key) }))));
+    const totalsByMode = rows.reduce((acc, row) => addSummaryValues(acc, {
+      [row.mode]: { count: row.count, sales: row.sales, purchase: row.purchase, base: row.base, vat: row.vat },
+    }), {});
+    const unsetCount = totalsByMode[VAT_MODE_UNSET]?.count || 0;
+
+    const handleExportMonth = async (month) => {
+      let transactions;
+      try {
+        transactions = await fetchTransactionsInRange(...getPeriodKeyRange(month));
+      } catch (e) {
+        console.error("Error loading transactions for VAT export: ", e);
+        setMessage(`Export se nepodařilo načíst. Chyba: ${e.message}`);
+        return;
+      }
+      const sold = transactions
+        .filter(t => !t.deletedAt && isCommissionable(t))
+        .sort((a, b) => (a.saleDate || '').localeCompare(b.saleDate || ''));
+      const header = ['Datum plnění', 'Zákazník', 'Položky', 'Režim DPH', 'Sazba DPH (%)', 'Prodej vč. DPH (CZK)', 'Nákup (CZK)', 'Základ daně (CZK)', 'DPH (CZK)', 'Zisk po DPH (CZK)'];
+      const data = sold.map(t => [
+        t.saleDate,
+        t.customerName || '',
+        t.itemName || '',
+        modeLabel(t.vatMode),
+        Number(t.vatRate) || 0,
+        Number(t.sellingPriceCzk) || 0,
+        roundMoney(getPurchaseCzk(t)),
+        Number(t.vatBaseCzk) || 0,
+        Number(t.vatCzk) || 0,
+        Number(t.netProfitCzk) || 0,
+      ]);
+      const sum = (index) => roundMoney(data.reduce((total, row) => total + row[index], 0));
+      const footer = [[], ['Celkem', '', '', '', '', sum(5), sum(6), sum(7), sum(8), sum(9)]];
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header, ...data, ...footer]), 'DPH');
+      XLSX.writeFile(workbook, `dph_${month}.xlsx`);
+    };
+
+    return (
+      <div className={containerClass}>
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <Receipt className="mr-2 text-indigo-500" /> Přehled DPH
+          </h2>
+          <div className="flex flex-wrap items-end gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Rok</label>
+              <select value={year} onChange={(e) => setYear(e.target.value)} className="p-2 border border-gray-300 rounded-xl">
+                {years.map(y => <option key={y} value={y}>{y}</option>)}
+              </select>
+            </div>
+            {message && <p className="text-sm text-red-600">{message}</p>}
+          </div>
+          <p className="text-sm text-gray-500 mb-4">
+            Prodané zakázky podle měsíce data prodeje (zrušené a vrácené se nepočítají). Ve zvláštním režimu je základem daně marže bez DPH, u standardní DPH cena bez DPH.
+          </p>
+          {unsetCount > 0 && (
+            <p className="text-sm text-orange-700 mb-4">
+              {unsetCount} zakázek pochází z doby před režimy DPH a DPH u nich není spočtená. Režim dostanou při příští úpravě.
+            </p>
+          )}
+          <div className="overflow-x-auto">
+            <table className={tableClass}>
+              <thead className={headerClass}>
+                <tr>
+                  <th className={thClass}>Měsíc</th>
+                  <th className={thClass}>Režim DPH</th>
+                  <th className={thClass}>Sazba</th>
+                  <th className={thClass}>Zakázek</th>
+                  <th className={thClass}>Prodej vč. DPH</th>
+                  <th className={thClass}>Nákup</th>
+                  <th className={thClass}>Základ daně</th>
+                  <th className={thClass}>DPH</th>
+                  <th className={thClass}>Export</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rows.map((row, index) => {
+                  const isFirstOfMonth = rows[index - 1]?.month !== row.month;
+                  return (
+                    <tr key={`${row.month}_${row.mode}_${row.key}`}>
+                      <td className={tdClass}>{isFirstOfMonth ? formatPeriodLabel(row.month) : ''}</td>
+                      <td className={tdClass}>{modeLabel(row.mode)}</td>
+                      <td className={tdClass}>{row.mode === VatMode.MARGIN || row.mode === VatMode.STANDARD ? `${row.rate} %` : '-'}</td>
+                      <td className={tdClass}>{row.count}</td>
+                      <td className={tdClass}>{formatCurrency(row.sales)}</td>
+                      <td className={tdClass}>{formatCurrency(row.purchase)}</td>
+                      <td className={tdClass}>{formatCurrency(row.base)}</td>
+                      <td className={`${tdClass} font-semibold`}>{formatCurrency(row.vat)}</td>
+                      <td className={tdClass}>
+                        {isFirstOfMonth && (
+                          <button onClick={() => handleExportMonth(row.month)} className="text-indigo-600 hover:text-indigo-900" aria-label="Export" title="Export zakázek měsíce (XLSX)">
+                            <Download className="h-4 w-4" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+              {rows.length > 0 && (
+                <tfoot className="bg-gray-50">
+                  {Object.entries(totalsByMode).map(([mode, totals]) => (
+                    <tr key={mode}>
+                      <td className={`${tdClass} font-semibold`}>Celkem {year}</td>
+                      <td className={tdClass}>{modeLabel(mode)}</td>
+                      <td className={tdClass}></td>
+                      <td className={tdClass}>{totals.count}</td>
+                      <td className={tdClass}>{formatCurrency(totals.sales)}</td>
+                      <td className={tdClass}>{formatCurrency(totals.purchase)}</td>
+                      <td className={tdClass}>{formatCurrency(totals.base)}</td>
+                      <td className={`${tdClass} font-semibold`}>{formatCurrency(totals.vat)}</td>
+                      <td className={tdClass}></td>
+                    </tr>
+                  ))}
+                </tfoot>
+              )}
+            </table>
+            {rows.length === 0 && <div className="text-center text-gray-500 mt-4">Za rok {year} nejsou žádné prodeje. Chybí-li starší data, přepočítejte souhrny v Nastavení.</div>}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const TrashView = ({ db, deletedTransactions, deletedSellers, deletedDrivers, deletedSuppliers, deletedStockItems }) => {
+    const trashedRecords = [
+      ...deletedTransactions.map(r => ({ ...r, collectionName: 'transactions', label: r.itemName })),
+      ...deletedSellers.map(r => ({ ...r, collectionName: 'sellers', label: r.name })),
+      ...deletedDrivers.map(r => ({ ...r, collectionName: 'drivers', label: r.name })),
+      ...deletedSuppliers.map(r => ({ ...r, collectionName: 'suppliers', label: r.name })),
+      ...deletedStockItems.map(r => ({ ...r, collectionName: 'stockItems', label: r.itemName })),
+    ].sort((a, b) => (b.deletedAt?.toDate() || 0) - (a.deletedAt?.toDate() || 0));
+
+    const formatTimestamp = (timestamp) => {
+      if (!timestamp?.toDate) return 'N/A';
+      const date = timestamp.toDate();
+      return `${date.toLocaleDateString('cs-CZ')} ${date.toLocaleTimeString('cs-CZ')}`;
+    };
+
+    const getPurgeDate = (record) => {
+      if (!record.deletedAt?.toDate) return '-';
+      return new Date(record.deletedAt.toDate().getTime() + trashRetentionDays * 86400000).toLocaleDateString('cs-CZ');
+    };
+
+    const handleRestore = async (trashed) => {
+      if (!isAdmin) return;
+      const { collectionName, label, ...record } = trashed;
+      if (collectionName === 'transactions' && isLockedByPayout(record)) return;
+      try {
+        await commitChange(collectionName, record.id, record, (current) => ({
+          changes: { deletedAt: deleteField(), deletedBy: deleteField() },
+          entry: {
+            action: 'Obnoveno z koše',
+            details: `${TRASH_COLLECTIONS[collectionName]} '${label || record.id}' byl obnoven z koše.`,
+            after: { ...current, deletedAt: null, deletedBy: null },
+          },
+        }));
+      } catch (e) {
+        console.error("Error restoring record: ", e);
+        window.alert(e.message);
+      }
+    };
+
+    const handlePurge = async (trashed) => {
+      if (!isAdmin) return;
+      const confirmPurge = window.confirm("Opravdu chcete záznam trvale smazat? Tuto akci nelze vrátit.");
+      if (!confirmPurge) return;
+      const { collectionName, label, ...record } = trashed;
+      if (collectionName === 'transactions' && isLockedByPayout(record)) return;
+      if (collectionName === 'transactions' && invoicedTransactionIds.has(record.id)) {
+        window.alert("Transakce je vyfakturována a nelze ji trvale smazat.");
+        return;
+      }
+      try {
+        // A trashed record no longer counts in the summaries, so only the record and its history entry are written
+        const batch = writeBatch(db);
+        batch.delete(doc(db, `/artifacts/${__app_id}/public/data/${collectionName}`, record.id));
+        batch.set(doc(collection(db, `/artifacts/${__app_id}/public/data/history`)), buildHistoryEntry({
+          action: 'Trvale smazáno',
+          docId: record.id,
+          collectionName,
+          details: `${TRASH_COLLECTIONS[collectionName]} '${label || record.id}' byl trvale smazán z koše.`,
+          before: record,
+        }));
+        await batch.commit();
+      } catch (e) {
+        console.error("Error purging record: ", e);
+      }
+    };
+
+    return (
+      <div className={containerClass}>
+        <div className={cardClass}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <Trash className="mr-2 text-indigo-500" /> Koš
+          </h2>
+          <p className="text-gray-600 mb-4">
+            Smazané záznamy jsou skryté ve všech přehledech. Po {trashRetentionDays} dnech v koši se trvale odstraní.
+          </p>
+          {trashedRecords.length === 0 ? (
+            <div className="text-center text-gray-500 mt-4">Koš je prázdný.</div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className={tableClass}>
+                <thead className={headerClass}>
+                  <tr>
+                    <th className={thClass}>Typ</th>
+                    <th className={thClass}>Záznam</th>
+                    <th className={thClass}>Smazáno</th>
+                    <th className={thClass}>Smazal</th>
+                    <th className={thClass}>Trvalé smazání</th>
+                    <th className={thClass}>Akce</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {trashedRecords.map(record => (
+                    <tr key={`${record.collectionName}-${record.id}`}>
+                      <td className={tdClass}>{TRASH_COLLECTIONS[record.collectionName]}</td>
+                      <td className={tdClass}>
+                        {record.label || record.id}
+                        {record.collectionName === 'transactions' && (
+                          <span className="text-gray-500"> ({record.saleDate || '-'}, {Number(record.sellingPriceCzk || 0).toLocaleString('cs-CZ')} CZK)</span>
+                        )}
+                      </td>
+                      <td className={tdClass}>{formatTimestamp(record.deletedAt)}</td>
+                      <td className={tdClass}>{record.deletedBy || '-'}</td>
+                      <td className={tdClass}>{getPurgeDate(record)}</td>
+                      <td className={tdClass}>
+                        <div className="flex space-x-2">
+                          <button onClick={() => handleRestore(record)} className="text-indigo-600 hover:text-indigo-900" aria-label="Restore" title="Obnovit">
+                            <RotateCcw className="h-4 w-4" />
+                          </button>
+                          <button onClick={() => handlePurge(record)} className="text-red-600 hover:text-red-900" aria-label="Delete permanently" title="Trvale smazat">
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const LoginView = ({ auth }) => {
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isRegistering, setIsRegistering] = useState(false);
+    const [message, setMessage] = useState('');
+
+    const authErrorMessages = {
+      'auth/invalid-credential': 'Nesprávný e-mail nebo heslo.',
+      'auth/invalid-email': 'Neplatný formát e-mailu.',
+      'auth/email-already-in-use': 'Účet s tímto e-mailem již existuje.',
+      'auth/weak-password': 'Heslo musí mít alespoň 6 znaků.',
+      'auth/too-many-requests': 'Příliš mnoho pokusů, zkuste to prosím později.',
+    };
+
+    const handleSubmit = async (e) => {
+      e.preventDefault();
+      if (!auth) {
+        setMessage('Aplikace není připojena k Firebase.');
+        return;
+      }
+      if (!email.trim() || !password) {
+        setMessage('Prosím zadejte e-mail a heslo.');
+        return;
+      }
+      try {
+        if (isRegistering) {
+          await createUserWithEmailAndPassword(auth, email.trim(), password);
+        } else {
+          await signInWithEmailAndPassword(auth, email.trim(), password);
+        }
+      } catch (e) {
+        console.error("Error during sign-in:", e);
+        setMessage(authErrorMessages[e.code] || `Přihlášení selhalo. Chyba: ${e.message}`);
+      }
+    };
+
+    if (isLocalStorage) {
+      return (
+        <div className={containerClass}>
+          <div className={`${cardClass} max-w-md`}>
+            <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+              <LogIn className="mr-2 text-indigo-500" /> Ukázkový režim
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Aplikace běží bez Firebase nad ukázkovými daty uloženými jen v tomto prohlížeči. Vyberte účet, pod kterým se chcete přihlásit.
+            </p>
+            <div className="flex flex-col gap-2">
+              {DEMO_USERS.map(demoUser => (
+                <button key={demoUser.uid} onClick={() => signInDemoUser(demoUser)} className={buttonClass}>
+                  {demoUser.displayName} ({ROLE_LABELS[demoUser.role]})
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className={containerClass}>
+        <div className={`${cardClass} max-w-md`}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800 flex items-center">
+            <LogIn className="mr-2 text-indigo-500" /> {isRegistering ? 'Registrace' : 'Přihlášení'}
+          </h2>
+          <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">E-mail</label>
+              <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} autoComplete="email" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Heslo</label>
+              <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} autoComplete={isRegistering ? 'new-password' : 'current-password'} />
+            </div>
+            <button type="submit" className={buttonClass}>{isRegistering ? 'Vytvořit účet' : 'Přihlásit se'}</button>
+            <button type="button" onClick={() => { setIsRegistering(prev => !prev); setMessage(''); }} className="text-sm text-indigo-600 hover:text-indigo-900">
+              {isRegistering ? 'Už mám účet, přihlásit se' : 'Nemám účet, zaregistrovat se'}
+            </button>
+            {message && <p className="text-sm text-red-600">{message}</p>}
+          </form>
+        </div>
+      </div>
+    );
+  };
+
+  if (!userId) {
+    return <LoginView auth={auth} />;
+  }
+
+  if (!userProfile) {
+    return <div className="flex justify-center items-center h-screen text-lg">Načítání profilu...</div>;
+  }
+
+  if (userRole === Roles.PENDING) {
+    return (
+      <div className={containerClass}>
+        <div className={`${cardClass} max-w-md`}>
+          <h2 className="text-2xl font-bold mb-4 text-gray-800">Účet čeká na schválení</h2>
+          <p className="text-gray-600 mb-4">
+            Účet {userEmail} byl vytvořen. Administrátor vám musí přidělit roli, než budete moci aplikaci používat.
+          </p>
+          <button onClick={handleSignOut} className={buttonClass}>
+            <LogOut className="inline mr-2 h-4 w-4" />Odhlásit se
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-gray-100 min-h-screen font-sans">
+      <nav className="bg-white shadow-lg sticky top-0 z-50">
+        <div className="max-w-7xl mx-auto px-2 sm:px-6 lg:px-8">
+          <div className="relative flex items-center justify-between h-16">
+            <div className="flex-1 flex items-center justify-center sm:items-stretch sm:justify-start">
+              <div className="flex-shrink-0 flex items-center">
+                <span className="text-2xl font-bold text-indigo-600">Business Manager</span>
+              </div>
+            </div>
+            <div className="flex items-center space-x-2 sm:space-x-4">
+              {canAccess(Views.TRANSACTIONS) && (
+                <button onClick={() => setCurrentView(Views.TRANSACTIONS)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.TRANSACTIONS ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <DollarSign className="h-5 w-5 mr-1" />
+                  Transakce
+                </button>
+              )}
+              {canAccess(Views.SALES_OVERVIEW) && (
+                <button onClick={() => setCurrentView(Views.SALES_OVERVIEW)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.SALES_OVERVIEW ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <DollarSign className="h-5 w-5 mr-1" />
+                  Přehled
+                </button>
+              )}
+              {canAccess(Views.CUSTOMERS) && (
+                <button onClick={() => setCurrentView(Views.CUSTOMERS)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.CUSTOMERS ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <Contact className="h-5 w-5 mr-1" />
+                  Zákazníci
+                </button>
+              )}
+              {canAccess(Views.STOCK) && (
+                <button onClick={() => setCurrentView(Views.STOCK)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.STOCK ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <Warehouse className="h-5 w-5 mr-1" />
+                  Sklad
+                </button>
+              )}
+              {canAccess(Views.INVOICES) && (
+                <button onClick={() => setCurrentView(Views.INVOICES)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.INVOICES ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <FileText className="h-5 w-5 mr-1" />
+                  Faktury
+                </button>
+              )}
+              {canAccess(Views.COMMISSIONS) && (
+                <button onClick={() => setCurrentView(Views.COMMISSIONS)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.COMMISSIONS ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <Wallet className="h-5 w-5 mr-1" />
+                  Provize
+                </button>
+              )}
+              {canAccess(Views.VAT) && (
+                <button onClick={() => setCurrentView(Views.VAT)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.VAT ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <Receipt className="h-5 w-5 mr-1" />
+                  DPH
+                </button>
+              )}
+              {canAccess(Views.PERSONNEL) && (
+                <button onClick={() => setCurrentView(Views.PERSONNEL)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.PERSONNEL ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <Briefcase className="h-5 w-5 mr-1" />
+                  Personál
+                </button>
+              )}
+              {canAccess(Views.DELIVERY_FILTER) && (
+                <button onClick={() => setCurrentView(Views.DELIVERY_FILTER)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.DELIVERY_FILTER ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <Truck className="h-5 w-5 mr-1" />
+                  Rozvozy
+                </button>
+              )}
+              {canAccess(Views.ROUTE_PLANNER) && (
+                <button onClick={() => setCurrentView(Views.ROUTE_PLANNER)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.ROUTE_PLANNER ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <RouteIcon className="h-5 w-5 mr-1" />
+                  Trasa
+                </button>
+              )}
+              {canAccess(Views.SALES_GRAPH) && (
+                <button onClick={() => setCurrentView(Views.SALES_GRAPH)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.SALES_GRAPH ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <DollarSign className="h-5 w-5 mr-1" />
+                  Grafy
+                </button>
+              )}
+              {canAccess(Views.HISTORY) && (
+                <button onClick={() => setCurrentView(Views.HISTORY)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.HISTORY ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <HistoryIcon className="h-5 w-5 mr-1" />
+                  Historie
+                </button>
+              )}
+              {canAccess(Views.IMPORT) && (
+                <button onClick={() => setCurrentView(Views.IMPORT)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.IMPORT ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <Upload className="h-5 w-5 mr-1" />
+                  Import
+                </button>
+              )}
+              {canAccess(Views.TRASH) && (
+                <button onClick={() => setCurrentView(Views.TRASH)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.TRASH ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <Trash className="h-5 w-5 mr-1" />
+                  Koš
+                </button>
+              )}
+              {canAccess(Views.SETTINGS) && (
+                <button onClick={() => setCurrentView(Views.SETTINGS)} className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 ${currentView === Views.SETTINGS ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-800 hover:bg-gray-200'}`}>
+                  <SettingsIcon className="h-5 w-5 mr-1" />
+                  Nastavení
+                </button>
+              )}
+              <div className="relative">
+                <button
+                  onClick={() => setShowSyncDetails(!showSyncDetails)}
+                  className={`flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 hover:bg-gray-200 ${syncConflicts.length > 0 ? 'text-red-600' : isOnline ? 'text-gray-800' : 'text-orange-600'}`}
+                  title="Stav synchronizace"
+                >
+                  {syncConflicts.length > 0 ? <AlertTriangle className="h-5 w-5" /> : isOnline ? (pendingWrites > 0 ? <RefreshCw className="h-5 w-5 animate-spin" /> : <Cloud className="h-5 w-5" />) : <CloudOff className="h-5 w-5" />}
+                  {pendingWrites > 0 && <span className="ml-1">{pendingWrites}</span>}
+                </button>
+                {showSyncDetails && (
+                  <div className="absolute right-0 mt-2 w-72 bg-white rounded-xl shadow-lg border border-gray-200 p-4 text-sm text-gray-700 z-50">
+                    <div className="font-semibold mb-1">{isOnline ? 'Online' : 'Offline – změny se uloží po připojení'}</div>
+                    <div>Čeká na odeslání: {pendingWrites}</div>
+                    <div>Naposledy synchronizováno: {lastSyncedAt ? lastSyncedAt.toLocaleString('cs-CZ') : 'zatím ne'}</div>
+                    {syncConflicts.length > 0 && (
+                      <div className="mt-2">
+                        <div className="font-semibold text-red-600">Konflikty ({syncConflicts.length})</div>
+                        <p className="text-xs text-gray-500 mb-1">Tyto změny server odmítl, záznam mezitím upravil někdo jiný. Zkontrolujte je a případně zadejte znovu.</p>
+                        <ul className="max-h-40 overflow-y-auto">
+                          {syncConflicts.map(conflict => (
+                            <li key={conflict.id} className="py-1 border-t border-gray-100">
+                              <div>{conflict.label}</div>
+                              <div className="text-xs text-gray-500">{conflict.at.toLocaleTimeString('cs-CZ')} – {conflict.message}</div>
+                            </li>
+                          ))}
+                        </ul>
+                        <button onClick={() => setSyncConflicts([])} className="text-indigo-600 hover:text-indigo-900 text-xs mt-1">Skrýt konflikty</button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+              {isLocalStorage && (
+                <span className="px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800" title="Ukázková data uložená jen v tomto prohlížeči">DEMO</span>
+              )}
+              <span className="hidden md:inline text-sm text-gray-600">{actor.actorName} ({ROLE_LABELS[userRole]})</span>
+              <button onClick={handleSignOut} className="flex items-center px-3 py-2 text-sm font-medium rounded-xl transition-all duration-200 text-gray-800 hover:bg-gray-200" title="Odhlásit se">
+                <LogOut className="h-5 w-5" />
               </button>
             </div>
           </div>
@@ -1452,14 +7119,21 @@ itemName: '',
       </nav>
 
       <main className="py-8">
-        {currentView === Views.TRANSACTIONS && <TransactionsView sellers={sellers} drivers={drivers} db={db} transactions={transactions} />}
-        {currentView === Views.PERSONNEL && <PersonnelView sellers={sellers} drivers={drivers} db={db} />}
-        {currentView === Views.DELIVERY_FILTER && <DeliveryFilterView transactions={transactions} drivers={drivers} />}
-        {currentView === Views.SALES_GRAPH && <SalesGraphView transactions={transactions} sellers={sellers} />}
-        {currentView === Views.HISTORY && <HistoryView history={history} />}
-        {currentView === Views.IMPORT && <ImportView db={db} />}
-        {currentView === Views.SALES_OVERVIEW && <SalesOverviewView db={db} transactions={transactions} />}
-        {currentView === Views.SETTINGS && <SettingsView db={db} />}
+        {currentView === Views.TRANSACTIONS && canAccess(Views.TRANSACTIONS) && <TransactionsView sellers={sellers} drivers={drivers} suppliers={suppliers} stockItems={stockItems} db={db} transactions={transactions} />}
+        {currentView === Views.CUSTOMERS && canAccess(Views.CUSTOMERS) && <CustomersView db={db} customers={customers} customerPurchases={customerPurchases} monthlySummaries={monthlySummaries} />}
+        {currentView === Views.STOCK && canAccess(Views.STOCK) && <StockView db={db} stockItems={stockItems} suppliers={suppliers} stockSales={stockSales} />}
+        {currentView === Views.INVOICES && canAccess(Views.INVOICES) && <InvoicesView db={db} invoices={invoices} transactions={transactions} />}
+        {currentView === Views.COMMISSIONS && canAccess(Views.COMMISSIONS) && <CommissionsView db={db} transactions={transactions} sellers={sellers} payouts={payouts} />}
+        {currentView === Views.VAT && canAccess(Views.VAT) && <VatView monthlySummaries={monthlySummaries} />}
+        {currentView === Views.PERSONNEL && canAccess(Views.PERSONNEL) && <PersonnelView sellers={sellers} drivers={drivers} suppliers={suppliers} users={users} monthlySummaries={monthlySummaries} db={db} />}
+        {currentView === Views.DELIVERY_FILTER && canAccess(Views.DELIVERY_FILTER) && <DeliveryFilterView db={db} transactions={transactions} drivers={drivers} cashHandovers={cashHandovers} />}
+        {currentView === Views.ROUTE_PLANNER && canAccess(Views.ROUTE_PLANNER) && <RoutePlannerView db={db} transactions={transactions} drivers={drivers} routes={routes} />}
+        {currentView === Views.SALES_GRAPH && canAccess(Views.SALES_GRAPH) && <SalesGraphView transactions={transactions} sellers={sellers} monthlySummaries={monthlySummaries} />}
+        {currentView === Views.HISTORY && canAccess(Views.HISTORY) && <HistoryView db={db} history={history} />}
+        {currentView === Views.IMPORT && canAccess(Views.IMPORT) && <ImportView db={db} importProfiles={importProfiles} suppliers={suppliers} />}
+        {currentView === Views.SALES_OVERVIEW && canAccess(Views.SALES_OVERVIEW) && <SalesOverviewView db={db} transactions={transactions} />}
+        {currentView === Views.SETTINGS && canAccess(Views.SETTINGS) && <SettingsView db={db} exchangeRates={exchangeRates} />}
+        {currentView === Views.TRASH && canAccess(Views.TRASH) && <TrashView db={db} deletedTransactions={deletedTransactions} deletedSellers={deletedSellers} deletedDrivers={deletedDrivers} deletedSuppliers={deletedSuppliers} deletedStockItems={deletedStockItems} />}
       </main>
     </div>
   );
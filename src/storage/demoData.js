@@ -0,0 +1,229 @@
+// Seed dataset of the local demo mode: a small used-parts business with a few weeks of orders
+// around today, so every view has something to show. A fixed random seed keeps it the same on every reset.
+
+// Accounts offered on the demo login screen, one per role
+export const DEMO_USERS = [
+  { uid: 'demo-admin', email: 'admin@demo.local', displayName: 'Administrátor (demo)', role: 'admin', personId: '' },
+  { uid: 'demo-seller', email: 'prodejce@demo.local', displayName: 'Petr Novák', role: 'seller', personId: 'seller-novak' },
+  { uid: 'demo-driver', email: 'ridic@demo.local', displayName: 'Tomáš Král', role: 'driver', personId: 'driver-kral' },
+];
+
+const SELLERS = [
+  { id: 'seller-novak', name: 'Petr Novák', commissionRule: { type: 'profit_percent', percent: 10, amountPerItem: '', tiers: [] } },
+  { id: 'seller-dvorakova', name: 'Jana Dvořáková', commissionRule: { type: 'per_item', percent: '', amountPerItem: 300, tiers: [] } },
+];
+
+const DRIVERS = [
+  { id: 'driver-kral', name: 'Tomáš Král', feeModel: { type: 'per_stop', stopFee: 250, zones: [], defaultZoneFee: '', ratePerKm: '' } },
+  {
+    id: 'driver-svoboda',
+    name: 'Martin Svoboda',
+    feeModel: {
+      type: 'per_zone',
+      stopFee: '',
+      zones: [{ city: 'Ostrava', fee: 200 }, { city: 'Olomouc', fee: 400 }],
+      defaultZoneFee: 500,
+      ratePerKm: '',
+    },
+  },
+];
+
+const SUPPLIERS = [
+  { id: 'supplier-autoczesci', name: 'Auto Części Katowice', contactPerson: 'Marek Nowak', phone: '+48 512 345 678', email: 'biuro@autoczesci.example', address: 'Katowice', currency: 'PLN', leadTimeDays: 3, note: '' },
+  { id: 'supplier-demontaz', name: 'Demontaż Opole', contactPerson: 'Anna Wiśniewska', phone: '+48 601 222 333', email: 'kontakt@demontaz.example', address: 'Opole', currency: 'PLN', leadTimeDays: 5, note: 'Motory a převodovky' },
+  { id: 'supplier-teile', name: 'Autoteile Dresden', contactPerson: 'Jens Müller', phone: '+49 351 123 4567', email: 'info@autoteile.example', address: 'Dresden', currency: 'EUR', leadTimeDays: 7, note: 'Nové díly' },
+];
+
+const CUSTOMERS = [
+  { id: 'customer-horak', name: 'Jiří Horák', phone: '+420 603 111 222', phone2: '', address: 'Nádražní 12', city: 'Ostrava' },
+  { id: 'customer-kucera', name: 'Lukáš Kučera', phone: '+420 728 333 444', phone2: '', address: 'Masarykova 5', city: 'Olomouc' },
+  { id: 'customer-pokorna', name: 'Eva Pokorná', phone: '+420 775 555 666', phone2: '+420 596 123 456', address: 'Hlavní 48', city: 'Frýdek-Místek' },
+  { id: 'customer-autoservis', name: 'Autoservis Beneš s.r.o.', phone: '+420 604 777 888', phone2: '', address: 'Průmyslová 3', city: 'Opava' },
+  { id: 'customer-marek', name: 'Ondřej Marek', phone: '+420 737 999 000', phone2: '', address: 'Sokolská 21', city: 'Ostrava' },
+  { id: 'customer-vesela', name: 'Lucie Veselá', phone: '+420 722 246 810', phone2: '', address: 'Komenského 7', city: 'Nový Jičín' },
+];
+
+const PARTS = [
+  { itemName: 'Motor 1.9 TDI', brand: 'Volkswagen', model: 'Golf IV', purchasePricePln: 2400, sellingPriceCzk: 16500 },
+  { itemName: 'Převodovka 5st.', brand: 'Škoda', model: 'Octavia II', purchasePricePln: 1500, sellingPriceCzk: 10900 },
+  { itemName: 'Přední nárazník', brand: 'Ford', model: 'Focus', purchasePricePln: 350, sellingPriceCzk: 2900 },
+  { itemName: 'Světlomet levý', brand: 'Opel', model: 'Astra H', purchasePricePln: 280, sellingPriceCzk: 2300 },
+  { itemName: 'Alternátor', brand: 'Škoda', model: 'Fabia', purchasePricePln: 220, sellingPriceCzk: 1900 },
+  { itemName: 'Turbodmychadlo', brand: 'Audi', model: 'A4 B7', purchasePricePln: 900, sellingPriceCzk: 6900 },
+  { itemName: 'Dveře přední pravé', brand: 'Renault', model: 'Mégane', purchasePricePln: 400, sellingPriceCzk: 3200 },
+  { itemName: 'Startér', brand: 'Volkswagen', model: 'Passat B6', purchasePricePln: 180, sellingPriceCzk: 1600 },
+];
+
+// Order statuses by how long ago the sale happened; matches OrderStatus in App.jsx
+const statusForAge = (days) => {
+  if (days > 21) return 'paid';
+  if (days > 10) return 'delivered';
+  if (days > 5) return 'out_for_delivery';
+  if (days > 2) return 'in_stock';
+  return 'ordered';
+};
+
+const STATUS_SEQUENCE = ['ordered', 'picked_up', 'in_stock', 'out_for_delivery', 'delivered', 'paid'];
+
+const DEMO_RATE = 5.85;
+const DEMO_EUR_RATE = 24.6;
+const DEMO_VAT_RATE = 21;
+const ORDER_COUNT = 36;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Small deterministic generator (mulberry32)
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const toDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const byId = (records) => Object.fromEntries(records.map(({ id, ...data }) => [id, data]));
+
+const buildOrder = (random, index, today) => {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const ageDays = Math.floor(random() * 56);
+  const saleDay = new Date(today.getTime() - ageDays * DAY_MS);
+  const saleDate = toDateKey(saleDay);
+  const customer = pick(CUSTOMERS);
+  const seller = pick(SELLERS);
+  const driver = pick(DRIVERS);
+  const supplier = pick(SUPPLIERS);
+  const lineCount = random() < 0.2 ? 2 : 1;
+  // Mostly used parts under the margin scheme, every sixth order new parts with standard VAT
+  const vatMode = index % 6 === 5 ? 'standard' : 'margin';
+  const lineItems = Array.from({ length: lineCount }, () => {
+    const part = pick(PARTS);
+    const purchasePricePln = roundMoney(part.purchasePricePln * (0.9 + random() * 0.2));
+    const sellingPriceCzk = Math.round(part.sellingPriceCzk * (0.9 + random() * 0.2) / 100) * 100;
+    const purchasePriceCzk = roundMoney(purchasePricePln * DEMO_RATE);
+    const taxed = vatMode === 'standard' ? sellingPriceCzk : Math.max(sellingPriceCzk - purchasePriceCzk, 0);
+    const vatCzk = roundMoney(taxed * DEMO_VAT_RATE / (100 + DEMO_VAT_RATE));
+    return {
+      ...part,
+      supplier: supplier.name,
+      supplierId: supplier.id,
+      stockItemId: '',
+      purchasePricePln,
+      sellingPriceCzk,
+      purchasePriceCzk,
+      vatCzk,
+      vatBaseCzk: roundMoney(taxed - vatCzk),
+      netProfitCzk: roundMoney(sellingPriceCzk - purchasePriceCzk - vatCzk),
+    };
+  });
+  const joinUnique = (key) => [...new Set(lineItems.map(line => line[key]))].join(', ');
+  const sum = (key) => roundMoney(lineItems.reduce((total, line) => total + line[key], 0));
+
+  const status = index % 17 === 16 ? 'cancelled' : statusForAge(ageDays);
+  const reached = status === 'cancelled' ? ['ordered', 'cancelled'] : STATUS_SEQUENCE.slice(0, STATUS_SEQUENCE.indexOf(status) + 1);
+  const statusTimestamps = Object.fromEntries(reached.map((s, i) => [s, new Date(saleDay.getTime() + i * DAY_MS / 2)]));
+  const statusHistory = reached.map(s => ({ status: s, at: statusTimestamps[s], by: s === 'ordered' ? seller.name : driver.name }));
+  const sellingPriceCzk = sum('sellingPriceCzk');
+  const isCollected = status === 'delivered' || status === 'paid';
+  // One delivered order comes up short so the cash reconciliation has something to show
+  const collectedAmountCzk = index % 9 === 4 ? sellingPriceCzk - 500 : sellingPriceCzk;
+
+  return {
+    saleDate,
+    seller: seller.name,
+    driver: driver.name,
+    destination: customer.city,
+    deliveryCity: customer.city,
+    customerId: customer.id,
+    customerName: customer.name,
+    customerAddress: customer.address,
+    customerContact: customer.phone,
+    customerPhone2: customer.phone2,
+    note: '',
+    exchangeRate: DEMO_RATE,
+    lineItems,
+    itemName: lineItems.map(line => line.itemName).join(', '),
+    brand: joinUnique('brand'),
+    model: joinUnique('model'),
+    supplier: supplier.name,
+    purchasePricePln: sum('purchasePricePln'),
+    purchasePriceCzk: sum('purchasePriceCzk'),
+    sellingPriceCzk,
+    vatMode,
+    vatRate: DEMO_VAT_RATE,
+    vatCzk: sum('vatCzk'),
+    vatBaseCzk: sum('vatBaseCzk'),
+    netProfitCzk: sum('netProfitCzk'),
+    status,
+    statusTimestamps,
+    statusHistory,
+    stockItemIds: [],
+    ...(isCollected ? {
+      collectedAmountCzk,
+      paymentMethod: random() < 0.7 ? 'cash' : 'card',
+      collectedAt: statusTimestamps.delivered,
+      collectedBy: driver.name,
+    } : {}),
+    createdAt: saleDay,
+  };
+};
+
+// Documents keyed by collection path, then by document ID. Timestamps are plain Dates here;
+// the local backend stores them as Timestamps like Firestore does.
+export const buildDemoData = (appId) => {
+  const random = createRandom(20240601);
+  const today = new Date();
+  today.setHours(12, 0, 0, 0);
+  const daysAgo = (days) => new Date(today.getTime() - days * DAY_MS);
+  const path = (name) => `/artifacts/${appId}/public/data/${name}`;
+
+  const transactions = Object.fromEntries(Array.from({ length: ORDER_COUNT }, (_, index) => [
+    `demo-order-${String(index + 1).padStart(3, '0')}`,
+    buildOrder(random, index, today),
+  ]));
+
+  const stockItems = byId([
+    { id: 'stock-1', itemName: 'Motor 2.0 HDi', brand: 'Peugeot', model: '407', supplierId: 'supplier-demontaz', supplier: 'Demontaż Opole', purchasePricePln: 2100, purchaseDate: toDateKey(daysAgo(75)), note: '', exchangeRate: DEMO_RATE, createdAt: daysAgo(75) },
+    { id: 'stock-2', itemName: 'Zadní náprava', brand: 'Škoda', model: 'Octavia II', supplierId: 'supplier-autoczesci', supplier: 'Auto Części Katowice', purchasePricePln: 650, purchaseDate: toDateKey(daysAgo(30)), note: '', exchangeRate: DEMO_RATE, createdAt: daysAgo(30) },
+    { id: 'stock-3', itemName: 'Kapota', brand: 'Volkswagen', model: 'Polo', supplierId: 'supplier-autoczesci', supplier: 'Auto Części Katowice', purchasePricePln: 300, purchaseDate: toDateKey(daysAgo(8)), note: '', exchangeRate: DEMO_RATE, createdAt: daysAgo(8) },
+    { id: 'stock-4', itemName: 'Brzdové kotouče', brand: 'BMW', model: 'E90', supplierId: 'supplier-teile', supplier: 'Autoteile Dresden', purchasePrice: 120, purchaseCurrency: 'EUR', purchaseDate: toDateKey(daysAgo(12)), note: '', exchangeRate: DEMO_EUR_RATE, createdAt: daysAgo(12) },
+  ]);
+
+  const exchangeRates = Object.fromEntries([56, 28, 0].flatMap(days => {
+    const date = toDateKey(daysAgo(days));
+    return [['PLN', DEMO_RATE], ['EUR', DEMO_EUR_RATE]].map(([currency, rate]) => [
+      `${currency}_${date}`,
+      { currency, date, rate, source: 'manual', timestamp: daysAgo(days), actorUid: 'demo-admin', actorName: 'Administrátor (demo)' },
+    ]);
+  }));
+
+  return {
+    [path('users')]: Object.fromEntries(DEMO_USERS.map(({ uid, ...profile }) => [uid, { ...profile, createdAt: daysAgo(60) }])),
+    [path('sellers')]: byId(SELLERS.map(s => ({ ...s, createdAt: daysAgo(60) }))),
+    [path('drivers')]: byId(DRIVERS.map(d => ({ ...d, createdAt: daysAgo(60) }))),
+    [path('suppliers')]: byId(SUPPLIERS.map(s => ({ ...s, createdAt: daysAgo(60) }))),
+    [path('customers')]: byId(CUSTOMERS.map(c => ({ ...c, createdAt: daysAgo(60) }))),
+    [path('transactions')]: transactions,
+    [path('stockItems')]: stockItems,
+    [path('exchangeRates')]: exchangeRates,
+    [path('settings')]: {
+      exchangeRate: { value: DEMO_RATE, rates: { PLN: DEMO_RATE, EUR: DEMO_EUR_RATE }, timestamp: daysAgo(60) },
+      adminBootstrap: { uid: 'demo-admin', timestamp: daysAgo(60) },
+      customerMigration: { timestamp: daysAgo(60) },
+      vat: { defaultMode: 'margin', standardRate: DEMO_VAT_RATE, timestamp: daysAgo(60) },
+      company: {
+        name: 'Demo Autodíly s.r.o.',
+        address: 'Hlavní 1, 702 00 Ostrava',
+        ico: '12345678',
+        dic: 'CZ12345678',
+        bankAccount: '123456789/0800',
+        email: 'info@demo.local',
+        phone: '+420 600 000 000',
+        invoicePrefix: 'FV',
+        creditNotePrefix: 'DB',
+        dueDays: 14,
+      },
+    },
+  };
+};
@@ -0,0 +1,34 @@
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
+
+export {
+  Timestamp,
+  addDoc,
+  arrayUnion,
+  collection,
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  getDocs,
+  increment,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+} from 'firebase/firestore';
+
+// IndexedDB cache: data stays readable offline and writes queue until the connection is back
+export const openStorage = async ({ app }) => initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+});
+
+// Production data is never reset from the app
+export const resetDemoData = async () => {
+  throw new Error('Demo data can only be reset in local mode.');
+};
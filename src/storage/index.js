@@ -0,0 +1,69 @@
+import * as firestoreBackend from './firestoreBackend';
+import * as localBackend from './localBackend';
+
+// Data-access layer of the app. Both backends implement the same subset of the modular Firestore
+// API, so views import these functions instead of `firebase/firestore` and work with either one.
+// VITE_STORAGE_BACKEND picks the backend. Firestore is the default; the local demo database runs only
+// when asked for with VITE_STORAGE_BACKEND=local, never as a fallback for a missing Firebase config.
+
+export const StorageBackend = {
+  FIRESTORE: 'firestore',
+  LOCAL: 'local',
+};
+
+export const STORAGE_BACKEND = import.meta.env.VITE_STORAGE_BACKEND || StorageBackend.FIRESTORE;
+
+export const isLocalStorage = STORAGE_BACKEND === StorageBackend.LOCAL;
+
+// Firebase web config from VITE_FIREBASE_CONFIG and what is wrong with the storage configuration, if
+// anything. The app shows the error instead of starting, rather than failing while this module loads.
+const readStorageConfig = () => {
+  if (!Object.values(StorageBackend).includes(STORAGE_BACKEND)) {
+    return { firebaseConfig: null, configError: `Neznámé úložiště VITE_STORAGE_BACKEND=${STORAGE_BACKEND}, použijte ${Object.values(StorageBackend).join(' nebo ')}.` };
+  }
+  if (isLocalStorage) return { firebaseConfig: null, configError: '' };
+  const text = (import.meta.env.VITE_FIREBASE_CONFIG || '').trim();
+  if (!text) {
+    return { firebaseConfig: null, configError: 'Chybí konfigurace Firebase (VITE_FIREBASE_CONFIG). Pro ukázková data bez Firebase nastavte VITE_STORAGE_BACKEND=local.' };
+  }
+  try {
+    const config = JSON.parse(text);
+    if (!config || typeof config !== 'object' || Object.keys(config).length === 0) {
+      return { firebaseConfig: null, configError: 'Konfigurace Firebase (VITE_FIREBASE_CONFIG) je prázdná.' };
+    }
+    return { firebaseConfig: config, configError: '' };
+  } catch (e) {
+    return { firebaseConfig: null, configError: `Konfigurace Firebase (VITE_FIREBASE_CONFIG) není platný JSON: ${e.message}` };
+  }
+};
+
+export const { firebaseConfig, configError: storageConfigError } = readStorageConfig();
+
+const backend = isLocalStorage ? localBackend : firestoreBackend;
+
+export const {
+  Timestamp,
+  addDoc,
+  arrayUnion,
+  collection,
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  getDocs,
+  increment,
+  limit,
+  onSnapshot,
+  openStorage,
+  orderBy,
+  query,
+  resetDemoData,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+} = backend;
+
+export { DEMO_USERS } from './demoData';
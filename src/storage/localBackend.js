@@ -0,0 +1,436 @@
+import { buildDemoData } from './demoData';
+
+// In-memory stand-in for the part of the modular Firestore API the app uses, persisted to
+// IndexedDB. Views call the same functions in both backends, so the whole app runs without Firebase.
+
+export class Timestamp {
+  constructor(seconds, nanoseconds = 0) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(Math.floor(millis / 1000), (millis % 1000) * 1e6);
+  }
+
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+}
+
+// Write sentinels, resolved when the write is applied
+class FieldSentinel {
+  constructor(name, operand) {
+    this.name = name;
+    this.operand = operand;
+  }
+}
+
+const SERVER_TIMESTAMP = new FieldSentinel('serverTimestamp');
+const DELETE_FIELD = new FieldSentinel('deleteField');
+
+export const serverTimestamp = () => SERVER_TIMESTAMP;
+export const deleteField = () => DELETE_FIELD;
+export const increment = (n) => new FieldSentinel('increment', n);
+export const arrayUnion = (...elements) => new FieldSentinel('arrayUnion', elements);
+
+const isIncrement = (value) => value instanceof FieldSentinel && value.name === 'increment';
+const isArrayUnion = (value) => value instanceof FieldSentinel && value.name === 'arrayUnion';
+
+// An increment adds to the current number; anything else counts as zero, as in Firestore
+const applyIncrement = (current, sentinel) => (typeof current === 'number' ? current : 0) + sentinel.operand;
+
+// An array union appends the elements the array does not hold yet; anything else counts as an empty array
+const applyArrayUnion = (current, sentinel, now) => {
+  const result = Array.isArray(current) ? [...current] : [];
+  const keyOf = (value) => JSON.stringify(encodeValue(value));
+  sentinel.operand.map(element => resolveSentinels(element, now)).forEach(element => {
+    if (!result.some(existing => keyOf(existing) === keyOf(element))) result.push(element);
+  });
+  return result;
+};
+
+const IDB_NAME = 'business-manager-local';
+const IDB_STORE = 'databases';
+const SAVE_DELAY_MS = 300;
+const ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const normalizePath = (...segments) => segments.join('/').split('/').filter(Boolean).join('/');
+
+const generateId = () => Array.from({ length: 20 }, () => ID_CHARS[Math.floor(Math.random() * ID_CHARS.length)]).join('');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+// Stored values are copied on every read and write so callers can never mutate the store.
+// Dates become Timestamps, as they do in Firestore.
+const cloneValue = (value) => {
+  if (value instanceof Timestamp) return new Timestamp(value.seconds, value.nanoseconds);
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, cloneValue(v)]));
+  return value;
+};
+
+const resolveSentinels = (value, now) => {
+  if (value === SERVER_TIMESTAMP) return new Timestamp(now.seconds, now.nanoseconds);
+  if (isIncrement(value)) return value.operand;
+  if (isArrayUnion(value)) return applyArrayUnion(undefined, value, now);
+  if (Array.isArray(value)) return value.map(v => resolveSentinels(v, now));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, v]) => v !== DELETE_FIELD)
+      .map(([key, v]) => [key, resolveSentinels(v, now)]));
+  }
+  return cloneValue(value);
+};
+
+// Sets a dotted field path such as `statusTimestamps.delivered`, creating the nested maps on the way
+const setFieldPath = (target, fieldPath, value, now) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, target);
+  if (value === DELETE_FIELD) {
+    delete parent[last];
+  } else if (isIncrement(value)) {
+    parent[last] = applyIncrement(parent[last], value);
+  } else if (isArrayUnion(value)) {
+    parent[last] = applyArrayUnion(parent[last], value, now);
+  } else {
+    parent[last] = resolveSentinels(value, now);
+  }
+};
+
+const mergeInto = (target, data, now) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === DELETE_FIELD) {
+      delete target[key];
+    } else if (isIncrement(value)) {
+      target[key] = applyIncrement(target[key], value);
+    } else if (isArrayUnion(value)) {
+      target[key] = applyArrayUnion(target[key], value, now);
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value, now);
+    } else {
+      target[key] = resolveSentinels(value, now);
+    }
+  });
+  return target;
+};
+
+const getFieldValue = (data, fieldPath) => fieldPath.split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+
+const comparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+
+const compareValues = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const WHERE_OPERATORS = {
+  '==': (value, operand) => compareValues(value, operand) === 0,
+  '!=': (value, operand) => value !== undefined && compareValues(value, operand) !== 0,
+  '<': (value, operand) => value !== undefined && compareValues(value, operand) < 0,
+  '<=': (value, operand) => value !== undefined && compareValues(value, operand) <= 0,
+  '>': (value, operand) => value !== undefined && compareValues(value, operand) > 0,
+  '>=': (value, operand) => value !== undefined && compareValues(value, operand) >= 0,
+  'in': (value, operand) => operand.some(o => compareValues(value, o) === 0),
+  'array-contains': (value, operand) => Array.isArray(value) && value.some(v => compareValues(v, operand) === 0),
+  'array-contains-any': (value, operand) => Array.isArray(value) && value.some(v => operand.some(o => compareValues(v, o) === 0)),
+};
+
+// --- References and queries ---
+
+export const collection = (parent, ...pathSegments) => ({
+  type: 'collection',
+  db: parent.db || parent,
+  path: normalizePath(parent.path || '', ...pathSegments),
+  constraints: [],
+});
+
+// `doc(collectionRef)` generates an ID; `doc(db, collectionPath, id)` addresses an existing document
+export const doc = (parent, ...pathSegments) => {
+  const db = parent.db || parent;
+  const fullPath = normalizePath(parent.path || '', ...(pathSegments.length ? pathSegments : [generateId()]));
+  const segments = fullPath.split('/');
+  const id = segments.pop();
+  return { type: 'document', db, id, path: fullPath, collectionPath: segments.join('/') };
+};
+
+export const where = (fieldPath, op, value) => ({ kind: 'where', fieldPath, op, value });
+export const orderBy = (fieldPath, direction = 'asc') => ({ kind: 'orderBy', fieldPath, direction });
+export const limit = (count) => ({ kind: 'limit', count });
+
+export const query = (ref, ...constraints) => ({ ...ref, type: 'query', constraints: [...ref.constraints, ...constraints] });
+
+// --- Snapshots ---
+
+const METADATA = { fromCache: false, hasPendingWrites: false };
+
+const makeDocSnapshot = (db, collectionPath, id) => {
+  const data = db.collections.get(collectionPath)?.get(id);
+  return {
+    id,
+    ref: doc(db, collectionPath, id),
+    metadata: METADATA,
+    exists: () => data !== undefined,
+    data: () => (data === undefined ? undefined : cloneValue(data)),
+  };
+};
+
+const makeQuerySnapshot = (db, ref) => {
+  const stored = db.collections.get(ref.path) || new Map();
+  let ids = [...stored.keys()];
+  ref.constraints.forEach(constraint => {
+    if (constraint.kind === 'where') {
+      const test = WHERE_OPERATORS[constraint.op];
+      if (!test) throw new Error(`Unsupported where operator '${constraint.op}'.`);
+      ids = ids.filter(id => test(getFieldValue(stored.get(id), constraint.fieldPath), constraint.value));
+    }
+  });
+  // As in Firestore, ordering by a field leaves out documents that do not have it
+  const sorts = ref.constraints.filter(c => c.kind === 'orderBy');
+  sorts.forEach(({ fieldPath }) => {
+    ids = ids.filter(id => getFieldValue(stored.get(id), fieldPath) !== undefined);
+  });
+  if (sorts.length) {
+    ids.sort((a, b) => {
+      for (const { fieldPath, direction } of sorts) {
+        const result = compareValues(getFieldValue(stored.get(a), fieldPath), getFieldValue(stored.get(b), fieldPath));
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    });
+  }
+  const limitConstraint = ref.constraints.find(c => c.kind === 'limit');
+  if (limitConstraint) ids = ids.slice(0, limitConstraint.count);
+
+  const docs = ids.map(id => makeDocSnapshot(db, ref.path, id));
+  return {
+    docs,
+    size: docs.length,
+    empty: docs.length === 0,
+    metadata: METADATA,
+    forEach: (callback) => docs.forEach(callback),
+  };
+};
+
+const makeSnapshot = (ref) => (ref.type === 'document'
+  ? makeDocSnapshot(ref.db, ref.collectionPath, ref.id)
+  : makeQuerySnapshot(ref.db, ref));
+
+const watchedPath = (ref) => (ref.type === 'document' ? ref.collectionPath : ref.path);
+
+// --- Persistence ---
+
+const openIndexedDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(IDB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Timestamps survive the round trip as `{ __timestamp: millis }`
+const encodeValue = (value) => {
+  if (value instanceof Timestamp) return { __timestamp: value.toMillis() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, encodeValue(v)]));
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (isPlainObject(value)) {
+    if (typeof value.__timestamp === 'number') return Timestamp.fromMillis(value.__timestamp);
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, decodeValue(v)]));
+  }
+  return value;
+};
+
+const serialize = (collections) => Object.fromEntries([...collections].map(([path, docs]) => [path, Object.fromEntries([...docs].map(([id, data]) => [id, encodeValue(data)]))]));
+
+const deserialize = (stored) => new Map(Object.entries(stored || {}).map(([path, docs]) => [path, new Map(Object.entries(docs).map(([id, data]) => [id, decodeValue(data)]))]));
+
+const loadCollections = async (db) => {
+  if (!db.idb) return null;
+  return new Promise((resolve, reject) => {
+    const request = db.idb.transaction(IDB_STORE).objectStore(IDB_STORE).get(db.name);
+    request.onsuccess = () => resolve(request.result ? deserialize(request.result) : null);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const scheduleSave = (db) => {
+  if (!db.idb) return;
+  clearTimeout(db.saveTimer);
+  db.saveTimer = setTimeout(() => {
+    const transaction = db.idb.transaction(IDB_STORE, 'readwrite');
+    transaction.objectStore(IDB_STORE).put(serialize(db.collections), db.name);
+    transaction.onerror = () => console.error("Error saving local data:", transaction.error);
+  }, SAVE_DELAY_MS);
+};
+
+// --- Listeners ---
+
+// Listeners fire asynchronously, like Firestore's, and only for collections the writes touched
+const notifyListeners = (db, paths) => {
+  paths.forEach(path => db.dirtyPaths.add(path));
+  if (db.notifyScheduled) return;
+  db.notifyScheduled = true;
+  setTimeout(() => {
+    const dirty = db.dirtyPaths;
+    db.dirtyPaths = new Set();
+    db.notifyScheduled = false;
+    db.listeners.forEach(listener => {
+      if (dirty.has(watchedPath(listener.ref))) deliver(listener);
+    });
+  }, 0);
+};
+
+const deliver = (listener) => {
+  try {
+    listener.next(makeSnapshot(listener.ref));
+  } catch (e) {
+    if (listener.error) listener.error(e); else console.error(e);
+  }
+};
+
+export const onSnapshot = (ref, ...args) => {
+  // The optional options argument (`includeMetadataChanges`) has no meaning without a server
+  const [next, error] = typeof args[0] === 'function' ? args : args.slice(1);
+  const listener = { ref, next, error };
+  ref.db.listeners.add(listener);
+  setTimeout(() => {
+    if (ref.db.listeners.has(listener)) deliver(listener);
+  }, 0);
+  return () => ref.db.listeners.delete(listener);
+};
+
+// --- Writes ---
+
+// Applies a list of writes at once, so batches and transactions are all-or-nothing
+const applyWrites = (db, writes) => {
+  writes.forEach(({ type, ref }) => {
+    if (type === 'update' && !db.collections.get(ref.collectionPath)?.has(ref.id)) {
+      const error = new Error(`No document to update: ${ref.path}`);
+      error.code = 'not-found';
+      throw error;
+    }
+  });
+  const now = Timestamp.now();
+  writes.forEach(({ type, ref, data, options }) => {
+    if (!db.collections.has(ref.collectionPath)) db.collections.set(ref.collectionPath, new Map());
+    const docs = db.collections.get(ref.collectionPath);
+    if (type === 'delete') {
+      docs.delete(ref.id);
+    } else if (type === 'update') {
+      const updated = cloneValue(docs.get(ref.id));
+      Object.entries(data).forEach(([fieldPath, value]) => setFieldPath(updated, fieldPath, value, now));
+      docs.set(ref.id, updated);
+    } else if (options?.merge && docs.has(ref.id)) {
+      docs.set(ref.id, mergeInto(cloneValue(docs.get(ref.id)), data, now));
+    } else {
+      docs.set(ref.id, resolveSentinels(data, now));
+    }
+  });
+  notifyListeners(db, new Set(writes.map(w => w.ref.collectionPath)));
+  scheduleSave(db);
+};
+
+export const setDoc = async (ref, data, options) => applyWrites(ref.db, [{ type: 'set', ref, data, options }]);
+export const updateDoc = async (ref, data) => applyWrites(ref.db, [{ type: 'update', ref, data }]);
+export const deleteDoc = async (ref) => applyWrites(ref.db, [{ type: 'delete', ref }]);
+
+export const addDoc = async (collectionRef, data) => {
+  const ref = doc(collectionRef);
+  applyWrites(ref.db, [{ type: 'set', ref, data }]);
+  return ref;
+};
+
+export const getDoc = async (ref) => makeDocSnapshot(ref.db, ref.collectionPath, ref.id);
+export const getDocs = async (ref) => makeQuerySnapshot(ref.db, ref);
+
+const createWriteQueue = (writes) => ({
+  set(ref, data, options) { writes.push({ type: 'set', ref, data, options }); return this; },
+  update(ref, data) { writes.push({ type: 'update', ref, data }); return this; },
+  delete(ref) { writes.push({ type: 'delete', ref }); return this; },
+});
+
+export const writeBatch = (db) => {
+  const writes = [];
+  return {
+    ...createWriteQueue(writes),
+    commit: async () => applyWrites(db, writes),
+  };
+};
+
+// Nothing else writes while the callback runs in this tab, so reads need no locking
+export const runTransaction = async (db, updateFunction) => {
+  const writes = [];
+  const transaction = { ...createWriteQueue(writes), get: getDoc };
+  const result = await updateFunction(transaction);
+  applyWrites(db, writes);
+  return result;
+};
+
+// --- Opening and resetting ---
+
+const seedCollections = (db) => {
+  const seed = buildDemoData(db.appId);
+  db.collections = new Map(Object.entries(seed).map(([path, docs]) => [normalizePath(path), new Map(Object.entries(docs).map(([id, data]) => [id, cloneValue(data)]))]));
+};
+
+// Opens the local database of the app, seeding it with demo data the first time.
+// Without IndexedDB (e.g. private windows in some browsers) the data lives only in memory.
+export const openStorage = async ({ appId }) => {
+  const db = {
+    appId,
+    name: appId,
+    collections: new Map(),
+    listeners: new Set(),
+    dirtyPaths: new Set(),
+    notifyScheduled: false,
+    idb: null,
+    saveTimer: null,
+  };
+  try {
+    db.idb = await openIndexedDb();
+    const stored = await loadCollections(db);
+    if (stored) db.collections = stored;
+  } catch (e) {
+    console.error("Error opening local database, data will not be kept:", e);
+    db.idb = null;
+  }
+  if (db.collections.size === 0) {
+    seedCollections(db);
+    scheduleSave(db);
+  }
+  return db;
+};
+
+// Throws away every local change and starts again from the demo dataset
+export const resetDemoData = async (db) => {
+  const paths = new Set([...db.collections.keys()]);
+  seedCollections(db);
+  db.collections.forEach((docs, path) => paths.add(path));
+  notifyListeners(db, paths);
+  scheduleSave(db);
+};
@@ -0,0 +1,257 @@
+// Shape of a stored transaction: an order with customer, driver and delivery fields and one or more
+// line items. The form and the importer write what normalizeTransaction returns, so prices are
+// numbers, dates ISO, phones E.164 and the derived totals are always computed here instead of being
+// taken over from the input.
+
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Every price carries its currency; reports convert them to CZK with the rates stored on the order
+export const BASE_CURRENCY = 'CZK';
+export const CURRENCIES = ['CZK', 'PLN', 'EUR'];
+export const FOREIGN_CURRENCIES = CURRENCIES.filter(currency => currency !== BASE_CURRENCY);
+export const DEFAULT_PURCHASE_CURRENCY = 'PLN';
+
+// How VAT is charged on a sale. Used parts go under the margin scheme for used goods (§ 90 of the VAT act),
+// which taxes only the margin; new parts carry standard VAT on the whole price; a non-payer charges none.
+// Sale prices are always gross, so the VAT is the part of the price (or margin) it is contained in.
+export const VatMode = { MARGIN: 'margin', STANDARD: 'standard', NONE: 'none' };
+export const VAT_MODE_LABELS = {
+  [VatMode.MARGIN]: 'Zvláštní režim (použité zboží)',
+  [VatMode.STANDARD]: 'Standardní DPH',
+  [VatMode.NONE]: 'Bez DPH',
+};
+export const VAT_RATE_DEFAULT = 21;
+
+// Currency symbols as spreadsheets write them
+const CURRENCY_SYMBOLS = { 'KČ': 'CZK', 'ZŁ': 'PLN', '€': 'EUR' };
+
+// Accepts Excel serial numbers, ISO (2025-03-01) and Czech (1. 3. 2025) dates; returns YYYY-MM-DD or null
+export const parseDate = (value) => {
+  if (typeof value === 'number' && value > 0) {
+    return new Date(Date.UTC(1899, 11, 30) + Math.round(value) * 86400000).toISOString().slice(0, 10);
+  }
+  const text = String(value ?? '').trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const czech = text.match(/^(\d{1,2})\.\s*(\d{1,2})\.\s*(\d{4})/);
+  const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : czech ? [czech[3], czech[2], czech[1]] : [];
+  if (!year) return null;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+// Accepts numbers and text like "1 234,50 Kč" or "1.234,50"; returns a number or null
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value ?? '').replace(/[\s\u00a0]/g, '').replace(/[^\d,.-]/g, '');
+  // With a decimal comma any dots are thousands separators
+  const number = parseFloat(text.includes(',') ? text.replace(/\./g, '').replace(',', '.') : text);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Countries customers are usually from, by calling code, for numbers typed without one
+export const PHONE_COUNTRIES = [
+  { code: '420', label: 'Česko (+420)' },
+  { code: '421', label: 'Slovensko (+421)' },
+  { code: '48', label: 'Polsko (+48)' },
+  { code: '49', label: 'Německo (+49)' },
+];
+
+// The business is Czech: the form, the importer and records stored with national numbers assume Czechia
+export const DEFAULT_PHONE_COUNTRY_CODE = '420';
+
+// A number without its country code: nine digits (Czech, Slovak and Polish numbers alike) or a
+// national number with the trunk prefix 0 (German ones). Longer numbers carry their code (420 601 ...).
+const isNationalPhone = (text, digits) => !text.startsWith('+') && !digits.startsWith('00')
+  && (digits.length === 9 || digits.startsWith('0'));
+
+// Phone number in E.164 (+420601123456); '' for no number and null when it cannot be one. A national
+// number gets countryCode; without one it is refused rather than guessed.
+export const toE164Phone = (raw, countryCode = '') => {
+  const text = String(raw ?? '').trim();
+  if (!text) return '';
+  let digits = text.replace(/\D+/g, '');
+  if (isNationalPhone(text, digits)) {
+    if (!countryCode) return null;
+    digits = countryCode + digits.replace(/^0/, '');
+  }
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  return /^[1-9]\d{9,14}$/.test(digits) ? `+${digits}` : null;
+};
+
+// Before prices carried a currency, purchases were always in PLN (purchasePricePln) and sales in CZK
+const withCurrencies = ({ purchasePricePln, ...line }) => ({
+  ...line,
+  purchasePrice: line.purchasePrice ?? purchasePricePln,
+  purchaseCurrency: line.purchaseCurrency || DEFAULT_PURCHASE_CURRENCY,
+  salePrice: line.salePrice ?? line.sellingPriceCzk,
+  saleCurrency: line.saleCurrency || BASE_CURRENCY,
+});
+
+// Line items of an order with the currency of each price; transactions from before multi-item
+// orders are a single line
+export const getLineItems = (t) => (t.lineItems?.length ? t.lineItems : [{
+  itemName: t.itemName || '',
+  brand: t.brand || '',
+  model: t.model || '',
+  supplier: t.supplier || '',
+  supplierId: t.supplierId || '',
+  stockItemId: t.stockItemId || '',
+  purchasePricePln: Number(t.purchasePricePln) || 0,
+  sellingPriceCzk: Number(t.sellingPriceCzk) || 0,
+  netProfitCzk: Number(t.netProfitCzk) || 0,
+}]).map(withCurrencies);
+
+// VAT of a line in CZK and the tax base it belongs to. Under the margin scheme a line sold at a loss
+// owes no VAT; its loss does not lower the VAT of other lines.
+const getLineVat = (sellingPriceCzk, purchasePriceCzk, { mode, rate }) => {
+  const taxed = mode === VatMode.STANDARD ? sellingPriceCzk
+    : mode === VatMode.MARGIN ? Math.max(sellingPriceCzk - purchasePriceCzk, 0)
+      : 0;
+  const vatCzk = roundMoney(taxed * rate / (100 + rate));
+  return { vatCzk, vatBaseCzk: roundMoney(taxed - vatCzk) };
+};
+
+// Cleans form lines and derives the order-level item name and CZK totals from them. getRate returns
+// the order's rate of a currency to CZK; a line keeps its own purchase rate only when it came from stock.
+// Profits are net of the VAT owed under the order's VAT mode and rate.
+export const summarizeLineItems = (lineItems, getRate, vat = { mode: VatMode.NONE, rate: 0 }) => {
+  const rateOf = (currency) => (currency === BASE_CURRENCY ? 1 : getRate(currency));
+  const lines = lineItems.map(withCurrencies).map(({ exchangeRate, ...line }) => {
+    const purchasePrice = parseFloat(line.purchasePrice) || 0;
+    const salePrice = parseFloat(line.salePrice) || 0;
+    const lineRate = parseFloat(exchangeRate) || 0;
+    const purchasePriceCzk = roundMoney(purchasePrice * (lineRate || rateOf(line.purchaseCurrency)));
+    const sellingPriceCzk = roundMoney(salePrice * rateOf(line.saleCurrency));
+    const { vatCzk, vatBaseCzk } = getLineVat(sellingPriceCzk, purchasePriceCzk, vat);
+    return {
+      ...line,
+      ...(lineRate > 0 ? { exchangeRate: lineRate } : {}),
+      purchasePrice,
+      salePrice,
+      purchasePriceCzk,
+      sellingPriceCzk,
+      vatCzk,
+      vatBaseCzk,
+      netProfitCzk: roundMoney(sellingPriceCzk - purchasePriceCzk - vatCzk),
+    };
+  });
+  const joinUnique = (key) => [...new Set(lines.map(line => line[key]).filter(Boolean))].join(', ');
+  const total = (key) => roundMoney(lines.reduce((sum, line) => sum + line[key], 0));
+  return {
+    lineItems: lines,
+    itemName: lines.map(line => line.itemName).join(', '),
+    brand: joinUnique('brand'),
+    model: joinUnique('model'),
+    supplier: joinUnique('supplier'),
+    purchasePriceCzk: total('purchasePriceCzk'),
+    sellingPriceCzk: total('sellingPriceCzk'),
+    vatCzk: total('vatCzk'),
+    vatBaseCzk: total('vatBaseCzk'),
+    netProfitCzk: total('netProfitCzk'),
+  };
+};
+
+const ORDER_TEXT_FIELDS = ['seller', 'note', 'driver', 'deliveryCity', 'destination', 'customerName', 'customerAddress', 'customerId'];
+const ORDER_PHONE_FIELDS = ['customerContact', 'customerPhone2'];
+const LINE_TEXT_FIELDS = ['itemName', 'brand', 'model', 'supplier', 'supplierId', 'stockItemId'];
+const LINE_AMOUNT_FIELDS = ['purchasePrice', 'salePrice'];
+const LINE_CURRENCY_FIELDS = ['purchaseCurrency', 'saleCurrency'];
+
+// Key of a line item field in the errors of normalizeTransaction, e.g. lineItems.0.itemName
+export const lineErrorKey = (index, field) => `lineItems.${index}.${field}`;
+
+// Key of the rate of a currency in the errors of normalizeTransaction, e.g. rates.EUR
+export const rateErrorKey = (currency) => `rates.${currency}`;
+
+// VAT mode from its key or label, as the form and spreadsheets write it
+const parseVatMode = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  return Object.values(VatMode).find(mode => mode === text || VAT_MODE_LABELS[mode].toLowerCase() === text) || null;
+};
+
+// Validates and normalizes a transaction before it is written. Returns the fields to store and the
+// errors keyed by field (line item fields by lineErrorKey, rates by rateErrorKey); the record is only
+// meant to be written when there are no errors. stockItemIds lists the stock items the lines sell, so
+// the sales of stock can be queried without reading every transaction. Fields outside the schema (status, import ID,
+// timestamps, ...) are left to the caller. Rates in input.rates win over getDefaultRate(currency),
+// the rates in effect on the sale date; records from before currencies keep their PLN rate in exchangeRate.
+// vatDefaults ({ mode, rate }) are for new records: they apply when the input has no VAT mode or rate.
+// Without them a record with no VAT mode, e.g. one from before VAT, is left without one.
+// input.phoneCountryCode completes phones typed without a country code; it is not stored.
+export const normalizeTransaction = (input, getDefaultRate, vatDefaults = null) => {
+  const errors = {};
+  const record = Object.fromEntries(ORDER_TEXT_FIELDS.map(key => [key, String(input[key] ?? '').trim()]));
+
+  record.saleDate = parseDate(input.saleDate);
+  if (!record.saleDate) errors.saleDate = String(input.saleDate ?? '').trim() ? 'neplatné datum' : 'chybí hodnota';
+  if (!record.seller) errors.seller = 'chybí hodnota';
+
+  // Older records only have a delivery destination, the form only a city; both are kept filled
+  record.deliveryCity = record.deliveryCity || record.destination;
+  record.destination = record.destination || record.deliveryCity;
+
+  ORDER_PHONE_FIELDS.forEach(key => {
+    const phone = toE164Phone(input[key], input.phoneCountryCode);
+    record[key] = phone ?? String(input[key]).trim();
+    if (phone !== null) return;
+    const text = String(input[key]).trim();
+    errors[key] = isNationalPhone(text, text.replace(/\D+/g, '')) && !input.phoneCountryCode
+      ? 'číslo bez předvolby, zvolte zemi nebo zadejte předvolbu (+421 …)'
+      : 'neplatné telefonní číslo';
+  });
+
+  // A record from before multi-item orders holds its single item on the order itself
+  const isSingleItemRecord = !input.lineItems?.length;
+  const lines = (isSingleItemRecord ? [input] : input.lineItems).map(withCurrencies).map((line, index) => {
+    const clean = Object.fromEntries(LINE_TEXT_FIELDS.map(key => [key, String(line[key] ?? '').trim()]));
+    if (!clean.itemName) errors[lineErrorKey(index, 'itemName')] = 'chybí hodnota';
+    LINE_AMOUNT_FIELDS.forEach(key => {
+      const isEmpty = String(line[key] ?? '').trim() === '';
+      const amount = isEmpty ? null : parseAmount(line[key]);
+      if (amount === null) errors[lineErrorKey(index, key)] = isEmpty ? 'chybí hodnota' : 'neplatné číslo';
+      else if (amount < 0) errors[lineErrorKey(index, key)] = 'částka nesmí být záporná';
+      clean[key] = amount ?? 0;
+    });
+    LINE_CURRENCY_FIELDS.forEach(key => {
+      const currency = String(line[key]).trim().toUpperCase();
+      clean[key] = CURRENCY_SYMBOLS[currency] || currency;
+      if (!CURRENCIES.includes(clean[key])) errors[lineErrorKey(index, key)] = `neznámá měna, použijte ${CURRENCIES.join(', ')}`;
+    });
+    // Only stock lines carry a purchase rate of their own; on a single-item record the rate is the order's
+    const lineRate = isSingleItemRecord ? null : parseAmount(line.exchangeRate);
+    return lineRate > 0 ? { ...clean, exchangeRate: lineRate } : clean;
+  });
+
+  // The order stores the rate of every foreign currency it uses, pinned to the sale date
+  const rates = {};
+  const usedCurrencies = new Set(lines.flatMap(line => LINE_CURRENCY_FIELDS.map(key => line[key])));
+  FOREIGN_CURRENCIES.filter(currency => usedCurrencies.has(currency)).forEach(currency => {
+    const value = input.rates?.[currency] ?? (currency === 'PLN' ? input.exchangeRate : undefined);
+    const hasRate = String(value ?? '').trim() !== '';
+    const rate = hasRate ? parseAmount(value) : null;
+    if (hasRate && !(rate > 0)) errors[rateErrorKey(currency)] = 'kurz musí být kladné číslo';
+    rates[currency] = rate > 0 ? rate : getDefaultRate(currency);
+  });
+
+  const hasVatMode = String(input.vatMode ?? '').trim() !== '';
+  const vatMode = hasVatMode ? parseVatMode(input.vatMode) : vatDefaults?.mode;
+  if (hasVatMode && !vatMode) errors.vatMode = `neznámý režim DPH, použijte ${Object.values(VAT_MODE_LABELS).join(', ')}`;
+  if (vatMode) {
+    const hasVatRate = String(input.vatRate ?? '').trim() !== '';
+    const vatRate = hasVatRate ? parseAmount(input.vatRate) : vatDefaults?.rate;
+    if (hasVatRate && !(Number.isFinite(vatRate) && vatRate >= 0 && vatRate < 100)) errors.vatRate = 'sazba musí být mezi 0 a 100 %';
+    if (vatMode !== VatMode.NONE && vatRate === undefined) errors.vatRate = 'chybí hodnota';
+    record.vatMode = vatMode;
+    // A sale without VAT keeps no rate, so it cannot be mistaken for a taxed one
+    record.vatRate = vatMode === VatMode.NONE || errors.vatRate ? 0 : vatRate;
+  }
+
+  record.stockItemIds = [...new Set(lines.map(line => line.stockItemId).filter(Boolean))];
+
+  return {
+    // A record left without a VAT mode owes no VAT, as before VAT modes existed
+    record: { ...record, rates, ...summarizeLineItems(lines, currency => rates[currency], record.vatMode ? { mode: record.vatMode, rate: record.vatRate } : undefined) },
+    errors,
+  };
+};
@@ -1,6 +1,30 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes the files of the build and a version derived from their hashed names into the service worker
+// copied from public/, so it precaches exactly this build and each deploy gets a cache of its own
+const serviceWorkerBuild = () => ({
+  name: 'service-worker-build',
+  apply: 'build',
+  writeBundle(options, bundle) {
+    const file = resolve(options.dir, 'sw.js')
+    const assets = Object.keys(bundle).filter(name => !name.endsWith('.map')).sort()
+    const version = createHash('sha256').update(assets.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync(file, 'utf8')
+    const placeholders = [
+      ["const BUILD_VERSION = 'dev';", `const BUILD_VERSION = '${version}';`],
+      ['const BUILD_ASSETS = [];', `const BUILD_ASSETS = ${JSON.stringify(assets.map(name => `./${name}`))};`],
+    ]
+    placeholders.forEach(([placeholder]) => {
+      if (!source.includes(placeholder)) throw new Error(`public/sw.js is missing "${placeholder}"`)
+    })
+    writeFileSync(file, placeholders.reduce((text, [placeholder, value]) => text.replace(placeholder, value), source))
+  },
+})
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorkerBuild()],
 })